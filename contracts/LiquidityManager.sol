@@ -4,6 +4,9 @@ pragma solidity ^0.8.17;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./libraries/TickMath.sol";
+import "./libraries/LiquidityAmounts.sol";
 
 // --- Interfaces for SushiSwap V3 ---
 // These are simplified. For a real deployment, use official SushiSwap/Uniswap interfaces.
@@ -82,7 +85,29 @@ interface INonfungiblePositionManager {
             uint128 tokensOwed1
         );
     
+    function burn(uint256 tokenId) external payable;
+
     function approve(address to, uint256 tokenId) external; // For transferring NFT ownership
+
+    function factory() external view returns (address);
+}
+
+interface IUniswapV3Factory {
+    function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool);
+}
+
+interface IUniswapV3PoolImmutables {
+    function tickSpacing() external view returns (int24);
+}
+
+interface IUniswapV3SwapPool {
+    function swap(
+        address recipient,
+        bool zeroForOne,
+        int256 amountSpecified,
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external returns (int256 amount0, int256 amount1);
 }
 
 interface IUniswapV3PoolOracle {
@@ -110,10 +135,15 @@ interface IUniswapV3PoolOracle {
         );
 }
 
+interface ISOONLiquidityFee {
+    function clearPendingLiquidityTokens() external;
+}
+
 /**
  * @title LiquidityManager
- * @dev Manages a SushiSwap V3 liquidity position for SOON/RBTC.
- * Collects fees and rebalances the position around a TWAP.
+ * @dev Manages SushiSwap V3 liquidity positions for SOON/RBTC: a core position around a TWAP and,
+ * optionally, a wider backstop position and a SOON-only sell wall above the price.
+ * Collects fees and rebalances the positions around the TWAP.
  * Designed to be permissionless after initial setup and ownership renouncement.
  * 
  * The constructor takes:
@@ -133,16 +163,76 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
     uint24 public constant POOL_FEE = 3000; // 0.3% fee tier for typical memecoin pairs
     int24 public tickDistance; // Determines the width of the liquidity range (+/- tickDistance from current TWAP)
     uint32 public twapIntervalSeconds; // e.g., 1800 for 30-minute TWAP
+    uint256 public maxSwapSlippageBIPS; // Max price impact of a swap-and-liquify swap
+    uint256 public constant MAX_SWAP_SLIPPAGE_BIPS = 1000; // Max 10%
+    uint256 public slippageToleranceBIPS; // Max shortfall of minted or withdrawn amounts against their value at the TWAP
+    uint256 public constant MAX_SLIPPAGE_TOLERANCE_BIPS = 1000; // Max 10%
+    int24 public maxTwapDeviation; // Max ticks between the spot price and the TWAP for a rebalance
+    int24 public constant MAX_TWAP_DEVIATION = 2000;
+
+    // Rebalance triggers
+    enum RebalanceReason { None, OutOfRange, NearEdge, Stale }
+    int24 public edgeThresholdTicks; // Rebalance once the TWAP is this close to a range edge (0 = only out of range)
+    uint32 public minRebalanceIntervalSeconds; // Least time between rebalances
+    uint32 public stalePositionTimeoutSeconds; // Recenter a position this old even in range (0 = never)
+    uint256 public lastRebalanceTimestamp; // When the current position was minted
+    uint256 public keeperRewardBIPS; // Share of the fees collected by a rebalance paid to its caller
+    uint256 public constant MAX_KEEPER_REWARD_BIPS = 1000; // Max 10%
+
+    // Ladder positions besides the core one (positionTokenId), minted and rebalanced with it
+    enum LadderLayer { Backstop, SellWall }
+    uint256 public backstopTokenId; // 0 while there is no backstop position
+    uint256 public sellWallTokenId; // 0 while there is no sell wall position
+    uint256 public backstopWeightBIPS; // Share of the SOON and RBTC placed in the backstop (0 = no backstop)
+    int24 public backstopTickDistance; // Width of the backstop range on either side of the TWAP
+    uint256 public sellWallWeightBIPS; // Share of the SOON placed in the sell wall, before the rest is split (0 = no sell wall)
+    int24 public sellWallTickDistance; // Width of the sell wall, from the core range's edge up in SOON's price
+    uint256 public constant MAX_LADDER_WEIGHT_BIPS = 9000; // The core position keeps at least 10%
+
+    // Adaptive range width
+    bool public adaptiveWidthEnabled; // If true, each mint sets tickDistance from volatilityEstimate()
+    int24 public minTickDistance; // Narrowest adaptive tickDistance
+    int24 public maxTickDistance; // Widest adaptive tickDistance
+    uint8 public volatilitySamples; // Consecutive TWAP intervals the volatility is estimated over
+    uint8 public volatilityMultiplier; // Adaptive tickDistance as a multiple of the volatility
+    uint8 public constant MAX_VOLATILITY_SAMPLES = 12;
 
     bool public isLocked; // If true, ownership functions are disabled
     bool public isMockMode; // If true, we're using mock oracle functions
 
     event PositionInitialized(uint256 indexed tokenId, int24 initialTickLower, int24 initialTickUpper);
-    event PositionRebalanced(uint256 indexed tokenId, int24 newTickLower, int24 newTickUpper, uint128 newLiquidity);
+    event PositionRebalanced(
+        uint256 indexed oldTokenId,
+        uint256 indexed newTokenId,
+        int24 newTickLower,
+        int24 newTickUpper,
+        uint128 newLiquidity
+    );
     event FeesCollected(uint256 amountSOON, uint256 amountRBTC);
     event TickDistanceUpdated(int24 newTickDistance);
     event TwapIntervalUpdated(uint32 newTwapInterval);
     event ManagerLocked();
+    event MaxSwapSlippageUpdated(uint256 newMaxSwapSlippageBIPS);
+    event SlippageToleranceUpdated(uint256 newSlippageToleranceBIPS);
+    event MaxTwapDeviationUpdated(int24 newMaxTwapDeviation);
+    event SwapAndLiquify(uint256 soonSwapped, uint256 rbtcReceived, uint256 soonAdded, uint256 rbtcAdded, uint128 liquidity);
+    event Compounded(uint256 soonAdded, uint256 rbtcAdded, uint128 liquidity);
+    event RebalanceTriggered(RebalanceReason indexed reason);
+    event KeeperRewarded(address indexed keeper, uint256 amountSOON, uint256 amountRBTC);
+    event RebalanceTriggersUpdated(int24 edgeThresholdTicks, uint32 minRebalanceIntervalSeconds, uint32 stalePositionTimeoutSeconds);
+    event KeeperRewardUpdated(uint256 newKeeperRewardBIPS);
+    event LadderPositionMinted(LadderLayer indexed layer, uint256 indexed tokenId, int24 tickLower, int24 tickUpper, uint128 liquidity);
+    event LadderUpdated(uint256 backstopWeightBIPS, int24 backstopTickDistance, uint256 sellWallWeightBIPS, int24 sellWallTickDistance);
+    event TickDistanceAdapted(int24 newTickDistance, uint256 volatility);
+    event AdaptiveWidthUpdated(bool enabled, int24 minTickDistance, int24 maxTickDistance, uint8 volatilitySamples, uint8 volatilityMultiplier);
+
+    /**
+     * @dev Disables owner functions once the contract is locked.
+     */
+    modifier whenNotLocked() {
+        _checkNotLocked();
+        _;
+    }
 
     constructor(
         address _soonTokenAddress,
@@ -171,6 +261,17 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
         // Default values for tick distance and TWAP interval
         tickDistance = 2000;           // Default tick distance
         twapIntervalSeconds = 1800;    // Default TWAP interval (30 mins)
+        maxSwapSlippageBIPS = 100;     // Default swap-and-liquify slippage (1%)
+        slippageToleranceBIPS = 100;   // Default mint and withdrawal slippage (1%)
+        maxTwapDeviation = 100;        // Default spot/TWAP deviation (about 1%)
+        minRebalanceIntervalSeconds = 3600; // Default rebalance interval (1 hour)
+        keeperRewardBIPS = 500;        // Default keeper reward (5% of the fees collected)
+        backstopTickDistance = 8000;   // Default backstop width, used once it has a weight
+        sellWallTickDistance = 4000;   // Default sell wall width, used once it has a weight
+        minTickDistance = 1000;        // Default adaptive width bounds, used once enabled
+        maxTickDistance = 6000;
+        volatilitySamples = 6;         // Default volatility window (6 TWAP intervals)
+        volatilityMultiplier = 3;      // Default adaptive width (3 times the volatility)
     }
 
     /**
@@ -178,10 +279,12 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
      * and funding this contract with SOON and RBTC (WRBTC).
      * @param amountSOONDesired The amount of SOON to provide as liquidity.
      * @param amountRBTCDdesired The amount of RBTC (WRBTC) to provide.
-     * @param targetTick The desired initial center tick for the position.
-     * Can be current pool tick or a strategic price.
-     * @dev Approvals for SOON and RBTC to the NonfungiblePositionManager must be done prior to calling this.
-     * This contract should hold the SOON and RBTC to be added.
+     * @param targetTick The desired initial center tick for the position, in the pool's terms (the price
+     * of token0 in token1, like slot0().tick). Can be current pool tick or a strategic price.
+     * @dev This contract should hold the SOON and RBTC to be added. The core range is rangeAround(targetTick),
+     * after adapting tickDistance to the volatility if adaptiveWidthEnabled; the backstop and sell wall, if they
+     * have a weight, take their share of the amounts first.
+     * The minimum amounts are valued at the TWAP, or at targetTick while the pool has too little history for one.
      */
     function initializePosition(
         uint256 amountSOONDesired,
@@ -189,7 +292,7 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
         int24 targetTick
     ) external payable onlyOwner nonReentrant {
         require(positionTokenId == 0, "LM: Position already initialized");
-        require(!isLocked, "LM: Contract is locked");
+        _checkNotLocked();
         require(amountSOONDesired > 0 && amountRBTCDdesired > 0, "LM: Amounts must be positive");
 
         // Ensure this contract has the tokens
@@ -198,51 +301,27 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
         // Assuming WRBTC is sent directly or wrapped before this call.
         require(IERC20(rbtcToken).balanceOf(address(this)) >= amountRBTCDdesired, "LM: Insufficient RBTC (WRBTC) balance");
 
-        // Approve tokens to the Position Manager
-        soonToken.approve(address(positionManager), amountSOONDesired);
-        IERC20(rbtcToken).approve(address(positionManager), amountRBTCDdesired);
-
-        int24 tickLower = targetTick - tickDistance;
-        int24 tickUpper = targetTick + tickDistance;
+        int24 valuationTick = _getTwapTick();
+        if (valuationTick == type(int24).max) valuationTick = targetTick;
 
-        // Align ticks to be multiples of tickSpacing for the pool fee tier
-        // For a 0.3% fee tier, tickSpacing is typically 60.
-        // This step is crucial and depends on the specific pool's tickSpacing.
-        // tickLower = (tickLower / 60) * 60; // Example, replace 60 with actual tickSpacing
-        // tickUpper = (tickUpper / 60) * 60; // Example
-        // If not aligned, minting might revert or use nearest valid tick.
+        _adaptTickDistance();
+        (int24 tickLower, int24 tickUpper) = rangeAround(targetTick);
+        uint256 sellWallSOON = amountSOONDesired * sellWallWeightBIPS / 10000;
+        _mintSellWall(tickLower, tickUpper, sellWallSOON, valuationTick);
+        _mintCoreAndBackstop(targetTick, tickLower, tickUpper, amountSOONDesired - sellWallSOON, amountRBTCDdesired, valuationTick);
 
-        INonfungiblePositionManager.MintParams memory params = INonfungiblePositionManager.MintParams({
-            token0: address(soonToken) < rbtcToken ? address(soonToken) : rbtcToken,
-            token1: address(soonToken) < rbtcToken ? rbtcToken : address(soonToken),
-            fee: POOL_FEE,
-            tickLower: address(soonToken) < rbtcToken ? tickLower : -tickUpper, // Tick ordering depends on token0/token1
-            tickUpper: address(soonToken) < rbtcToken ? tickUpper : -tickLower,
-            amount0Desired: address(soonToken) < rbtcToken ? amountSOONDesired : amountRBTCDdesired,
-            amount1Desired: address(soonToken) < rbtcToken ? amountRBTCDdesired : amountSOONDesired,
-            amount0Min: 0, // WARNING: Setting to 0 accepts any price. Consider calculating a safe minimum.
-            amount1Min: 0, // WARNING: Setting to 0 accepts any price.
-            recipient: address(this), // LP NFT minted to this contract
-            deadline: block.timestamp + 600 // 10 minutes deadline
-        });
-        
-        uint256 mintedTokenId;
-        uint128 liquidity;
-        // If RBTC is used, msg.value might be needed if one of the tokens is native WETH/WRBTC and mint expects it
-        // However, standard V3 mint with ERC20s (including WRBTC) usually doesn't require msg.value here
-        // if approvals are done and tokens are in this contract.
-        // If params.token1 is WRBTC and it's being provided as native RBTC, then:
-        // (mintedTokenId, liquidity, , ) = positionManager.mint{value: amountRBTCDdesired}(params);
-        (mintedTokenId, liquidity, , ) = positionManager.mint(params);
-
-        positionTokenId = mintedTokenId;
+        lastRebalanceTimestamp = block.timestamp;
         emit PositionInitialized(positionTokenId, tickLower, tickUpper);
     }
 
     /**
-     * @notice Public function to rebalance the liquidity position.
-     * Collects fees, calculates a new range around TWAP, and moves liquidity.
-     * Anyone can call this. Keepers are incentivized by maintaining LP health.
+     * @notice Public function to rebalance the liquidity positions.
+     * Collects fees from every position and, once shouldRebalance() gives a reason for the core position, moves
+     * all the liquidity into newly minted positions around the TWAP and pays the caller keeperRewardBIPS of the
+     * fees collected. Otherwise it compounds into the core position.
+     * Anyone can call this.
+     * @dev Reverts if the spot price is more than maxTwapDeviation ticks from the TWAP, and the withdrawal
+     * and mint are valued at the TWAP, so a caller cannot move the price first to make the position trade at a loss.
      */
     function rebalancePosition() external nonReentrant {
         require(positionTokenId != 0, "LM: Position not initialized");
@@ -253,36 +332,259 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
         (uint256 feesSOON, uint256 feesRBTC) = _collectFees();
         emit FeesCollected(feesSOON, feesRBTC);
 
-        // 2. Get current position details and TWAP
-        ( , , address token0, address token1, , int24 oldTickLower, int24 oldTickUpper, uint128 currentLiquidity, , , , ) =
-            positionManager.positions(positionTokenId);
+        // 2. Get current core position details and TWAP
+        (int24 oldTickLower, int24 oldTickUpper, ) = _position(positionTokenId);
         
         int24 currentTwapTick = _getTwapTick();
         if (currentTwapTick == type(int24).max) { // Error sentinel from _getTwapTick
             // Optional: Revert, or log, or skip rebalance if TWAP is unavailable
             return; 
         }
+        _checkTwapDeviation(currentTwapTick);
+
+        // 3. Rebalance around the TWAP if a trigger fired, otherwise compound in place
+        RebalanceReason reason = _rebalanceReason(currentTwapTick, oldTickLower, oldTickUpper);
+        if (reason == RebalanceReason.None) {
+            _compound(oldTickLower, oldTickUpper, currentTwapTick);
+            return;
+        }
+        emit RebalanceTriggered(reason);
+        _payKeeper(feesSOON, feesRBTC);
+
+        _rebalanceLadder(currentTwapTick);
+    }
+
+    /**
+     * @notice Returns whether rebalancePosition would move the positions now, and which trigger fired for the core position:
+     * the TWAP out of the range, within edgeThresholdTicks of an edge, or a position older than
+     * stalePositionTimeoutSeconds. Never before minRebalanceIntervalSeconds have passed.
+     * @dev Also false while there is no TWAP or the spot price deviates from it, as rebalancePosition
+     * would then return early or revert.
+     */
+    function shouldRebalance() external view returns (bool, RebalanceReason) {
+        if (positionTokenId == 0) return (false, RebalanceReason.None);
+        int24 twapTick = _getTwapTick();
+        if (twapTick == type(int24).max || _twapDeviation(twapTick) > maxTwapDeviation) {
+            return (false, RebalanceReason.None);
+        }
+
+        (int24 tickLower, int24 tickUpper, ) = _position(positionTokenId);
+        RebalanceReason reason = _rebalanceReason(twapTick, tickLower, tickUpper);
+        return (reason != RebalanceReason.None, reason);
+    }
+
+    /**
+     * @notice Adds the SOON and RBTC (WRBTC) this contract holds to the core position: fees collected from
+     * every position, the SOON liquidity fee and anything left over from earlier swaps or rebalances.
+     * Anyone can call this.
+     * @dev Whichever side is in excess for the range is first swapped through the pool, capped by
+     * maxSwapSlippageBIPS. Like rebalancePosition, it needs a TWAP and a spot price within maxTwapDeviation of it.
+     */
+    function compound() external nonReentrant {
+        require(positionTokenId != 0, "LM: Position not initialized");
+
+        (uint256 feesSOON, uint256 feesRBTC) = _collectFees();
+        emit FeesCollected(feesSOON, feesRBTC);
+
+        int24 twapTick = _checkedTwapTick();
+
+        (int24 tickLower, int24 tickUpper, ) = _position(positionTokenId);
+        _compound(tickLower, tickUpper, twapTick);
+    }
+
+    /**
+     * @notice Returns the range the core position is placed in around `centerTick`: tickDistance on either
+     * side, widened outwards to the pool's tick spacing and kept within the usable MIN_TICK/MAX_TICK.
+     * @dev Ticks are in the pool's terms, whichever of SOON and RBTC is token0.
+     */
+    function rangeAround(int24 centerTick) public view returns (int24 tickLower, int24 tickUpper) {
+        return _rangeAround(centerTick, tickDistance);
+    }
+
+    /**
+     * @notice Returns the IDs of every position NFT the manager holds: the core position first, then the
+     * backstop and the sell wall if they were minted.
+     */
+    function positionTokenIds() public view returns (uint256[] memory tokenIds) {
+        uint256[3] memory ladder = [positionTokenId, backstopTokenId, sellWallTokenId];
+        uint256 count;
+        for (uint256 i = 0; i < ladder.length; i++) {
+            if (ladder[i] != 0) count++;
+        }
+        tokenIds = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < ladder.length; i++) {
+            if (ladder[i] != 0) tokenIds[count++] = ladder[i];
+        }
+    }
+
+    /**
+     * @notice Returns the pool's recent volatility in ticks per window: the root mean square of the changes
+     * between the TWAP ticks of volatilitySamples consecutive twapIntervalSeconds windows.
+     * @return available False while the pool has too little history for every window.
+     * @return volatility The volatility estimate.
+     */
+    function volatilityEstimate() public view returns (bool available, uint256 volatility) {
+        uint32[] memory secondsAgos = new uint32[](volatilitySamples + 1);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            secondsAgos[i] = twapIntervalSeconds * uint32(volatilitySamples - i);
+        }
+
+        int56[] memory tickCumulatives;
+        (available, tickCumulatives) = _observe(secondsAgos);
+        if (!available) return (false, 0);
+
+        int56 interval = int56(uint56(twapIntervalSeconds));
+        uint256 sumOfSquares;
+        for (uint256 i = 2; i < tickCumulatives.length; i++) {
+            int56 change = (tickCumulatives[i] - tickCumulatives[i - 1]) / interval -
+                (tickCumulatives[i - 1] - tickCumulatives[i - 2]) / interval;
+            uint256 absChange = uint256(int256(change < 0 ? -change : change));
+            sumOfSquares += absChange * absChange;
+        }
+        // volatilitySamples TWAPs give one change fewer
+        volatility = Math.sqrt(sumOfSquares / (tickCumulatives.length - 2));
+    }
+
+    /**
+     * @notice Returns the SOON/RBTC pool the positions live in.
+     */
+    function pool() public view returns (address) {
+        return IUniswapV3Factory(positionManager.factory()).getPool(address(soonToken), rbtcToken, POOL_FEE);
+    }
+
+    /**
+     * @notice Swaps half of `amount` SOON held by this contract to RBTC and adds both to the position.
+     * Called by the SOON token once enough liquidity fee has accrued here.
+     * @param amount The amount of SOON to turn into liquidity.
+     * @dev Like compound, it needs a TWAP and a spot price within maxTwapDeviation of it. The swap stops once
+     * the price is maxSwapSlippageBIPS below the TWAP, so only part of the half may be sold, and the
+     * liquidity added is valued at the TWAP. Whatever the position does not take stays in this contract.
+     * SOON catches a revert and keeps the amount pending.
+     */
+    function swapAndLiquify(uint256 amount) external nonReentrant {
+        require(msg.sender == address(soonToken), "LM: Caller is not SOON");
+        require(positionTokenId != 0, "LM: Position not initialized");
+        require(amount > 1, "LM: Amount too small");
+
+        int24 twapTick = _checkedTwapTick();
+
+        bool zeroForOne = address(soonToken) < rbtcToken; // Selling SOON moves the price towards token1
+
+        // 1. Swap half of the SOON to RBTC, capped by the slippage limit from the TWAP price
+        uint256 rbtcBefore = IERC20(rbtcToken).balanceOf(address(this));
+        (int256 amount0, int256 amount1) = IUniswapV3SwapPool(pool()).swap(
+            address(this),
+            zeroForOne,
+            int256(amount / 2),
+            _swapPriceLimit(TickMath.getSqrtRatioAtTick(twapTick), zeroForOne),
+            ""
+        );
+        uint256 soonSwapped = uint256(zeroForOne ? amount0 : amount1);
+        uint256 rbtcReceived = IERC20(rbtcToken).balanceOf(address(this)) - rbtcBefore;
+
+        // 2. Add the remaining SOON and the RBTC received to the position
+        uint256 soonRemaining = amount - soonSwapped;
+        soonToken.approve(address(positionManager), soonRemaining);
+        IERC20(rbtcToken).approve(address(positionManager), rbtcReceived);
+
+        uint256 amount0Desired = zeroForOne ? soonRemaining : rbtcReceived;
+        uint256 amount1Desired = zeroForOne ? rbtcReceived : soonRemaining;
+        (int24 tickLower, int24 tickUpper, ) = _position(positionTokenId);
+        (uint256 amount0Min, uint256 amount1Min) = _minAmountsFor(twapTick, tickLower, tickUpper, amount0Desired, amount1Desired);
+
+        INonfungiblePositionManager.IncreaseLiquidityParams memory params = INonfungiblePositionManager.IncreaseLiquidityParams({
+            tokenId: positionTokenId,
+            amount0Desired: amount0Desired,
+            amount1Desired: amount1Desired,
+            amount0Min: amount0Min,
+            amount1Min: amount1Min,
+            deadline: block.timestamp
+        });
+        (uint128 liquidity, uint256 added0, uint256 added1) = positionManager.increaseLiquidity(params);
+
+        emit SwapAndLiquify(
+            soonSwapped,
+            rbtcReceived,
+            zeroForOne ? added0 : added1,
+            zeroForOne ? added1 : added0,
+            liquidity
+        );
+    }
 
-        // 3. Calculate new range around TWAP
-        int24 newTickLower = currentTwapTick - tickDistance;
-        int24 newTickUpper = currentTwapTick + tickDistance;
+    /**
+     * @notice Pays the pool for a swap started by swapAndLiquify.
+     */
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata) external {
+        require(msg.sender == pool(), "LM: Invalid swap callback");
+        bool soonIsToken0 = address(soonToken) < rbtcToken;
+        if (amount0Delta > 0) {
+            IERC20(soonIsToken0 ? address(soonToken) : rbtcToken).transfer(msg.sender, uint256(amount0Delta));
+        }
+        if (amount1Delta > 0) {
+            IERC20(soonIsToken0 ? rbtcToken : address(soonToken)).transfer(msg.sender, uint256(amount1Delta));
+        }
+    }
 
-        // 4. If range has moved significantly, rebalance
-        // This is a simple check. More sophisticated logic could be added.
-        if (newTickLower > oldTickUpper || newTickUpper < oldTickLower) {
-            // Range has moved outside current position, rebalance
-            _rebalanceToNewRange(currentLiquidity, newTickLower, newTickUpper);
+    /**
+     * @notice Internal function to get the sqrt price a swap may move the pool to, with the price of the
+     * token sold at most maxSwapSlippageBIPS below `sqrtPriceX96`.
+     * @dev The price is sqrtPrice squared, so the sqrt price moves by sqrt(1 - slippage), as a Q64 ratio.
+     */
+    function _swapPriceLimit(uint160 sqrtPriceX96, bool zeroForOne) internal view returns (uint160) {
+        // Rounded up so the SOON price never moves by more than the cap
+        uint256 ratioX64 = Math.sqrt(Math.mulDiv(10000 - maxSwapSlippageBIPS, 1 << 128, 10000, Math.Rounding.Up), Math.Rounding.Up);
+        if (zeroForOne) {
+            return uint160(Math.mulDiv(sqrtPriceX96, ratioX64, 1 << 64, Math.Rounding.Up));
         }
+        return uint160((uint256(sqrtPriceX96) << 64) / ratioX64);
+    }
+
+    /**
+     * @notice Internal function to get a position's range and liquidity.
+     */
+    function _position(uint256 tokenId) internal view returns (int24 tickLower, int24 tickUpper, uint128 liquidity) {
+        ( , , , , , tickLower, tickUpper, liquidity, , , , ) = positionManager.positions(tokenId);
+    }
+
+    /**
+     * @notice Internal function to set tickDistance to volatilityMultiplier times the volatility estimate,
+     * kept between minTickDistance and maxTickDistance. Does nothing unless adaptiveWidthEnabled, and keeps
+     * tickDistance while the pool has too little history for an estimate.
+     */
+    function _adaptTickDistance() internal {
+        if (!adaptiveWidthEnabled) return;
+        (bool available, uint256 volatility) = volatilityEstimate();
+        if (!available) return;
+
+        uint256 width = Math.max(volatility * volatilityMultiplier, uint24(minTickDistance));
+        int24 newTickDistance = int24(uint24(Math.min(width, uint24(maxTickDistance))));
+        tickDistance = newTickDistance;
+        emit TickDistanceAdapted(newTickDistance, volatility);
     }
 
     /**
-     * @notice Internal function to collect fees from the position.
+     * @notice Internal function to collect fees from every position.
      * @return amountSOON The amount of SOON fees collected.
      * @return amountRBTC The amount of RBTC fees collected.
      */
     function _collectFees() internal returns (uint256 amountSOON, uint256 amountRBTC) {
+        uint256[] memory tokenIds = positionTokenIds();
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            (uint256 collectedSOON, uint256 collectedRBTC) = _collect(tokenIds[i]);
+            amountSOON += collectedSOON;
+            amountRBTC += collectedRBTC;
+        }
+    }
+
+    /**
+     * @notice Internal function to collect fees, and any liquidity already withdrawn, from a position.
+     * @return amountSOON The amount of SOON collected.
+     * @return amountRBTC The amount of RBTC collected.
+     */
+    function _collect(uint256 tokenId) internal returns (uint256 amountSOON, uint256 amountRBTC) {
         INonfungiblePositionManager.CollectParams memory params = INonfungiblePositionManager.CollectParams({
-            tokenId: positionTokenId,
+            tokenId: tokenId,
             recipient: address(this),
             amount0Max: type(uint128).max,
             amount1Max: type(uint128).max
@@ -309,75 +611,495 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
         secondsAgos[0] = twapIntervalSeconds;
         secondsAgos[1] = 0;
 
-        try sushiPoolOracle.observe(secondsAgos) returns (int56[] memory tickCumulatives, uint160[] memory) {
-            // Calculate TWAP tick
-            int56 tickCumulativeDelta = tickCumulatives[1] - tickCumulatives[0];
-            int24 twapTick = int24(tickCumulativeDelta / int56(uint56(twapIntervalSeconds)));
-            return twapTick;
+        (bool success, int56[] memory tickCumulatives) = _observe(secondsAgos);
+        // If observe fails, return error sentinel
+        if (!success) return type(int24).max;
+
+        // Calculate TWAP tick, rounded towards negative infinity like the pool's own ticks
+        int56 tickCumulativeDelta = tickCumulatives[1] - tickCumulatives[0];
+        int24 twapTick = int24(tickCumulativeDelta / int56(uint56(twapIntervalSeconds)));
+        if (tickCumulativeDelta < 0 && tickCumulativeDelta % int56(uint56(twapIntervalSeconds)) != 0) twapTick--;
+        return twapTick;
+    }
+
+    /**
+     * @notice Internal function to read the oracle's tick cumulatives `secondsAgos` ago.
+     * @return success False if observe reverted, e.g. for lack of history.
+     * @return tickCumulatives The tick cumulatives, one per entry of `secondsAgos`.
+     */
+    function _observe(uint32[] memory secondsAgos) internal view returns (bool success, int56[] memory tickCumulatives) {
+        try sushiPoolOracle.observe(secondsAgos) returns (int56[] memory cumulatives, uint160[] memory) {
+            return (true, cumulatives);
         } catch {
-            // If observe fails, return error sentinel
-            return type(int24).max;
+            return (false, tickCumulatives);
         }
     }
 
     /**
-     * @notice Internal function to rebalance liquidity to a new range.
-     * @param currentLiquidity The current liquidity in the position.
-     * @param newTickLower The new lower tick for the range.
-     * @param newTickUpper The new upper tick for the range.
+     * @notice Internal function to get the TWAP tick, requiring it to be available and the spot price within
+     * maxTwapDeviation ticks of it.
      */
-    function _rebalanceToNewRange(
-        uint128 currentLiquidity,
-        int24 newTickLower,
-        int24 newTickUpper
-    ) internal {
-        // 1. Remove liquidity from old range
-        INonfungiblePositionManager.DecreaseLiquidityParams memory decreaseParams = INonfungiblePositionManager.DecreaseLiquidityParams({
-            tokenId: positionTokenId,
-            liquidity: currentLiquidity,
-            amount0Min: 0, // WARNING: Setting to 0 accepts any price
-            amount1Min: 0, // WARNING: Setting to 0 accepts any price
-            deadline: block.timestamp + 600 // 10 minutes deadline
-        });
+    function _checkedTwapTick() internal view returns (int24 twapTick) {
+        twapTick = _getTwapTick();
+        require(twapTick != type(int24).max, "LM: TWAP unavailable");
+        _checkTwapDeviation(twapTick);
+    }
+
+    /**
+     * @notice Internal function to require the spot price to be within maxTwapDeviation ticks of `twapTick`.
+     */
+    function _checkTwapDeviation(int24 twapTick) internal view {
+        require(_twapDeviation(twapTick) <= maxTwapDeviation, "LM: Price deviates from TWAP");
+    }
+
+    /**
+     * @notice Internal function to get how many ticks the spot price is from `twapTick`.
+     */
+    function _twapDeviation(int24 twapTick) internal view returns (int24) {
+        ( , int24 spotTick, , , , , ) = sushiPoolOracle.slot0();
+        return spotTick > twapTick ? spotTick - twapTick : twapTick - spotTick;
+    }
+
+    /**
+     * @notice Internal function to get the trigger, if any, for moving the range [tickLower, tickUpper)
+     * with the TWAP at `twapTick`.
+     */
+    function _rebalanceReason(int24 twapTick, int24 tickLower, int24 tickUpper) internal view returns (RebalanceReason) {
+        if (block.timestamp < lastRebalanceTimestamp + minRebalanceIntervalSeconds) return RebalanceReason.None;
+        if (twapTick < tickLower || twapTick >= tickUpper) return RebalanceReason.OutOfRange;
+        if (twapTick < tickLower + edgeThresholdTicks || twapTick >= tickUpper - edgeThresholdTicks) {
+            return RebalanceReason.NearEdge;
+        }
+        if (stalePositionTimeoutSeconds != 0 && block.timestamp >= lastRebalanceTimestamp + stalePositionTimeoutSeconds) {
+            return RebalanceReason.Stale;
+        }
+        return RebalanceReason.None;
+    }
+
+    /**
+     * @notice Internal function to pay the caller keeperRewardBIPS of the fees a rebalance collected.
+     */
+    function _payKeeper(uint256 feesSOON, uint256 feesRBTC) internal {
+        uint256 rewardSOON = feesSOON * keeperRewardBIPS / 10000;
+        uint256 rewardRBTC = feesRBTC * keeperRewardBIPS / 10000;
+        if (rewardSOON == 0 && rewardRBTC == 0) return;
+
+        if (rewardSOON > 0) soonToken.transfer(msg.sender, rewardSOON);
+        if (rewardRBTC > 0) IERC20(rbtcToken).transfer(msg.sender, rewardRBTC);
+        emit KeeperRewarded(msg.sender, rewardSOON, rewardRBTC);
+    }
+
+    /**
+     * @notice Internal function to get the least amounts `liquidity` in a range may be worth: its token
+     * amounts at `twapTick`, less slippageToleranceBIPS.
+     * @return amount0Min The minimum amount of token0.
+     * @return amount1Min The minimum amount of token1.
+     */
+    function _minAmounts(
+        int24 twapTick,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 liquidity
+    ) internal view returns (uint256 amount0Min, uint256 amount1Min) {
+        (uint256 amount0, uint256 amount1) = LiquidityAmounts.getAmountsForLiquidity(
+            TickMath.getSqrtRatioAtTick(twapTick),
+            TickMath.getSqrtRatioAtTick(tickLower),
+            TickMath.getSqrtRatioAtTick(tickUpper),
+            liquidity
+        );
+        amount0Min = amount0 * (10000 - slippageToleranceBIPS) / 10000;
+        amount1Min = amount1 * (10000 - slippageToleranceBIPS) / 10000;
+    }
 
-        (uint256 amount0, uint256 amount1) = positionManager.decreaseLiquidity(decreaseParams);
+    /**
+     * @notice Internal function to get the minimum amounts for adding `amount0` and `amount1` to a range:
+     * what the liquidity they buy at `valuationTick` is worth there, less slippageToleranceBIPS.
+     */
+    function _minAmountsFor(
+        int24 valuationTick,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amount0,
+        uint256 amount1
+    ) internal view returns (uint256 amount0Min, uint256 amount1Min) {
+        uint128 expectedLiquidity = LiquidityAmounts.getLiquidityForAmounts(
+            TickMath.getSqrtRatioAtTick(valuationTick),
+            TickMath.getSqrtRatioAtTick(tickLower),
+            TickMath.getSqrtRatioAtTick(tickUpper),
+            amount0,
+            amount1
+        );
+        return _minAmounts(valuationTick, tickLower, tickUpper, expectedLiquidity);
+    }
+
+    /**
+     * @notice Internal function to add everything this contract holds to the current position,
+     * after swapping it to the range's ratio.
+     * @param tickLower The lower tick of the current position.
+     * @param tickUpper The upper tick of the current position.
+     * @param twapTick The TWAP tick the added amounts are valued at.
+     */
+    function _compound(int24 tickLower, int24 tickUpper, int24 twapTick) internal {
+        (uint256 amountSOON, uint256 amountRBTC) = _swapToRatio(tickLower, tickUpper);
+        bool soonIsToken0 = address(soonToken) < rbtcToken;
+        uint256 amount0Desired = soonIsToken0 ? amountSOON : amountRBTC;
+        uint256 amount1Desired = soonIsToken0 ? amountRBTC : amountSOON;
+
+        // Nothing to add, or too little to buy any liquidity
+        if (amount0Desired == 0 && amount1Desired == 0) return;
+
+        soonToken.approve(address(positionManager), amountSOON);
+        IERC20(rbtcToken).approve(address(positionManager), amountRBTC);
+        (uint256 amount0Min, uint256 amount1Min) = _minAmountsFor(twapTick, tickLower, tickUpper, amount0Desired, amount1Desired);
 
-        // 2. Collect the tokens
-        INonfungiblePositionManager.CollectParams memory collectParams = INonfungiblePositionManager.CollectParams({
+        INonfungiblePositionManager.IncreaseLiquidityParams memory params = INonfungiblePositionManager.IncreaseLiquidityParams({
             tokenId: positionTokenId,
-            recipient: address(this),
-            amount0Max: type(uint128).max,
-            amount1Max: type(uint128).max
+            amount0Desired: amount0Desired,
+            amount1Desired: amount1Desired,
+            amount0Min: amount0Min,
+            amount1Min: amount1Min,
+            deadline: block.timestamp
         });
+        (uint128 liquidity, uint256 added0, uint256 added1) = positionManager.increaseLiquidity(params);
+        // The SOON added includes the accrued liquidity fee, so SOON must not hand it over again
+        ISOONLiquidityFee(address(soonToken)).clearPendingLiquidityTokens();
 
-        (uint256 collected0, uint256 collected1) = positionManager.collect(collectParams);
-        amount0 += collected0;
-        amount1 += collected1;
+        emit Compounded(soonIsToken0 ? added0 : added1, soonIsToken0 ? added1 : added0, liquidity);
+    }
 
-        // 3. Add liquidity to new range
-        INonfungiblePositionManager.IncreaseLiquidityParams memory increaseParams = INonfungiblePositionManager.IncreaseLiquidityParams({
-            tokenId: positionTokenId,
-            amount0Desired: amount0,
-            amount1Desired: amount1,
-            amount0Min: 0, // WARNING: Setting to 0 accepts any price
-            amount1Min: 0, // WARNING: Setting to 0 accepts any price
+    /**
+     * @notice Internal function to swap whichever of the SOON and RBTC held here is in excess of the
+     * ratio the range takes at the pool price.
+     * @dev Sized at the pool price, ignoring the pool fee and price impact, and capped by _swapPriceLimit,
+     * so some of the excess may be left over. The amounts returned are trimmed to what the range takes at
+     * the price the swap left, so they match what the pool will take.
+     * @return amountSOON The SOON to add to the range.
+     * @return amountRBTC The RBTC to add to the range.
+     */
+    function _swapToRatio(int24 tickLower, int24 tickUpper) internal returns (uint256 amountSOON, uint256 amountRBTC) {
+        address poolAddress = pool();
+        (bool zeroForOne, uint256 amountIn) = _excessForRange(poolAddress, tickLower, tickUpper);
+        if (amountIn > 0) {
+            (uint160 sqrtPriceX96, , , , , , ) = IUniswapV3PoolOracle(poolAddress).slot0();
+            IUniswapV3SwapPool(poolAddress).swap(address(this), zeroForOne, int256(amountIn), _swapPriceLimit(sqrtPriceX96, zeroForOne), "");
+        }
+
+        return _takenByRange(
+            tickLower,
+            tickUpper,
+            soonToken.balanceOf(address(this)),
+            IERC20(rbtcToken).balanceOf(address(this))
+        );
+    }
+
+    /**
+     * @notice Internal function to get how much of `amountSOON` and `amountRBTC` the range takes at the pool price.
+     */
+    function _takenByRange(
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amountSOON,
+        uint256 amountRBTC
+    ) internal view returns (uint256, uint256) {
+        bool soonIsToken0 = address(soonToken) < rbtcToken;
+        (uint160 sqrtPriceX96, , , , , , ) = IUniswapV3PoolOracle(pool()).slot0();
+        (uint256 amount0, uint256 amount1) = _amountsForRange(
+            sqrtPriceX96,
+            tickLower,
+            tickUpper,
+            soonIsToken0 ? amountSOON : amountRBTC,
+            soonIsToken0 ? amountRBTC : amountSOON
+        );
+        return soonIsToken0 ? (amount0, amount1) : (amount1, amount0);
+    }
+
+    /**
+     * @notice Internal function to get how much of `amount0` and `amount1` the range takes at `sqrtPriceX96`.
+     */
+    function _amountsForRange(
+        uint160 sqrtPriceX96,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amount0,
+        uint256 amount1
+    ) internal pure returns (uint256, uint256) {
+        uint160 sqrtRatioAX96 = TickMath.getSqrtRatioAtTick(tickLower);
+        uint160 sqrtRatioBX96 = TickMath.getSqrtRatioAtTick(tickUpper);
+        return LiquidityAmounts.getAmountsForLiquidity(
+            sqrtPriceX96,
+            sqrtRatioAX96,
+            sqrtRatioBX96,
+            LiquidityAmounts.getLiquidityForAmounts(sqrtPriceX96, sqrtRatioAX96, sqrtRatioBX96, amount0, amount1)
+        );
+    }
+
+    /**
+     * @notice Internal function to get how much of the token0 or token1 held here to sell so the rest
+     * matches the ratio the range takes at the pool price.
+     * @return zeroForOne Whether token0 is the side to sell.
+     * @return amountIn The amount to sell.
+     */
+    function _excessForRange(
+        address poolAddress,
+        int24 tickLower,
+        int24 tickUpper
+    ) internal view returns (bool zeroForOne, uint256 amountIn) {
+        (uint160 sqrtPriceX96, , , , , , ) = IUniswapV3PoolOracle(poolAddress).slot0();
+        bool soonIsToken0 = address(soonToken) < rbtcToken;
+        uint256 balance0 = IERC20(soonIsToken0 ? address(soonToken) : rbtcToken).balanceOf(address(this));
+        uint256 balance1 = IERC20(soonIsToken0 ? rbtcToken : address(soonToken)).balanceOf(address(this));
+
+        uint256 target1 = _token1Target(sqrtPriceX96, tickLower, tickUpper, _valueInToken1(balance0, sqrtPriceX96) + balance1);
+        if (balance1 > target1) return (false, balance1 - target1);
+        // The token1 missing, priced in token0: amount * 2^192 / sqrtPrice^2
+        return (true, Math.mulDiv(Math.mulDiv(target1 - balance1, 1 << 96, sqrtPriceX96), 1 << 96, sqrtPriceX96));
+    }
+
+    /**
+     * @notice Internal function to get how much of `value`, in token1, the range takes as token1 at `sqrtPriceX96`.
+     */
+    function _token1Target(
+        uint160 sqrtPriceX96,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 value
+    ) internal pure returns (uint256) {
+        // What 1e18 of liquidity takes of each token
+        (uint256 unit0, uint256 unit1) = LiquidityAmounts.getAmountsForLiquidity(
+            sqrtPriceX96,
+            TickMath.getSqrtRatioAtTick(tickLower),
+            TickMath.getSqrtRatioAtTick(tickUpper),
+            1e18
+        );
+        return Math.mulDiv(value, unit1, _valueInToken1(unit0, sqrtPriceX96) + unit1);
+    }
+
+    /**
+     * @notice Internal function to price `amount0` of token0 in token1: amount * sqrtPrice^2 / 2^192.
+     */
+    function _valueInToken1(uint256 amount0, uint160 sqrtPriceX96) internal pure returns (uint256) {
+        return Math.mulDiv(Math.mulDiv(amount0, sqrtPriceX96, 1 << 96), sqrtPriceX96, 1 << 96);
+    }
+
+    /**
+     * @notice Internal function to move every position to a new ladder around `twapTick`.
+     * @dev Position NFTs have a fixed range, so the old ones are emptied and burned and new ones are minted with
+     * what they held and anything else held here: the sell wall takes its share of the SOON, the rest is swapped
+     * to the core range's ratio and split between the backstop and the core position. Whatever the new ranges
+     * do not take stays in this contract.
+     * @param twapTick The TWAP tick the new ranges are centered on and the withdrawn and minted amounts are valued at.
+     */
+    function _rebalanceLadder(int24 twapTick) internal {
+        uint256 oldTokenId = positionTokenId;
+
+        // 1. Empty and burn every old position
+        uint256[] memory oldTokenIds = positionTokenIds();
+        for (uint256 i = 0; i < oldTokenIds.length; i++) {
+            _closePosition(oldTokenIds[i], twapTick);
+        }
+        backstopTokenId = 0;
+        sellWallTokenId = 0;
+
+        // 2. Mint the new positions with everything held here
+        _adaptTickDistance();
+        (int24 newTickLower, int24 newTickUpper) = rangeAround(twapTick);
+        _mintSellWall(newTickLower, newTickUpper, soonToken.balanceOf(address(this)) * sellWallWeightBIPS / 10000, twapTick);
+        (uint256 amountSOON, uint256 amountRBTC) = _swapToRatio(newTickLower, newTickUpper);
+        uint128 newLiquidity = _mintCoreAndBackstop(twapTick, newTickLower, newTickUpper, amountSOON, amountRBTC, twapTick);
+        ISOONLiquidityFee(address(soonToken)).clearPendingLiquidityTokens();
+        lastRebalanceTimestamp = block.timestamp;
+
+        emit PositionRebalanced(oldTokenId, positionTokenId, newTickLower, newTickUpper, newLiquidity);
+    }
+
+    /**
+     * @notice Internal function to withdraw all of a position's liquidity, valued at `twapTick`, collect it
+     * and burn the empty position.
+     */
+    function _closePosition(uint256 tokenId, int24 twapTick) internal {
+        (int24 tickLower, int24 tickUpper, uint128 liquidity) = _position(tokenId);
+        if (liquidity > 0) {
+            (uint256 amount0Min, uint256 amount1Min) = _minAmounts(twapTick, tickLower, tickUpper, liquidity);
+            INonfungiblePositionManager.DecreaseLiquidityParams memory decreaseParams = INonfungiblePositionManager.DecreaseLiquidityParams({
+                tokenId: tokenId,
+                liquidity: liquidity,
+                amount0Min: amount0Min,
+                amount1Min: amount1Min,
+                deadline: block.timestamp + 600 // 10 minutes deadline
+            });
+            positionManager.decreaseLiquidity(decreaseParams);
+        }
+
+        _collect(tokenId);
+        positionManager.burn(tokenId);
+    }
+
+    /**
+     * @notice Internal function to mint the core position in [tickLower, tickUpper) and, if it has a weight,
+     * the backstop around `centerTick`, which first takes backstopWeightBIPS of the amounts.
+     * @return liquidity The liquidity of the core position.
+     */
+    function _mintCoreAndBackstop(
+        int24 centerTick,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amountSOON,
+        uint256 amountRBTC,
+        int24 valuationTick
+    ) internal returns (uint128 liquidity) {
+        if (backstopWeightBIPS > 0) {
+            (int24 backstopLower, int24 backstopUpper) = _rangeAround(centerTick, backstopTickDistance);
+            (uint256 backstopSOON, uint256 backstopRBTC) = _takenByRange(
+                backstopLower,
+                backstopUpper,
+                amountSOON * backstopWeightBIPS / 10000,
+                amountRBTC * backstopWeightBIPS / 10000
+            );
+            backstopTokenId = _mintLadderPosition(LadderLayer.Backstop, backstopLower, backstopUpper, backstopSOON, backstopRBTC, valuationTick);
+            // The backstop takes a slightly different ratio, so the rest is trimmed to the core range's
+            (amountSOON, amountRBTC) = _takenByRange(tickLower, tickUpper, amountSOON - backstopSOON, amountRBTC - backstopRBTC);
+        }
+        (positionTokenId, liquidity) = _mintPosition(tickLower, tickUpper, amountSOON, amountRBTC, valuationTick);
+    }
+
+    /**
+     * @notice Internal function to mint the sell wall with `amountSOON`: a range sellWallTickDistance wide that
+     * starts at the core range's edge and rises in SOON's price, so it holds only SOON and sells it as the price rises.
+     * @dev Above the core range in the pool's terms when SOON is token0, below it when SOON is token1. Skipped when
+     * the core range already reaches the end of the usable ticks or the pool price is inside the wall's range.
+     */
+    function _mintSellWall(int24 coreTickLower, int24 coreTickUpper, uint256 amountSOON, int24 valuationTick) internal {
+        if (amountSOON == 0) return;
+        int24 spacing = IUniswapV3PoolImmutables(pool()).tickSpacing();
+        int24 width = -_floorTick(-sellWallTickDistance, spacing); // Widened to the tick spacing like rangeAround
+
+        int24 tickLower = coreTickUpper;
+        int24 tickUpper = coreTickUpper + width;
+        if (address(soonToken) > rbtcToken) {
+            tickLower = coreTickLower - width;
+            tickUpper = coreTickLower;
+        }
+        (int24 minTick, int24 maxTick) = _usableTicks(spacing);
+        if (tickLower < minTick) tickLower = minTick;
+        if (tickUpper > maxTick) tickUpper = maxTick;
+        if (tickLower >= tickUpper) return;
+
+        (uint256 sellWallSOON, ) = _takenByRange(tickLower, tickUpper, amountSOON, 0);
+        sellWallTokenId = _mintLadderPosition(LadderLayer.SellWall, tickLower, tickUpper, sellWallSOON, 0, valuationTick);
+    }
+
+    /**
+     * @notice Internal function to mint a backstop or sell wall position, unless there is nothing to add.
+     * @return tokenId The ID of the new position, or 0 if none was minted.
+     */
+    function _mintLadderPosition(
+        LadderLayer layer,
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amountSOON,
+        uint256 amountRBTC,
+        int24 valuationTick
+    ) internal returns (uint256 tokenId) {
+        if (amountSOON == 0 && amountRBTC == 0) return 0;
+        uint128 liquidity;
+        (tokenId, liquidity) = _mintPosition(tickLower, tickUpper, amountSOON, amountRBTC, valuationTick);
+        emit LadderPositionMinted(layer, tokenId, tickLower, tickUpper, liquidity);
+    }
+
+    /**
+     * @notice Internal function to mint a position NFT for this contract.
+     * @dev Ticks are in the pool's terms, so only the amounts are swapped when SOON is token1.
+     */
+    function _mintPosition(
+        int24 tickLower,
+        int24 tickUpper,
+        uint256 amountSOON,
+        uint256 amountRBTC,
+        int24 valuationTick
+    ) internal returns (uint256 tokenId, uint128 liquidity) {
+        bool soonIsToken0 = address(soonToken) < rbtcToken;
+        soonToken.approve(address(positionManager), amountSOON);
+        IERC20(rbtcToken).approve(address(positionManager), amountRBTC);
+
+        (uint256 amount0Min, uint256 amount1Min) = _minAmountsFor(
+            valuationTick,
+            tickLower,
+            tickUpper,
+            soonIsToken0 ? amountSOON : amountRBTC,
+            soonIsToken0 ? amountRBTC : amountSOON
+        );
+
+        INonfungiblePositionManager.MintParams memory params = INonfungiblePositionManager.MintParams({
+            token0: soonIsToken0 ? address(soonToken) : rbtcToken,
+            token1: soonIsToken0 ? rbtcToken : address(soonToken),
+            fee: POOL_FEE,
+            tickLower: tickLower,
+            tickUpper: tickUpper,
+            amount0Desired: soonIsToken0 ? amountSOON : amountRBTC,
+            amount1Desired: soonIsToken0 ? amountRBTC : amountSOON,
+            amount0Min: amount0Min,
+            amount1Min: amount1Min,
+            recipient: address(this), // LP NFT minted to this contract
             deadline: block.timestamp + 600 // 10 minutes deadline
         });
+        (tokenId, liquidity, , ) = positionManager.mint(params);
+    }
+
+    /**
+     * @notice Internal function to get the range `distance` ticks either side of `centerTick`, aligned and
+     * clamped like rangeAround.
+     */
+    function _rangeAround(int24 centerTick, int24 distance) internal view returns (int24 tickLower, int24 tickUpper) {
+        int24 spacing = IUniswapV3PoolImmutables(pool()).tickSpacing();
+        (int24 minTick, int24 maxTick) = _usableTicks(spacing);
+
+        tickLower = _floorTick(centerTick - distance, spacing);
+        tickUpper = _floorTick(centerTick + distance, spacing);
+        if (tickUpper < centerTick + distance) tickUpper += spacing;
 
-        (uint128 newLiquidity, , ) = positionManager.increaseLiquidity(increaseParams);
+        if (tickLower < minTick) tickLower = minTick;
+        if (tickUpper > maxTick) tickUpper = maxTick;
+        // A center at the edge of the tick range still gets a range one spacing wide
+        if (tickLower >= maxTick) tickLower = maxTick - spacing;
+        if (tickUpper <= minTick) tickUpper = minTick + spacing;
+    }
 
-        emit PositionRebalanced(positionTokenId, newTickLower, newTickUpper, newLiquidity);
+    /**
+     * @notice Internal function to get the lowest and highest ticks on `spacing` within MIN_TICK/MAX_TICK.
+     */
+    function _usableTicks(int24 spacing) internal pure returns (int24 minTick, int24 maxTick) {
+        minTick = (TickMath.MIN_TICK / spacing) * spacing;
+        maxTick = (TickMath.MAX_TICK / spacing) * spacing;
+    }
+
+    /**
+     * @notice Internal function to round `tick` down to a multiple of `spacing`.
+     */
+    function _floorTick(int24 tick, int24 spacing) internal pure returns (int24) {
+        int24 compressed = tick / spacing;
+        if (tick < 0 && tick % spacing != 0) compressed--;
+        return compressed * spacing;
     }
 
     // --- Owner Functions ---
 
     /**
-     * @notice Updates the tick distance for the liquidity range.
-     * @param newTickDistance The new tick distance.
+     * @notice Internal function to require the contract not to be locked.
      */
-    function updateTickDistance(int24 newTickDistance) external onlyOwner {
+    function _checkNotLocked() internal view {
         require(!isLocked, "LM: Contract is locked");
-        require(newTickDistance > 0 && newTickDistance < 20000, "LM: Invalid tick distance");
+    }
+
+    /**
+     * @notice Updates the tick distance for the core liquidity range.
+     * @param newTickDistance The new tick distance, above edgeThresholdTicks and below the backstop's while it has a weight.
+     */
+    function updateTickDistance(int24 newTickDistance) external onlyOwner whenNotLocked {
+        require(
+            newTickDistance > edgeThresholdTicks && newTickDistance < 20000 &&
+                (backstopWeightBIPS == 0 || newTickDistance < backstopTickDistance),
+            "LM: Invalid tick distance"
+        );
         tickDistance = newTickDistance;
         emit TickDistanceUpdated(newTickDistance);
     }
@@ -386,13 +1108,152 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
      * @notice Updates the TWAP interval.
      * @param newTwapInterval The new TWAP interval in seconds.
      */
-    function updateTwapInterval(uint32 newTwapInterval) external onlyOwner {
-        require(!isLocked, "LM: Contract is locked");
+    function updateTwapInterval(uint32 newTwapInterval) external onlyOwner whenNotLocked {
         require(newTwapInterval >= 600 && newTwapInterval <= 86400, "LM: Invalid TWAP interval");
         twapIntervalSeconds = newTwapInterval;
         emit TwapIntervalUpdated(newTwapInterval);
     }
 
+    /**
+     * @notice Updates the maximum price impact of a swap-and-liquify swap.
+     * @param newMaxSwapSlippageBIPS The new slippage cap in basis points.
+     */
+    function updateMaxSwapSlippage(uint256 newMaxSwapSlippageBIPS) external onlyOwner whenNotLocked {
+        require(newMaxSwapSlippageBIPS > 0 && newMaxSwapSlippageBIPS <= MAX_SWAP_SLIPPAGE_BIPS, "LM: Invalid swap slippage");
+        maxSwapSlippageBIPS = newMaxSwapSlippageBIPS;
+        emit MaxSwapSlippageUpdated(newMaxSwapSlippageBIPS);
+    }
+
+    /**
+     * @notice Updates how far minted and withdrawn amounts may fall short of their value at the TWAP.
+     * @param newSlippageToleranceBIPS The new tolerance in basis points.
+     */
+    function updateSlippageTolerance(uint256 newSlippageToleranceBIPS) external onlyOwner whenNotLocked {
+        require(newSlippageToleranceBIPS > 0 && newSlippageToleranceBIPS <= MAX_SLIPPAGE_TOLERANCE_BIPS, "LM: Invalid slippage tolerance");
+        slippageToleranceBIPS = newSlippageToleranceBIPS;
+        emit SlippageToleranceUpdated(newSlippageToleranceBIPS);
+    }
+
+    /**
+     * @notice Updates how many ticks the spot price may be from the TWAP for a rebalance.
+     * @param newMaxTwapDeviation The new deviation limit in ticks.
+     */
+    function updateMaxTwapDeviation(int24 newMaxTwapDeviation) external onlyOwner whenNotLocked {
+        require(newMaxTwapDeviation > 0 && newMaxTwapDeviation <= MAX_TWAP_DEVIATION, "LM: Invalid TWAP deviation");
+        maxTwapDeviation = newMaxTwapDeviation;
+        emit MaxTwapDeviationUpdated(newMaxTwapDeviation);
+    }
+
+    /**
+     * @notice Updates when rebalancePosition moves the position.
+     * @param newEdgeThresholdTicks Rebalance once the TWAP is this close to a range edge; 0 waits until it is out of range.
+     * Below tickDistance, and minTickDistance while adaptiveWidthEnabled.
+     * @param newMinRebalanceIntervalSeconds Least time between rebalances, 10 minutes to 7 days.
+     * @param newStalePositionTimeoutSeconds Recenter a position this old even in range; 0 never does.
+     */
+    function updateRebalanceTriggers(
+        int24 newEdgeThresholdTicks,
+        uint32 newMinRebalanceIntervalSeconds,
+        uint32 newStalePositionTimeoutSeconds
+    ) external onlyOwner whenNotLocked {
+        require(
+            newEdgeThresholdTicks >= 0 && newEdgeThresholdTicks < tickDistance &&
+                (!adaptiveWidthEnabled || newEdgeThresholdTicks < minTickDistance),
+            "LM: Invalid edge threshold"
+        );
+        // A floor keeps keepers from rebalancing, and collecting the reward, every block
+        require(
+            newMinRebalanceIntervalSeconds >= 10 minutes && newMinRebalanceIntervalSeconds <= 7 days,
+            "LM: Invalid rebalance interval"
+        );
+        require(
+            newStalePositionTimeoutSeconds == 0 ||
+                (newStalePositionTimeoutSeconds >= 1 days && newStalePositionTimeoutSeconds <= 365 days),
+            "LM: Invalid stale timeout"
+        );
+        edgeThresholdTicks = newEdgeThresholdTicks;
+        minRebalanceIntervalSeconds = newMinRebalanceIntervalSeconds;
+        stalePositionTimeoutSeconds = newStalePositionTimeoutSeconds;
+        emit RebalanceTriggersUpdated(newEdgeThresholdTicks, newMinRebalanceIntervalSeconds, newStalePositionTimeoutSeconds);
+    }
+
+    /**
+     * @notice Updates the share of the fees collected by a rebalance that is paid to its caller.
+     * @param newKeeperRewardBIPS The new reward in basis points.
+     */
+    function updateKeeperReward(uint256 newKeeperRewardBIPS) external onlyOwner whenNotLocked {
+        require(newKeeperRewardBIPS <= MAX_KEEPER_REWARD_BIPS, "LM: Invalid keeper reward");
+        keeperRewardBIPS = newKeeperRewardBIPS;
+        emit KeeperRewardUpdated(newKeeperRewardBIPS);
+    }
+
+    /**
+     * @notice Updates the backstop and sell wall positions, from the next rebalance on.
+     * @param newBackstopWeightBIPS Share of the SOON and RBTC placed in the backstop; 0 mints none.
+     * @param newBackstopTickDistance Width of the backstop range on either side of the TWAP, wider than the core
+     * range (than maxTickDistance while adaptiveWidthEnabled). Not checked while the backstop has no weight.
+     * @param newSellWallWeightBIPS Share of the SOON placed in the sell wall; 0 mints none.
+     * @param newSellWallTickDistance Width of the sell wall range. Not checked while the sell wall has no weight.
+     */
+    function updateLadder(
+        uint256 newBackstopWeightBIPS,
+        int24 newBackstopTickDistance,
+        uint256 newSellWallWeightBIPS,
+        int24 newSellWallTickDistance
+    ) external onlyOwner whenNotLocked {
+        require(
+            newBackstopWeightBIPS <= MAX_LADDER_WEIGHT_BIPS && newSellWallWeightBIPS <= MAX_LADDER_WEIGHT_BIPS,
+            "LM: Invalid ladder weight"
+        );
+        require(
+            newBackstopWeightBIPS == 0 ||
+                (newBackstopTickDistance > (adaptiveWidthEnabled ? maxTickDistance : tickDistance) &&
+                    newBackstopTickDistance <= TickMath.MAX_TICK),
+            "LM: Invalid backstop distance"
+        );
+        require(
+            newSellWallWeightBIPS == 0 || (newSellWallTickDistance > 0 && newSellWallTickDistance <= TickMath.MAX_TICK),
+            "LM: Invalid sell wall distance"
+        );
+        backstopWeightBIPS = newBackstopWeightBIPS;
+        backstopTickDistance = newBackstopTickDistance;
+        sellWallWeightBIPS = newSellWallWeightBIPS;
+        sellWallTickDistance = newSellWallTickDistance;
+        emit LadderUpdated(newBackstopWeightBIPS, newBackstopTickDistance, newSellWallWeightBIPS, newSellWallTickDistance);
+    }
+
+    /**
+     * @notice Updates the adaptive range width, applied from the next mint on.
+     * @param enabled Whether mints set tickDistance from the volatility estimate.
+     * @param newMinTickDistance Narrowest tickDistance, above edgeThresholdTicks.
+     * @param newMaxTickDistance Widest tickDistance, below the backstop's while it has a weight.
+     * @param newVolatilitySamples Consecutive TWAP intervals the volatility is estimated over.
+     * @param newVolatilityMultiplier tickDistance as a multiple of the volatility.
+     */
+    function updateAdaptiveWidth(
+        bool enabled,
+        int24 newMinTickDistance,
+        int24 newMaxTickDistance,
+        uint8 newVolatilitySamples,
+        uint8 newVolatilityMultiplier
+    ) external onlyOwner whenNotLocked {
+        require(
+            newMinTickDistance > edgeThresholdTicks && newMinTickDistance <= newMaxTickDistance && newMaxTickDistance < 20000 &&
+                (backstopWeightBIPS == 0 || newMaxTickDistance < backstopTickDistance),
+            "LM: Invalid adaptive width"
+        );
+        require(
+            newVolatilitySamples >= 2 && newVolatilitySamples <= MAX_VOLATILITY_SAMPLES && newVolatilityMultiplier > 0,
+            "LM: Invalid volatility settings"
+        );
+        adaptiveWidthEnabled = enabled;
+        minTickDistance = newMinTickDistance;
+        maxTickDistance = newMaxTickDistance;
+        volatilitySamples = newVolatilitySamples;
+        volatilityMultiplier = newVolatilityMultiplier;
+        emit AdaptiveWidthUpdated(enabled, newMinTickDistance, newMaxTickDistance, newVolatilitySamples, newVolatilityMultiplier);
+    }
+
     /**
      * @notice Locks the contract, disabling owner functions.
      * This is a one-way operation.
@@ -409,8 +1270,7 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
      * @param amount The amount to rescue.
      * @param to The address to send the tokens to.
      */
-    function rescueTokens(address token, uint256 amount, address to) external onlyOwner {
-        require(!isLocked, "LM: Contract is locked");
+    function rescueTokens(address token, uint256 amount, address to) external onlyOwner whenNotLocked {
         require(token != address(soonToken) && token != rbtcToken, "LM: Cannot rescue SOON or RBTC");
         IERC20(token).transfer(to, amount);
     }
@@ -419,8 +1279,7 @@ contract LiquidityManager is Ownable, ReentrancyGuard, IUniswapV3PoolOracle {
      * @notice Emergency function to rescue native RBTC sent to this contract.
      * @param to The address to send the RBTC to.
      */
-    function rescueRBTC(address payable to) external onlyOwner {
-        require(!isLocked, "LM: Contract is locked");
+    function rescueRBTC(address payable to) external onlyOwner whenNotLocked {
         uint256 balance = address(this).balance;
         require(balance > 0, "LM: No RBTC to rescue");
         to.transfer(balance);
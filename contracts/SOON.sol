@@ -2,20 +2,41 @@
 pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+import "@openzeppelin/contracts/utils/Arrays.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import "@openzeppelin/contracts/utils/Address.sol"; // For sendValue
 
+interface ISOONLiquidityManager {
+    function swapAndLiquify(uint256 amount) external;
+}
+
 /**
  * @title SOON Token
  * @dev A deflationary and reflective memecoin on Rootstock.
  * Features:
- * - 6.9% tax on transfers (configurable).
+ * - 6.9% tax on transfers (configurable), with separate buy, sell and wallet-to-wallet schedules.
  * - Tax distributed to: Reflection for holders, Burn, Liquidity Pool.
  * - RFI-style reflection mechanism.
  * - Excludable addresses from fees and rewards (e.g., LP pair, liquidity manager).
+ * - EIP-2612 permit for gasless approvals, signed over the EIP-712 domain ("SOON", version "1").
+ * - Delegated voting with per-block checkpoints (IERC5805), counting each holder's balance as of
+ *   its last transfer, burn, delegation or syncVotes() call.
+ * - Balance snapshots that record the reflection rate, so historical balances include reflections.
+ * - Launch protection: trading against AMM pairs opens with enableTrading(), plus max transaction,
+ *   max wallet and cooldown limits that can be removed for good.
+ * - Swap-and-liquify: once enough liquidity fee has accrued at the liquidity manager,
+ *   a transfer triggers it to pair the tokens with RBTC and add them to the managed position.
  */
-contract SOON is ERC20, Ownable {
+contract SOON is ERC20, ERC20Permit, Ownable, IERC5805 {
     using Address for address payable;
+    using Checkpoints for Checkpoints.Trace224;
+    using EnumerableSet for EnumerableSet.AddressSet;
 
     // --- Constants & Variables ---
 
@@ -23,50 +44,149 @@ contract SOON is ERC20, Ownable {
     uint256 public constant INITIAL_SUPPLY = 6_942_000_000 * 10**18;
 
     // Tax Configuration (in basis points, 100 bips = 1%)
+    // Wallet-to-wallet schedule, also the default for buys and sells
     uint256 public taxRateBIPS = 690; // 6.9% total tax
     uint256 public reflectionFeeBIPS = 333; // 3.33% for reflection
     uint256 public burnFeeBIPS = 200;       // 2.00% for burn
     uint256 public liquidityFeeBIPS = 157;  // 1.57% for liquidity
 
+    // Which schedule a transfer pays: none (fee-exempt), wallet-to-wallet, from a pair or to a pair
+    enum TaxType { None, Transfer, Buy, Sell }
+
+    struct TaxSchedule {
+        uint256 taxRateBIPS;
+        uint256 reflectionFeeBIPS;
+        uint256 burnFeeBIPS;
+        uint256 liquidityFeeBIPS;
+    }
+
+    TaxSchedule public buyTax = TaxSchedule(690, 333, 200, 157);
+    TaxSchedule public sellTax = TaxSchedule(690, 333, 200, 157);
+
     uint256 public constant MAX_TAX_RATE_BIPS = 1000; // Max 10% tax
     uint256 public constant TOTAL_BIPS = 10000;
 
     address public immutable burnAddress = 0x000000000000000000000000000000000000dEaD;
     address public liquidityManagerAddress;
+    mapping(address => bool) public automatedMarketMakerPairs; // Transfers from a pair are buys, to a pair sells
+
+    // Swap-and-liquify
+    bool public swapAndLiquifyEnabled;
+    uint256 public minTokensBeforeSwap = INITIAL_SUPPLY / 10000; // 0.01% of supply
+    uint256 public pendingLiquidityTokens; // Liquidity fee accrued at the manager since the last swap
+    bool private _inSwapAndLiquify;
+
+    // Launch protection. Fee-exempt accounts are never limited.
+    bool public tradingEnabled; // Until enabled, transfers from or to an AMM pair revert
+    bool public limitsInEffect = true; // Max transaction, max wallet and cooldown; removeLimits() is final
+    uint256 public maxTransactionAmount = INITIAL_SUPPLY / 100; // 1% of supply
+    uint256 public maxWalletBalance = INITIAL_SUPPLY / 50; // 2% of supply
+    uint256 public transferCooldown; // Seconds between AMM trades of one trader, 0 = off
+    uint256 public constant MIN_MAX_TRANSACTION_AMOUNT = INITIAL_SUPPLY / 1000; // 0.1% of supply
+    uint256 public constant MIN_MAX_WALLET_BALANCE = INITIAL_SUPPLY / 200; // 0.5% of supply
+    uint256 public constant MAX_TRANSFER_COOLDOWN = 10 minutes;
+    mapping(address => bool) private _isExcludedFromMaxTransaction;
+    mapping(address => bool) private _isExcludedFromMaxWallet;
+    mapping(address => uint256) private _lastTransferTime;
 
     // RFI Reflection Variables
+    // Every holder's balance is tracked in reflected units (_rOwned). Holders excluded from
+    // rewards additionally keep a token balance (_tOwned), which is what balanceOf reports for them.
     mapping(address => uint256) private _rOwned;
     mapping(address => uint256) private _tOwned;
     uint256 private _tTotal; // Total supply for reflection calculations
     uint256 private _rTotal; // Total reflected supply
+    uint256 private _tBurned; // Tokens destroyed by the burn fee and burn/burnFrom
+    uint256 private _tFeeTotal; // All tax taken so far: reflection, burn and liquidity
+    uint256 private _tReflected; // Tax reflected to holders so far
     uint256 private constant MAX_UINT256 = type(uint256).max;
 
     // Exclusions
     mapping(address => bool) private _isExcludedFromFee;
-    mapping(address => bool) private _isExcludedFromReward;
-    address[] private _excludedFromRewardList; // To iterate for reflection calculations
+    EnumerableSet.AddressSet private _excludedFromReward; // Iterated by every rate calculation, hence the cap
+    uint256 public constant MAX_EXCLUDED_FROM_REWARD = 25;
+
+    // Voting. Reflections raise balances without a transfer, so an account's voting units are
+    // its balance as of the last time it was synced, and only change when it is synced again.
+    bytes32 private constant _DELEGATION_TYPEHASH = keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
+    mapping(address => address) private _delegates;
+    mapping(address => uint256) private _votingUnits;
+    mapping(address => Checkpoints.Trace224) private _delegateCheckpoints;
+    Checkpoints.Trace224 private _totalVotingUnitsCheckpoints;
+
+    // Snapshots. Reflections change balances without touching _rOwned, so each snapshot records the
+    // rate, and an account's _rOwned (or _tOwned while excluded) is copied the first time it changes
+    // after a snapshot. Dividing by the snapshot's rate then gives the exact balance at that time.
+    struct SupplySnapshot {
+        uint256 rate;
+        uint256 totalSupply;
+    }
+
+    struct AccountSnapshots {
+        uint256[] ids;
+        uint256[] balances; // _rOwned, or _tOwned if excludedFromReward
+        bool[] excludedFromReward;
+    }
+
+    uint256 private _currentSnapshotId;
+    mapping(uint256 => SupplySnapshot) private _supplySnapshots;
+    mapping(address => AccountSnapshots) private _accountSnapshots;
+
+    // Token and reflected amounts of a single transfer
+    struct TransferValues {
+        uint256 tAmount;
+        uint256 tTransferAmount;
+        uint256 tReflection;
+        uint256 tBurn;
+        uint256 tLiquidity;
+        uint256 rAmount;
+        uint256 rTransferAmount;
+        uint256 rReflection;
+        uint256 rBurn;
+        uint256 rLiquidity;
+    }
 
     // --- Events ---
     event LiquidityManagerSet(address indexed manager);
     event TaxRateUpdated(uint256 newTaxRateBIPS, uint256 newReflectionFeeBIPS, uint256 newBurnFeeBIPS, uint256 newLiquidityFeeBIPS);
+    event BuyTaxUpdated(uint256 newTaxRateBIPS, uint256 newReflectionFeeBIPS, uint256 newBurnFeeBIPS, uint256 newLiquidityFeeBIPS);
+    event SellTaxUpdated(uint256 newTaxRateBIPS, uint256 newReflectionFeeBIPS, uint256 newBurnFeeBIPS, uint256 newLiquidityFeeBIPS);
+    event AutomatedMarketMakerPairSet(address indexed pair, bool isPair);
+    event TaxApplied(address indexed from, address indexed to, TaxType taxType, uint256 taxAmount);
     event ExcludedFromFee(address indexed account, bool isExcluded);
     event ExcludedFromReward(address indexed account, bool isExcluded);
     event TokensBurned(address indexed from, uint256 amount);
     event LiquidityFeeSent(address indexed to, uint256 amount);
-    event MinTokensBeforeSwapUpdated(uint256 minTokens); // If auto-swap to RBTC for LP is added
+    event MinTokensBeforeSwapUpdated(uint256 minTokens);
+    event SwapAndLiquifyEnabledUpdated(bool enabled);
+    event TradingEnabled(uint256 timestamp);
+    event LimitsRemoved();
+    event MaxTransactionAmountUpdated(uint256 maxTransactionAmount);
+    event MaxWalletBalanceUpdated(uint256 maxWalletBalance);
+    event TransferCooldownUpdated(uint256 cooldown);
+    event ExcludedFromMaxTransaction(address indexed account, bool isExcluded);
+    event ExcludedFromMaxWallet(address indexed account, bool isExcluded);
+    event SwapAndLiquifyTriggered(uint256 amount);
+    event SwapAndLiquifyFailed(uint256 amount);
+    event Snapshot(uint256 id);
 
     // --- Constructor ---
-    constructor() ERC20("SOON", "SOON") {
+    constructor() ERC20("SOON", "SOON") ERC20Permit("SOON") {
         _tTotal = INITIAL_SUPPLY;
         _rTotal = (MAX_UINT256 - (MAX_UINT256 % _tTotal)); // Initialize with a value that maintains precision
 
-        _mint(msg.sender, INITIAL_SUPPLY);
+        // Mint by hand: ERC20._mint would only fill ERC20's own balances, which this contract does not use
+        _rOwned[msg.sender] = _rTotal;
+        emit Transfer(address(0), msg.sender, INITIAL_SUPPLY);
 
         // Deployer is initially excluded from fees and rewards
         _excludeFromFee(msg.sender, true);
         _excludeFromReward(msg.sender, true);
         // Burn address is always excluded from rewards
         _excludeFromReward(burnAddress, true);
+        // Burned tokens pile up at the burn address, so it cannot be held to the max wallet
+        _isExcludedFromMaxWallet[burnAddress] = true;
+        _syncVotes(msg.sender, _getRate());
 
         // Ensure tax components sum up correctly
         require(reflectionFeeBIPS + burnFeeBIPS + liquidityFeeBIPS == taxRateBIPS, "SOON: Tax components mismatch total tax rate");
@@ -83,122 +203,712 @@ contract SOON is ERC20, Ownable {
     }
 
     function balanceOf(address account) public view virtual override returns (uint256) {
-        if (_isExcludedFromReward[account]) {
+        if (_excludedFromReward.contains(account)) {
             return _tOwned[account];
         }
         return tokenFromReflection(_rOwned[account]);
     }
 
+    /**
+     * @dev balanceOf at a rate the caller already computed. Each _getRate() walks every account
+     * excluded from rewards, so a transfer computes it once and again only once it can have changed.
+     */
+    function _balanceOf(address account, uint256 rate) private view returns (uint256) {
+        if (_excludedFromReward.contains(account)) {
+            return _tOwned[account];
+        }
+        return _rOwned[account] / rate;
+    }
+
+    /**
+     * @dev Returns the total amount of tokens destroyed so far.
+     */
+    function totalBurned() external view returns (uint256) {
+        return _tBurned;
+    }
+
+    /**
+     * @dev Returns the supply that can still circulate: totalSupply minus any tokens that
+     * were sent to the burn address with a plain transfer rather than burned.
+     */
+    function circulatingSupply() external view returns (uint256) {
+        return _tTotal - _tOwned[burnAddress];
+    }
+
+    /**
+     * @dev Returns the total tax taken so far, across reflection, burn and liquidity.
+     */
+    function totalFees() external view returns (uint256) {
+        return _tFeeTotal;
+    }
+
+    /**
+     * @dev Returns the total tax reflected to holders so far.
+     */
+    function totalReflected() external view returns (uint256) {
+        return _tReflected;
+    }
+
+    /**
+     * @dev Destroys `amount` tokens from the caller. No tax is charged.
+     */
+    function burn(uint256 amount) external {
+        _burn(_msgSender(), amount);
+    }
+
+    /**
+     * @dev Destroys `amount` tokens from `account`, deducting from the caller's allowance.
+     */
+    function burnFrom(address account, uint256 amount) external {
+        _spendAllowance(account, _msgSender(), amount);
+        _burn(account, amount);
+    }
+
+    /**
+     * @dev Called by the liquidity manager after it added its SOON to the position outside swapAndLiquify,
+     * e.g. when compounding, which spends the accrued liquidity fee too. Calls from anyone else are ignored,
+     * so a manager SOON no longer points at can still compound.
+     */
+    function clearPendingLiquidityTokens() external {
+        if (_msgSender() == liquidityManagerAddress) pendingLiquidityTokens = 0;
+    }
+
     function _transfer(address from, address to, uint256 amount) internal virtual override {
         require(from != address(0), "ERC20: transfer from the zero address");
         require(to != address(0), "ERC20: transfer to the zero address");
         require(amount > 0, "Transfer amount must be greater than zero");
 
-        if (_isExcludedFromFee[from] || _isExcludedFromFee[to] || taxRateBIPS == 0) {
-            _standardTransfer(from, to, amount);
-            return;
+        if (_shouldSwapAndLiquify(from, to)) {
+            _swapAndLiquify();
         }
 
-        // Calculate tax
-        uint256 taxAmount = (amount * taxRateBIPS) / TOTAL_BIPS;
-        uint256 netAmount = amount - taxAmount;
+        uint256 rate = _getRate();
+        require(_balanceOf(from, rate) >= amount, "ERC20: transfer amount exceeds balance");
 
-        // Distribute tax
-        uint256 reflectionShare = (taxAmount * reflectionFeeBIPS) / taxRateBIPS;
-        uint256 burnShare = (taxAmount * burnFeeBIPS) / taxRateBIPS;
-        uint256 liquidityShare = (taxAmount * liquidityFeeBIPS) / taxRateBIPS;
+        (TaxType taxType, TaxSchedule memory schedule) = _getTaxSchedule(from, to);
+        bool takeFee = taxType != TaxType.None;
+        TransferValues memory values = _getValues(amount, schedule, rate);
 
-        // Perform transfers
-        _tOwned[from] -= amount; // Deduct full amount from sender's tOwned
+        _enforceLaunchProtection(from, to, values.tAmount, values.tTransferAmount, rate);
 
-        // Update rOwned for sender
-        if (!_isExcludedFromReward[from]) {
-            _rOwned[from] -= amount * _getRate();
+        _updateAccountSnapshot(from);
+        _updateAccountSnapshot(to);
+        // Move the balances. Excluded holders also keep their token balance in sync.
+        _rOwned[from] -= values.rAmount;
+        if (_excludedFromReward.contains(from)) {
+            _tOwned[from] -= values.tAmount;
         }
-        
-        // 1. Handle Reflection
-        _reflectFee(reflectionShare);
-
-        // 2. Handle Burn
-        if (burnShare > 0) {
-            _tTotal -= burnShare; // Reduce total supply
-            // No need to adjust _rOwned for burnAddress as it's excluded and doesn't receive reflections
-            emit TokensBurned(from, burnShare);
-            emit Transfer(from, burnAddress, burnShare);
+        _rOwned[to] += values.rTransferAmount;
+        if (_excludedFromReward.contains(to)) {
+            _tOwned[to] += values.tTransferAmount;
         }
 
-        // 3. Handle Liquidity Fee
-        if (liquidityShare > 0) {
-            require(liquidityManagerAddress != address(0), "SOON: Liquidity Manager not set");
-            _tOwned[liquidityManagerAddress] += liquidityShare;
-            if(!_isExcludedFromReward[liquidityManagerAddress]){
-                 _rOwned[liquidityManagerAddress] += liquidityShare * _getRate();
-            }
-            emit LiquidityFeeSent(liquidityManagerAddress, liquidityShare);
-            emit Transfer(from, liquidityManagerAddress, liquidityShare);
+        if (takeFee) {
+            // 1. Handle Reflection
+            _reflectFee(values.rReflection, values.tReflection);
+
+            // 2. Handle Burn
+            _burnReflected(from, values.rBurn, values.tBurn);
+
+            // 3. Handle Liquidity Fee
+            _takeLiquidity(from, values.rLiquidity, values.tLiquidity);
+
+            _tFeeTotal += values.tAmount - values.tTransferAmount;
+            emit TaxApplied(from, to, taxType, values.tAmount - values.tTransferAmount);
         }
-        
+
         // 4. Transfer net amount to recipient
-        _tOwned[to] += netAmount;
-        if (!_isExcludedFromReward[to]) {
-            _rOwned[to] += netAmount * _getRate();
+        emit Transfer(from, to, values.tTransferAmount);
+
+        // Reflection, or tokens moving into or out of the excluded supply, can change the rate
+        if (takeFee || _excludedFromReward.contains(from) || _excludedFromReward.contains(to)) {
+            rate = _getRate();
         }
-        emit Transfer(from, to, netAmount);
+        _syncVotes(from, rate);
+        _syncVotes(to, rate);
+        // The manager is credited the liquidity fee outside the sync above, so keep the vote supply in step
+        if (values.tLiquidity > 0) _syncVotes(liquidityManagerAddress, rate);
     }
 
-    function _standardTransfer(address sender, address recipient, uint256 amount) private {
-        uint256 currentRate = _getRate();
-        // Deduct from sender
-        _tOwned[sender] -= amount;
-        if (!_isExcludedFromReward[sender]) {
-            _rOwned[sender] -= amount * currentRate;
+    /**
+     * @notice Previews the tax on a transfer of `amount` from `from` to `to`.
+     * @return taxType The schedule that applies, None if the transfer is untaxed.
+     * @return transferAmount The amount `to` receives, before any reflection it earns itself.
+     * @return reflectionFee The share reflected to holders.
+     * @return burnFee The share burned.
+     * @return liquidityFee The share sent to the liquidity manager.
+     */
+    function quoteTransfer(address from, address to, uint256 amount)
+        external
+        view
+        returns (TaxType taxType, uint256 transferAmount, uint256 reflectionFee, uint256 burnFee, uint256 liquidityFee)
+    {
+        TaxSchedule memory schedule;
+        (taxType, schedule) = _getTaxSchedule(from, to);
+        TransferValues memory values = _getValues(amount, schedule, _getRate());
+        return (taxType, values.tTransferAmount, values.tReflection, values.tBurn, values.tLiquidity);
+    }
+
+    /**
+     * @notice Splits a transfer of `amount` from `from` to `to` the way _transfer will, given the
+     * current schedules and fee exclusions.
+     * @dev A recipient that earns reflections also gets its pro-rata share of `reflectionFee`
+     * on top of `netAmount`; one excluded from rewards gets exactly `netAmount`.
+     * @return netAmount The amount credited to `to`.
+     * @return reflectionFee The share reflected to holders.
+     * @return burnFee The share burned.
+     * @return liquidityFee The share sent to the liquidity manager.
+     */
+    function getTransferBreakdown(address from, address to, uint256 amount)
+        external
+        view
+        returns (uint256 netAmount, uint256 reflectionFee, uint256 burnFee, uint256 liquidityFee)
+    {
+        (, TaxSchedule memory schedule) = _getTaxSchedule(from, to);
+        TransferValues memory values = _getValues(amount, schedule, _getRate());
+        return (values.tTransferAmount, values.tReflection, values.tBurn, values.tLiquidity);
+    }
+
+    /**
+     * @dev Picks the schedule for a transfer. Fee-exempt accounts pay nothing; otherwise transfers
+     * out of a pair are buys, transfers into a pair are sells and the rest are wallet-to-wallet.
+     * A zero schedule counts as untaxed.
+     */
+    function _getTaxSchedule(address from, address to) private view returns (TaxType taxType, TaxSchedule memory schedule) {
+        if (_isExcludedFromFee[from] || _isExcludedFromFee[to]) {
+            return (TaxType.None, schedule);
         }
-        // Add to recipient
-        _tOwned[recipient] += amount;
-        if (!_isExcludedFromReward[recipient]) {
-            _rOwned[recipient] += amount * currentRate;
+        if (automatedMarketMakerPairs[from]) {
+            (taxType, schedule) = (TaxType.Buy, buyTax);
+        } else if (automatedMarketMakerPairs[to]) {
+            (taxType, schedule) = (TaxType.Sell, sellTax);
+        } else {
+            (taxType, schedule) = (TaxType.Transfer, _transferTax());
+        }
+        if (schedule.taxRateBIPS == 0) {
+            taxType = TaxType.None;
         }
-        emit Transfer(sender, recipient, amount);
+    }
+
+    function _transferTax() private view returns (TaxSchedule memory) {
+        return TaxSchedule(taxRateBIPS, reflectionFeeBIPS, burnFeeBIPS, liquidityFeeBIPS);
     }
 
     // --- Reflection (RFI) Logic ---
 
-    function _reflectFee(uint256 tFee) private {
+    /**
+     * @notice Converts a token amount to reflected units at the current rate.
+     * @param tAmount The token amount, at most the total supply.
+     * @param deductTransferFee Whether to take the wallet-to-wallet tax off first.
+     */
+    function reflectionFromToken(uint256 tAmount, bool deductTransferFee) public view returns (uint256) {
+        require(tAmount <= _tTotal, "SOON: Amount must be less than supply");
+        TaxSchedule memory schedule;
+        if (deductTransferFee) {
+            schedule = _transferTax();
+        }
+        return _getValues(tAmount, schedule, _getRate()).rTransferAmount;
+    }
+
+    /**
+     * @notice Converts reflected units to tokens at the current rate.
+     */
+    function tokenFromReflection(uint256 rAmount) public view returns (uint256) {
+        require(rAmount <= _rTotal, "SOON: Amount exceeds rTotal");
+        return rAmount / _getRate();
+    }
+
+    /**
+     * @dev Splits `tAmount` into the recipient's share and the tax components of `schedule`,
+     * in both token and reflected units at `currentRate`.
+     */
+    function _getValues(uint256 tAmount, TaxSchedule memory schedule, uint256 currentRate)
+        private
+        pure
+        returns (TransferValues memory values)
+    {
+        values.tAmount = tAmount;
+        values.tReflection = (tAmount * schedule.reflectionFeeBIPS) / TOTAL_BIPS;
+        values.tBurn = (tAmount * schedule.burnFeeBIPS) / TOTAL_BIPS;
+        values.tLiquidity = (tAmount * schedule.liquidityFeeBIPS) / TOTAL_BIPS;
+        values.tTransferAmount = tAmount - values.tReflection - values.tBurn - values.tLiquidity;
+
+        values.rAmount = tAmount * currentRate;
+        values.rReflection = values.tReflection * currentRate;
+        values.rBurn = values.tBurn * currentRate;
+        values.rLiquidity = values.tLiquidity * currentRate;
+        values.rTransferAmount = values.rAmount - values.rReflection - values.rBurn - values.rLiquidity;
+    }
+
+    /**
+     * @dev Removes the reflection share from the reflected supply, which raises every
+     * included holder's balance pro rata.
+     */
+    function _reflectFee(uint256 rFee, uint256 tFee) private {
         if (tFee == 0) return;
-        _rTotal -= (_rTotal / _tTotal) * tFee; // Effectively increases the share of rTotal per tTotal
+        _rTotal -= rFee;
+        _tReflected += tFee;
         // No explicit Transfer event for reflection, it's implicit in balanceOf changes
     }
 
-    function tokenFromReflection(uint256 rAmount) private view returns (uint256) {
-        require(rAmount <= _rTotal, "Amount exceeds rTotal");
-        if (_rTotal == 0) return 0; // Avoid division by zero if _rTotal somehow becomes 0 (e.g. all tokens burned)
-        return rAmount / _getRate();
+    /**
+     * @dev Destroys tokens already taken out of `from`'s balance, in both token and reflected
+     * units so the rate is unaffected. Burned tokens go to the zero address: they leave
+     * totalSupply and are only counted by totalBurned. Used by the burn fee and by burn/burnFrom.
+     */
+    function _burnReflected(address from, uint256 rBurn, uint256 tBurn) private {
+        if (tBurn == 0) return;
+        _rTotal -= rBurn;
+        _tTotal -= tBurn; // Reduce total supply
+        _tBurned += tBurn;
+        emit TokensBurned(from, tBurn);
+        emit Transfer(from, address(0), tBurn);
+    }
+
+    /**
+     * @dev Burns `amount` of `account`'s tokens without any tax.
+     */
+    function _burn(address account, uint256 amount) internal virtual override {
+        require(account != address(0), "ERC20: burn from the zero address");
+        uint256 rate = _getRate();
+        require(_balanceOf(account, rate) >= amount, "ERC20: burn amount exceeds balance");
+
+        _updateAccountSnapshot(account);
+        uint256 rAmount = amount * rate;
+        _rOwned[account] -= rAmount;
+        if (_excludedFromReward.contains(account)) {
+            _tOwned[account] -= amount;
+        }
+        _burnReflected(account, rAmount, amount);
+        _syncVotes(account, _getRate());
+    }
+
+    function _takeLiquidity(address from, uint256 rLiquidity, uint256 tLiquidity) private {
+        if (tLiquidity == 0) return;
+        require(liquidityManagerAddress != address(0), "SOON: Liquidity Manager not set");
+        _updateAccountSnapshot(liquidityManagerAddress);
+        _rOwned[liquidityManagerAddress] += rLiquidity;
+        if (_excludedFromReward.contains(liquidityManagerAddress)) {
+            _tOwned[liquidityManagerAddress] += tLiquidity;
+        }
+        pendingLiquidityTokens += tLiquidity;
+        emit LiquidityFeeSent(liquidityManagerAddress, tLiquidity);
+        emit Transfer(from, liquidityManagerAddress, tLiquidity);
     }
 
+    // --- Launch Protection ---
+
+    /**
+     * @dev Applies the trading gate and, while limitsInEffect, the max transaction, max wallet and
+     * cooldown limits. Transfers involving a fee-exempt account skip all of them. The max wallet is
+     * checked against what the recipient receives after tax, and never applies to AMM pairs.
+     * The cooldown only applies to trades against a pair and is tracked for the trader: the recipient
+     * on buys, the sender on sells. Wallet transfers, such as airdrop or multisend payouts, never wait.
+     */
+    function _enforceLaunchProtection(address from, address to, uint256 amount, uint256 received, uint256 rate) private {
+        if (_isExcludedFromFee[from] || _isExcludedFromFee[to]) return;
+
+        if (!tradingEnabled) {
+            require(!automatedMarketMakerPairs[from] && !automatedMarketMakerPairs[to], "SOON: Trading is not enabled");
+        }
+        if (!limitsInEffect) return;
+
+        if (!_isExcludedFromMaxTransaction[from] && !_isExcludedFromMaxTransaction[to]) {
+            require(amount <= maxTransactionAmount, "SOON: Transfer amount exceeds max transaction");
+        }
+        if (!_isExcludedFromMaxWallet[to] && !automatedMarketMakerPairs[to]) {
+            require(_balanceOf(to, rate) + received <= maxWalletBalance, "SOON: Balance exceeds max wallet");
+        }
+        if (transferCooldown > 0 && (automatedMarketMakerPairs[from] || automatedMarketMakerPairs[to])) {
+            address trader = automatedMarketMakerPairs[from] ? to : from;
+            require(block.timestamp >= _lastTransferTime[trader] + transferCooldown, "SOON: Transfer cooldown active");
+            _lastTransferTime[trader] = block.timestamp;
+        }
+    }
+
+    // --- Swap-and-liquify ---
+
+    /**
+     * @dev Swap-and-liquify runs once enough fee has accrued, but never while one is already
+     * running, on transfers sent by the manager itself or to or from an AMM pair. A pair moves
+     * SOON inside its own swap or mint, while it is locked, so the manager could not trade there.
+     * A manager without code cannot be called, so it just keeps the fee.
+     */
+    function _shouldSwapAndLiquify(address from, address to) private view returns (bool) {
+        return swapAndLiquifyEnabled &&
+            !_inSwapAndLiquify &&
+            liquidityManagerAddress.code.length > 0 &&
+            !automatedMarketMakerPairs[from] &&
+            !automatedMarketMakerPairs[to] &&
+            from != liquidityManagerAddress &&
+            pendingLiquidityTokens >= minTokensBeforeSwap;
+    }
+
+    /**
+     * @dev Hands the accrued liquidity fee to the manager to swap and add to its position.
+     * A failing swap must not block the transfer, so the amount stays pending for the next attempt.
+     */
+    function _swapAndLiquify() private {
+        uint256 amount = pendingLiquidityTokens;
+        uint256 managerBalance = balanceOf(liquidityManagerAddress);
+        if (amount > managerBalance) amount = managerBalance;
+
+        _inSwapAndLiquify = true;
+        pendingLiquidityTokens = 0;
+        try ISOONLiquidityManager(liquidityManagerAddress).swapAndLiquify(amount) {
+            emit SwapAndLiquifyTriggered(amount);
+        } catch {
+            pendingLiquidityTokens = amount;
+            emit SwapAndLiquifyFailed(amount);
+        }
+        _inSwapAndLiquify = false;
+    }
+
+    /**
+     * @dev Reflected units per token, measured over holders that receive reflections only.
+     */
     function _getRate() private view returns (uint256) {
-        if (_tTotal == 0) return _rTotal; // or some other default/error, avoid div by zero
-        return _rTotal / _tTotal;
+        (uint256 rSupply, uint256 tSupply) = _getCurrentSupply();
+        return rSupply / tSupply;
+    }
+
+    /**
+     * @dev Returns the reflected and token supply held by accounts that are not excluded
+     * from rewards, falling back to the totals if excluded holders own (almost) everything.
+     */
+    function _getCurrentSupply() private view returns (uint256, uint256) {
+        uint256 rSupply = _rTotal;
+        uint256 tSupply = _tTotal;
+        uint256 excludedCount = _excludedFromReward.length();
+        for (uint256 i = 0; i < excludedCount; i++) {
+            address account = _excludedFromReward.at(i);
+            if (_rOwned[account] > rSupply || _tOwned[account] > tSupply) return (_rTotal, _tTotal);
+            rSupply -= _rOwned[account];
+            tSupply -= _tOwned[account];
+        }
+        if (tSupply == 0 || rSupply < _rTotal / _tTotal) return (_rTotal, _tTotal);
+        return (rSupply, tSupply);
+    }
+
+    // --- Voting ---
+
+    /**
+     * @dev Checkpoints are keyed by block number.
+     */
+    function clock() public view override returns (uint48) {
+        return SafeCast.toUint48(block.number);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+
+    /**
+     * @notice Returns the votes currently delegated to `account`.
+     */
+    function getVotes(address account) public view override returns (uint256) {
+        return _delegateCheckpoints[account].latest();
+    }
+
+    /**
+     * @notice Returns the votes delegated to `account` at the end of block `timepoint`, which must be in the past.
+     */
+    function getPastVotes(address account, uint256 timepoint) public view override returns (uint256) {
+        require(timepoint < clock(), "SOON: Future lookup");
+        return _delegateCheckpoints[account].upperLookupRecent(SafeCast.toUint32(timepoint));
+    }
+
+    /**
+     * @notice Returns the total voting units at the end of block `timepoint`, which must be in the past.
+     * @dev This is the sum of all synced balances, delegated or not, and leaves out the burn address.
+     * Reflections not yet synced are not included, so it can be slightly below totalSupply.
+     */
+    function getPastTotalSupply(uint256 timepoint) public view override returns (uint256) {
+        require(timepoint < clock(), "SOON: Future lookup");
+        return _totalVotingUnitsCheckpoints.upperLookupRecent(SafeCast.toUint32(timepoint));
+    }
+
+    /**
+     * @notice Returns the voting units `account` currently counts with: its balance when last synced.
+     */
+    function votingUnits(address account) external view returns (uint256) {
+        return _votingUnits[account];
+    }
+
+    function delegates(address account) public view override returns (address) {
+        return _delegates[account];
+    }
+
+    function delegate(address delegatee) public override {
+        _delegate(_msgSender(), delegatee);
+    }
+
+    /**
+     * @notice Delegates the signer's votes to `delegatee`. Shares its nonces with permit.
+     */
+    function delegateBySig(
+        address delegatee,
+        uint256 nonce,
+        uint256 expiry,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public override {
+        require(block.timestamp <= expiry, "SOON: Signature expired");
+        address signer = ECDSA.recover(
+            _hashTypedDataV4(keccak256(abi.encode(_DELEGATION_TYPEHASH, delegatee, nonce, expiry))),
+            v,
+            r,
+            s
+        );
+        require(nonce == _useNonce(signer), "SOON: Invalid nonce");
+        _delegate(signer, delegatee);
+    }
+
+    /**
+     * @notice Checkpoints the reflections `account` has earned since it was last synced, so they count as votes.
+     * @dev Anyone can call this; it only ever records the account's current balance.
+     */
+    function syncVotes(address account) external {
+        _syncVotes(account, _getRate());
+    }
+
+    /**
+     * @dev Syncs the delegator first, so the full current balance moves to the new delegate.
+     */
+    function _delegate(address account, address delegatee) private {
+        _syncVotes(account, _getRate());
+        address oldDelegate = _delegates[account];
+        _delegates[account] = delegatee;
+        emit DelegateChanged(account, oldDelegate, delegatee);
+        _moveDelegateVotes(oldDelegate, delegatee, _votingUnits[account]);
+    }
+
+    /**
+     * @dev Sets `account`'s voting units to its current balance at `rate` and moves the difference to or
+     * from its delegate and the total. Tokens at the burn address never vote.
+     */
+    function _syncVotes(address account, uint256 rate) private {
+        if (account == burnAddress) return;
+        uint256 units = _votingUnits[account];
+        uint256 balance = _balanceOf(account, rate);
+        if (balance == units) return;
+
+        _votingUnits[account] = balance;
+        uint256 total = _totalVotingUnitsCheckpoints.latest();
+        if (balance > units) {
+            _writeCheckpoint(_totalVotingUnitsCheckpoints, total + (balance - units));
+            _moveDelegateVotes(address(0), _delegates[account], balance - units);
+        } else {
+            _writeCheckpoint(_totalVotingUnitsCheckpoints, total - (units - balance));
+            _moveDelegateVotes(_delegates[account], address(0), units - balance);
+        }
+    }
+
+    function _moveDelegateVotes(address from, address to, uint256 amount) private {
+        if (from == to || amount == 0) return;
+        if (from != address(0)) {
+            (uint256 oldValue, uint256 newValue) =
+                _writeCheckpoint(_delegateCheckpoints[from], _delegateCheckpoints[from].latest() - amount);
+            emit DelegateVotesChanged(from, oldValue, newValue);
+        }
+        if (to != address(0)) {
+            (uint256 oldValue, uint256 newValue) =
+                _writeCheckpoint(_delegateCheckpoints[to], _delegateCheckpoints[to].latest() + amount);
+            emit DelegateVotesChanged(to, oldValue, newValue);
+        }
+    }
+
+    function _writeCheckpoint(Checkpoints.Trace224 storage ckpts, uint256 value) private returns (uint256, uint256) {
+        return ckpts.push(SafeCast.toUint32(clock()), SafeCast.toUint224(value));
+    }
+
+    // --- Snapshots ---
+
+    /**
+     * @notice Returns the id of the latest snapshot, 0 if none was taken.
+     */
+    function getCurrentSnapshotId() external view returns (uint256) {
+        return _currentSnapshotId;
+    }
+
+    /**
+     * @notice Returns `account`'s balance, reflections included, when snapshot `id` was taken.
+     */
+    function balanceOfAt(address account, uint256 id) external view returns (uint256) {
+        SupplySnapshot storage supply = _supplySnapshotAt(id);
+        AccountSnapshots storage snapshots = _accountSnapshots[account];
+
+        // Unchanged since snapshot `id` if nothing was copied at or after it
+        uint256 index = Arrays.findUpperBound(snapshots.ids, id);
+        uint256 balance;
+        bool excluded;
+        if (index == snapshots.ids.length) {
+            excluded = _excludedFromReward.contains(account);
+            balance = excluded ? _tOwned[account] : _rOwned[account];
+        } else {
+            excluded = snapshots.excludedFromReward[index];
+            balance = snapshots.balances[index];
+        }
+
+        if (!excluded) balance /= supply.rate;
+        return balance;
+    }
+
+    /**
+     * @notice Returns the total supply when snapshot `id` was taken.
+     */
+    function totalSupplyAt(uint256 id) external view returns (uint256) {
+        return _supplySnapshotAt(id).totalSupply;
+    }
+
+    function _supplySnapshotAt(uint256 id) private view returns (SupplySnapshot storage) {
+        require(id > 0 && id <= _currentSnapshotId, "SOON: Invalid snapshot id");
+        return _supplySnapshots[id];
+    }
+
+    /**
+     * @dev Copies `account`'s balance for the current snapshot, if not done yet.
+     * Must run before anything changes its _rOwned, _tOwned or reward exclusion.
+     */
+    function _updateAccountSnapshot(address account) private {
+        uint256 currentId = _currentSnapshotId;
+        if (currentId == 0) return;
+        AccountSnapshots storage snapshots = _accountSnapshots[account];
+        uint256 length = snapshots.ids.length;
+        if (length > 0 && snapshots.ids[length - 1] == currentId) return;
+
+        bool excluded = _excludedFromReward.contains(account);
+        snapshots.ids.push(currentId);
+        snapshots.balances.push(excluded ? _tOwned[account] : _rOwned[account]);
+        snapshots.excludedFromReward.push(excluded);
     }
 
     // --- Owner Functions ---
 
+    /**
+     * @notice Records the current balances, e.g. for the next airdrop or reward round.
+     * Export them with scripts/exportSnapshot.js.
+     * @return id The new snapshot id, starting at 1.
+     */
+    function snapshot() external onlyOwner returns (uint256 id) {
+        id = ++_currentSnapshotId;
+        _supplySnapshots[id] = SupplySnapshot({rate: _getRate(), totalSupply: _tTotal});
+        emit Snapshot(id);
+    }
+
     function setLiquidityManager(address _manager) external onlyOwner {
         require(_manager != address(0), "SOON: Manager address cannot be zero");
         liquidityManagerAddress = _manager;
+        pendingLiquidityTokens = 0; // Fees accrued at the old manager stay there
         // It's recommended to exclude the liquidity manager from fees and rewards
         // _excludeFromFee(_manager, true); // Owner should do this explicitly if desired
         // _excludeFromReward(_manager, true); // Owner should do this explicitly if desired
         emit LiquidityManagerSet(_manager);
     }
 
+    /**
+     * @dev Registers or removes an AMM pair, e.g. a pool returned by SushiSwapV3Factory.createPool.
+     * Transfers out of a pair pay the buy tax and transfers into one the sell tax, and neither
+     * triggers swap-and-liquify.
+     */
+    function setAutomatedMarketMakerPair(address pair, bool isPair) external onlyOwner {
+        require(pair != address(0), "SOON: Pair address cannot be zero");
+        require(automatedMarketMakerPairs[pair] != isPair, "SOON: Pair already in specified status");
+        automatedMarketMakerPairs[pair] = isPair;
+        emit AutomatedMarketMakerPairSet(pair, isPair);
+    }
+
+    /**
+     * @dev Opens trading against AMM pairs. This cannot be undone.
+     */
+    function enableTrading() external onlyOwner {
+        require(!tradingEnabled, "SOON: Trading already enabled");
+        tradingEnabled = true;
+        emit TradingEnabled(block.timestamp);
+    }
+
+    /**
+     * @dev Permanently lifts the max transaction, max wallet and cooldown limits.
+     */
+    function removeLimits() external onlyOwner {
+        require(limitsInEffect, "SOON: Limits already removed");
+        limitsInEffect = false;
+        emit LimitsRemoved();
+    }
+
+    /**
+     * @dev Sets the max transaction amount, at least 0.1% of the initial supply.
+     */
+    function setMaxTransactionAmount(uint256 amount) external onlyOwner {
+        require(limitsInEffect, "SOON: Limits removed");
+        require(amount >= MIN_MAX_TRANSACTION_AMOUNT && amount <= INITIAL_SUPPLY, "SOON: Invalid max transaction amount");
+        maxTransactionAmount = amount;
+        emit MaxTransactionAmountUpdated(amount);
+    }
+
+    /**
+     * @dev Sets the max wallet balance, at least 0.5% of the initial supply.
+     */
+    function setMaxWalletBalance(uint256 amount) external onlyOwner {
+        require(limitsInEffect, "SOON: Limits removed");
+        require(amount >= MIN_MAX_WALLET_BALANCE && amount <= INITIAL_SUPPLY, "SOON: Invalid max wallet balance");
+        maxWalletBalance = amount;
+        emit MaxWalletBalanceUpdated(amount);
+    }
+
+    /**
+     * @dev Sets the cooldown between a trader's transfers, at most MAX_TRANSFER_COOLDOWN. Zero turns it off.
+     */
+    function setTransferCooldown(uint256 cooldown) external onlyOwner {
+        require(limitsInEffect, "SOON: Limits removed");
+        require(cooldown <= MAX_TRANSFER_COOLDOWN, "SOON: Invalid cooldown");
+        transferCooldown = cooldown;
+        emit TransferCooldownUpdated(cooldown);
+    }
+
+    function isExcludedFromMaxTransaction(address account) external view returns (bool) {
+        return _isExcludedFromMaxTransaction[account];
+    }
+
+    function excludeFromMaxTransaction(address account, bool excluded) external onlyOwner {
+        require(_isExcludedFromMaxTransaction[account] != excluded, "SOON: Account already in specified max transaction status");
+        _isExcludedFromMaxTransaction[account] = excluded;
+        emit ExcludedFromMaxTransaction(account, excluded);
+    }
+
+    function isExcludedFromMaxWallet(address account) external view returns (bool) {
+        return _isExcludedFromMaxWallet[account];
+    }
+
+    function excludeFromMaxWallet(address account, bool excluded) external onlyOwner {
+        require(_isExcludedFromMaxWallet[account] != excluded, "SOON: Account already in specified max wallet status");
+        _isExcludedFromMaxWallet[account] = excluded;
+        emit ExcludedFromMaxWallet(account, excluded);
+    }
+
+    function setSwapAndLiquifyEnabled(bool enabled) external onlyOwner {
+        swapAndLiquifyEnabled = enabled;
+        emit SwapAndLiquifyEnabledUpdated(enabled);
+    }
+
+    /**
+     * @dev Sets the accrued liquidity fee that triggers swap-and-liquify, at most 1% of supply.
+     */
+    function setMinTokensBeforeSwap(uint256 minTokens) external onlyOwner {
+        require(minTokens > 0 && minTokens <= INITIAL_SUPPLY / 100, "SOON: Invalid swap threshold");
+        minTokensBeforeSwap = minTokens;
+        emit MinTokensBeforeSwapUpdated(minTokens);
+    }
+
     function updateTaxSettings(
         uint256 newTaxRateBIPS,
         uint256 newReflectionFeeBIPS,
         uint256 newBurnFeeBIPS,
         uint256 newLiquidityFeeBIPS
     ) external onlyOwner {
-        require(newTaxRateBIPS <= MAX_TAX_RATE_BIPS, "SOON: Tax rate exceeds maximum");
-        require(newReflectionFeeBIPS + newBurnFeeBIPS + newLiquidityFeeBIPS == newTaxRateBIPS, "SOON: Tax components mismatch total tax rate");
+        _validateTaxSchedule(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
 
         taxRateBIPS = newTaxRateBIPS;
         reflectionFeeBIPS = newReflectionFeeBIPS;
@@ -207,6 +917,51 @@ contract SOON is ERC20, Ownable {
         emit TaxRateUpdated(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
     }
 
+    /**
+     * @dev Sets the schedule for transfers out of an AMM pair.
+     */
+    function updateBuyTaxSettings(
+        uint256 newTaxRateBIPS,
+        uint256 newReflectionFeeBIPS,
+        uint256 newBurnFeeBIPS,
+        uint256 newLiquidityFeeBIPS
+    ) external onlyOwner {
+        _validateTaxSchedule(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+        buyTax = TaxSchedule(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+        emit BuyTaxUpdated(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+    }
+
+    /**
+     * @dev Sets the schedule for transfers into an AMM pair.
+     */
+    function updateSellTaxSettings(
+        uint256 newTaxRateBIPS,
+        uint256 newReflectionFeeBIPS,
+        uint256 newBurnFeeBIPS,
+        uint256 newLiquidityFeeBIPS
+    ) external onlyOwner {
+        _validateTaxSchedule(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+        sellTax = TaxSchedule(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+        emit SellTaxUpdated(newTaxRateBIPS, newReflectionFeeBIPS, newBurnFeeBIPS, newLiquidityFeeBIPS);
+    }
+
+    function _validateTaxSchedule(
+        uint256 newTaxRateBIPS,
+        uint256 newReflectionFeeBIPS,
+        uint256 newBurnFeeBIPS,
+        uint256 newLiquidityFeeBIPS
+    ) private pure {
+        require(newTaxRateBIPS <= MAX_TAX_RATE_BIPS, "SOON: Tax rate exceeds maximum");
+        require(newReflectionFeeBIPS + newBurnFeeBIPS + newLiquidityFeeBIPS == newTaxRateBIPS, "SOON: Tax components mismatch total tax rate");
+    }
+
+    /**
+     * @dev Returns whether transfers to or from `account` skip the tax.
+     */
+    function isExcludedFromFee(address account) external view returns (bool) {
+        return _isExcludedFromFee[account];
+    }
+
     function excludeFromFee(address account, bool excluded) external onlyOwner {
        _excludeFromFee(account, excluded);
     }
@@ -217,34 +972,71 @@ contract SOON is ERC20, Ownable {
         emit ExcludedFromFee(account, excluded);
     }
     
+    /**
+     * @dev Returns whether `account` is left out of reflections and keeps a fixed token balance.
+     */
+    function isExcludedFromReward(address account) external view returns (bool) {
+        return _excludedFromReward.contains(account);
+    }
+
+    /**
+     * @dev Returns how many accounts are excluded from rewards, at most MAX_EXCLUDED_FROM_REWARD.
+     */
+    function excludedFromRewardCount() external view returns (uint256) {
+        return _excludedFromReward.length();
+    }
+
+    /**
+     * @dev Returns up to `limit` accounts excluded from rewards, starting at position `offset`.
+     * Positions are not stable: removing an account moves the last one into its place.
+     */
+    function excludedFromRewardAt(uint256 offset, uint256 limit) external view returns (address[] memory accounts) {
+        uint256 count = _excludedFromReward.length();
+        if (offset >= count) return accounts;
+        // Compared against what is left so a large limit, e.g. type(uint256).max, cannot overflow
+        uint256 end = limit > count - offset ? count : offset + limit;
+
+        accounts = new address[](end - offset);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            accounts[i] = _excludedFromReward.at(offset + i);
+        }
+    }
+
     function excludeFromReward(address account, bool excluded) external onlyOwner {
         _excludeFromReward(account, excluded);
     }
 
+    /**
+     * @dev Excludes or includes several accounts at once. Reverts if any of them already has the status.
+     */
+    function excludeFromRewardBatch(address[] calldata accounts, bool excluded) external onlyOwner {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _excludeFromReward(accounts[i], excluded);
+        }
+    }
+
     function _excludeFromReward(address account, bool excluded) private {
         require(account != address(0), "SOON: Zero address cannot be excluded from reward");
-        require(_isExcludedFromReward[account] != excluded, "SOON: Account already in specified reward status");
+        require(_excludedFromReward.contains(account) != excluded, "SOON: Account already in specified reward status");
+        require(excluded || account != burnAddress, "SOON: Burn address cannot receive rewards");
+        _updateAccountSnapshot(account);
         
         uint256 currentRate = _getRate();
         if (excluded) {
-            // If becoming excluded: store current tOwned, clear rOwned
-            _tOwned[account] = balanceOf(account); // Get actual balance before changing status
-            _rOwned[account] = 0;
-            _excludedFromRewardList.push(account);
+            // If becoming excluded: freeze the current balance in tOwned. rOwned is kept so the
+            // account's share can be taken out of the rate in _getCurrentSupply.
+            require(_excludedFromReward.length() < MAX_EXCLUDED_FROM_REWARD, "SOON: Too many accounts excluded from reward");
+            _tOwned[account] = tokenFromReflection(_rOwned[account]);
+            _excludedFromReward.add(account);
         } else {
-            // If becoming included: calculate rOwned from tOwned, clear tOwned
-            _rOwned[account] = _tOwned[account] * currentRate;
+            // If becoming included: rebase rOwned on tOwned at the current rate. Reflections
+            // that accrued to its stale rOwned while excluded go back to the other holders.
+            uint256 rOwned = _tOwned[account] * currentRate;
+            _rTotal = _rTotal - _rOwned[account] + rOwned;
+            _rOwned[account] = rOwned;
             _tOwned[account] = 0;
-            // Remove from _excludedFromRewardList
-            for (uint i = 0; i < _excludedFromRewardList.length; i++) {
-                if (_excludedFromRewardList[i] == account) {
-                    _excludedFromRewardList[i] = _excludedFromRewardList[_excludedFromRewardList.length - 1];
-                    _excludedFromRewardList.pop();
-                    break;
-                }
-            }
+            _excludedFromReward.remove(account);
         }
-        _isExcludedFromReward[account] = excluded;
         emit ExcludedFromReward(account, excluded);
     }
 
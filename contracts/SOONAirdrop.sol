@@ -3,98 +3,584 @@ pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+interface ISOONFeeExclusion {
+    function isExcludedFromFee(address account) external view returns (bool);
+}
 
 /**
  * @title SOONAirdrop
  * @dev Contract for users to claim their $SOON token airdrop using a Merkle proof.
+ * The contract runs any number of rounds (campaigns). Each round has its own Merkle root,
+ * start time, deadline and funding, and keeps its own claimed bitmap and totals.
+ * The constructor opens round 0; the owner adds later rounds with `addRound`.
+ *
+ * Leaves are keccak256(abi.encodePacked(index, account, amount)) and claims are tracked
+ * in a packed bitmap keyed by index.
+ * Claims can be submitted by the recipient, by anyone on the recipient's behalf,
+ * in batches by a distributor, or by a relayer carrying an EIP-712 signature from the recipient.
+ *
+ * Leaves may optionally carry a vesting schedule:
+ * keccak256(abi.encodePacked(index, account, amount, immediateAmount, cliff, duration)).
+ * `immediateAmount` is paid on claim and the rest unlocks linearly over `duration` seconds
+ * from the round's start time, with nothing unlocking before `cliff` seconds have passed.
+ *
+ * SOON charges its transfer tax unless the sender or recipient is excluded from fees, so the
+ * airdrop should be fee-excluded (see `isFeeExempt`). Either way the contract records what
+ * each claimer actually received: round funding is debited by the gross amount sent and
+ * `ClaimPaid` reports the net amount that reached the recipient.
+ *
+ * A round's Merkle root is locked by the first claim against it (or earlier with `lockRoot`),
+ * after which the owner can no longer swap it. Deadlines can only be extended up to
+ * `MAX_DEADLINE_EXTENSION` past the round's original deadline, and the owner can pause
+ * all claims and releases in an emergency.
  */
-contract SOONAirdrop is Ownable {
-    bytes32 public merkleRoot;
+contract SOONAirdrop is Ownable, Pausable, EIP712 {
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(uint256 roundId,address account,address to,uint256 amount,uint256 nonce,uint256 deadline)");
+    uint64 public constant MAX_DEADLINE_EXTENSION = 180 days; // Cumulative, from the round's original deadline
+
+    struct ClaimData {
+        uint256 index;
+        address account;
+        uint256 amount;
+        bytes32[] proof;
+    }
+
+    struct VestingSchedule {
+        uint256 totalAmount; // Amount subject to vesting (excludes the immediate share)
+        uint256 releasedAmount;
+        uint64 cliff;        // Seconds after the round start before anything unlocks
+        uint64 duration;     // Seconds after the round start until everything is unlocked
+    }
+
+    struct Round {
+        bytes32 merkleRoot;
+        uint64 startTime;    // Claims open at this timestamp; vesting is measured from it
+        uint64 deadline;     // Timestamp after which claims are closed
+        uint64 maxDeadline;  // Latest deadline `extendClaimDeadline` may set
+        bool rootLocked;     // Set by `lockRoot` or the first claim; the root can no longer change
+        uint256 funding;     // Tokens allocated to this round
+        uint256 totalClaimed; // Leaf amounts claimed (gross, debited from funding)
+        uint256 totalReceived; // Tokens that actually reached claimers after any transfer tax
+        bool closed;         // Set once the remaining funding has been swept or rolled over
+    }
+
     IERC20 public immutable soonToken;
-    mapping(address => bool) public claimed;
-    uint256 public totalClaimedAmount;
-    uint256 public claimDeadline; // Timestamp after which claims are closed
+    Round[] public rounds;
+    mapping(uint256 => mapping(uint256 => uint256)) private claimedBitMap; // roundId => word => packed claimed flags
+    mapping(uint256 => mapping(address => VestingSchedule)) public vestingSchedules; // roundId => account => schedule
+    mapping(address => uint256) public nonces; // Per-account nonce for signed claims
+
+    uint256 public totalClaimedAmount; // Across all rounds
+    uint256 public totalVestingLocked; // Claimed but not yet released
+    uint256 public totalReserved;      // Unclaimed round funding plus locked vesting; not available to new rounds
 
-    event Claimed(address indexed recipient, uint256 amount);
-    event MerkleRootUpdated(bytes32 newRoot);
-    event ClaimDeadlineSet(uint256 deadline);
-    event UnclaimedTokensRecovered(address indexed recipient, uint256 amount);
+    event RoundAdded(uint256 indexed roundId, bytes32 merkleRoot, uint64 startTime, uint64 deadline);
+    event RoundFunded(uint256 indexed roundId, uint256 amount);
+    event FundingDeposited(uint256 indexed roundId, uint256 amountSent, uint256 amountReceived);
+    event ClaimPaid(uint256 indexed roundId, address indexed account, address indexed to, uint256 grossAmount, uint256 netAmount);
+    event RoundRolledOver(uint256 indexed fromRoundId, uint256 indexed toRoundId, uint256 amount);
+    event Claimed(uint256 indexed roundId, uint256 index, address indexed recipient, uint256 amount);
+    event ClaimRelayed(uint256 indexed roundId, address indexed account, address indexed to, address relayer);
+    event VestingClaimed(uint256 indexed roundId, uint256 index, address indexed account, uint256 immediateAmount, uint256 lockedAmount, uint64 cliff, uint64 duration);
+    event VestedTokensReleased(uint256 indexed roundId, address indexed account, uint256 amount);
+    event MerkleRootUpdated(uint256 indexed roundId, bytes32 newRoot);
+    event ClaimDeadlineSet(uint256 indexed roundId, uint256 deadline);
+    event ClaimStartTimeSet(uint256 indexed roundId, uint256 startTime);
+    event MerkleRootLocked(uint256 indexed roundId);
+    event UnclaimedTokensRecovered(uint256 indexed roundId, address indexed recipient, uint256 amount);
 
     /**
-     * @param _root The Merkle root of the airdrop distribution.
+     * @param _root The Merkle root of the first round (round 0).
      * @param _soonTokenAddress The address of the $SOON token.
-     * @param _claimPeriodDays The number of days the claim period will be open.
+     * @param _claimPeriodDays The number of days the first round will be open.
+     * @dev Round 0 starts immediately and must be funded with `fundRound` once tokens are sent in.
      */
-    constructor(bytes32 _root, address _soonTokenAddress, uint256 _claimPeriodDays) {
+    constructor(bytes32 _root, address _soonTokenAddress, uint256 _claimPeriodDays) EIP712("SOONAirdrop", "1") {
         require(_soonTokenAddress != address(0), "Airdrop: SOON token address cannot be zero");
         require(_claimPeriodDays > 0, "Airdrop: Claim period must be positive");
 
-        merkleRoot = _root;
         soonToken = IERC20(_soonTokenAddress);
-        claimDeadline = block.timestamp + (_claimPeriodDays * 1 days);
-        emit MerkleRootUpdated(_root);
-        emit ClaimDeadlineSet(claimDeadline);
+        _addRound(_root, uint64(block.timestamp), uint64(block.timestamp + (_claimPeriodDays * 1 days)));
+    }
+
+    // --- Views ---
+
+    /**
+     * @notice Returns the number of rounds created so far.
+     */
+    function roundCount() external view returns (uint256) {
+        return rounds.length;
+    }
+
+    /**
+     * @notice Returns whether the leaf at `index` has been claimed in a round.
+     * @param roundId The round to check.
+     * @param index The index of the leaf in the round's Merkle tree.
+     */
+    function isClaimed(uint256 roundId, uint256 index) public view returns (bool) {
+        uint256 claimedWord = claimedBitMap[roundId][index / 256];
+        uint256 mask = 1 << (index % 256);
+        return claimedWord & mask == mask;
     }
 
+    /**
+     * @notice Returns the round funding that has not been claimed yet.
+     */
+    function remainingFunding(uint256 roundId) public view returns (uint256) {
+        Round storage round = _getRound(roundId);
+        if (round.closed) return 0;
+        return round.funding - round.totalClaimed;
+    }
+
+    /**
+     * @notice Returns whether SOON excludes this contract from its transfer tax.
+     * If not, claimers receive their leaf amount minus the tax.
+     */
+    function isFeeExempt() public view returns (bool) {
+        try ISOONFeeExclusion(address(soonToken)).isExcludedFromFee(address(this)) returns (bool excluded) {
+            return excluded;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @notice Returns the tokens held by the contract that are not allocated to any round
+     * or vesting schedule. This is what `fundRound` can draw from.
+     */
+    function unallocatedBalance() public view returns (uint256) {
+        return soonToken.balanceOf(address(this)) - totalReserved;
+    }
+
+    // --- Claims ---
+
     /**
      * @notice Allows a user to claim their airdropped tokens.
+     * @param roundId The round to claim from.
+     * @param index The index of the user's leaf in the Merkle tree.
      * @param amount The amount of tokens the user is eligible for.
      * @param proof The Merkle proof verifying the user's eligibility.
      */
-    function claim(uint256 amount, bytes32[] calldata proof) external {
-        require(block.timestamp <= claimDeadline, "Airdrop: Claim period has ended");
-        require(!claimed[msg.sender], "Airdrop: Tokens already claimed");
-        require(amount > 0, "Airdrop: Claim amount must be positive");
+    function claim(uint256 roundId, uint256 index, uint256 amount, bytes32[] calldata proof) external whenNotPaused {
+        _claim(roundId, index, msg.sender, msg.sender, amount, proof);
+    }
 
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender, amount));
-        require(MerkleProof.verify(proof, merkleRoot, leaf), "Airdrop: Invalid Merkle proof");
+    /**
+     * @notice Claims on behalf of a recipient, e.g. one with no RBTC for gas.
+     * Tokens are always paid to the recipient in the Merkle leaf, never to the caller.
+     * @param roundId The round to claim from.
+     * @param index The index of the recipient's leaf in the Merkle tree.
+     * @param recipient The address in the Merkle leaf.
+     * @param amount The amount of tokens the recipient is eligible for.
+     * @param proof The Merkle proof verifying the recipient's eligibility.
+     */
+    function claimFor(uint256 roundId, uint256 index, address recipient, uint256 amount, bytes32[] calldata proof) external whenNotPaused {
+        _claim(roundId, index, recipient, recipient, amount, proof);
+        emit ClaimRelayed(roundId, recipient, recipient, msg.sender);
+    }
 
-        claimed[msg.sender] = true;
+    /**
+     * @notice Pushes many claims in one transaction. Each claim pays the account in its leaf.
+     * Already claimed indices are skipped so a batch is not blocked by users who claimed themselves.
+     * @param roundId The round to claim from.
+     * @param claims The leaves and proofs to claim.
+     */
+    function batchClaim(uint256 roundId, ClaimData[] calldata claims) external whenNotPaused {
+        for (uint256 i = 0; i < claims.length; i++) {
+            ClaimData calldata data = claims[i];
+            if (isClaimed(roundId, data.index)) continue;
+            _claim(roundId, data.index, data.account, data.account, data.amount, data.proof);
+        }
+    }
+
+    /**
+     * @notice Claims using an EIP-712 signature from the eligible account, so a sponsor
+     * or relayer can pay the gas. The signer chooses where the tokens are sent.
+     * @dev `to` is not guaranteed: the leaf is public once the proof is, so anyone can claim it
+     * first through `claimFor` (or `batchClaim`), which pays `account` itself. The signature is
+     * then unusable because the index is already claimed. Signers who need the tokens at `to`
+     * should not rely on this path alone.
+     * @param roundId The round to claim from.
+     * @param index The index of the account's leaf in the Merkle tree.
+     * @param account The address in the Merkle leaf (and the signer).
+     * @param to The address to receive the tokens.
+     * @param amount The amount of tokens the account is eligible for.
+     * @param proof The Merkle proof verifying the account's eligibility.
+     * @param deadline Timestamp after which the signature is no longer valid.
+     * @param signature The account's signature over the Claim struct.
+     */
+    function claimWithSignature(
+        uint256 roundId,
+        uint256 index,
+        address account,
+        address to,
+        uint256 amount,
+        bytes32[] calldata proof,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        require(block.timestamp <= deadline, "Airdrop: Signature expired");
+        require(to != address(0), "Airdrop: Recipient cannot be zero address");
+
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, roundId, account, to, amount, nonces[account]++, deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        require(signer == account, "Airdrop: Invalid signature");
+
+        _claim(roundId, index, account, to, amount, proof);
+        emit ClaimRelayed(roundId, account, to, msg.sender);
+    }
+
+    /**
+     * @notice Claims a leaf that carries a vesting schedule. The immediate share is paid now
+     * and the rest can be withdrawn over time with `release()`.
+     * @param roundId The round to claim from.
+     * @param index The index of the user's leaf in the Merkle tree.
+     * @param amount The total amount of tokens the user is eligible for.
+     * @param immediateAmount The part of `amount` unlocked at claim time.
+     * @param cliff Seconds after the round start before any of the remainder unlocks.
+     * @param duration Seconds after the round start until the remainder is fully unlocked.
+     * @param proof The Merkle proof verifying the user's eligibility.
+     */
+    function claimVesting(
+        uint256 roundId,
+        uint256 index,
+        uint256 amount,
+        uint256 immediateAmount,
+        uint64 cliff,
+        uint64 duration,
+        bytes32[] calldata proof
+    ) external whenNotPaused {
+        require(immediateAmount <= amount, "Airdrop: Immediate amount exceeds total");
+        require(cliff <= duration, "Airdrop: Cliff exceeds duration");
+        require(immediateAmount == amount || duration > 0, "Airdrop: Vesting duration must be positive");
+
+        bytes32 leaf = keccak256(abi.encodePacked(index, msg.sender, amount, immediateAmount, cliff, duration));
+        _useLeaf(roundId, index, amount, leaf, proof);
+
+        uint256 lockedAmount = amount - immediateAmount;
+        if (lockedAmount > 0) {
+            // One schedule per account and round, so a second vesting leaf cannot overwrite the first
+            require(vestingSchedules[roundId][msg.sender].totalAmount == 0, "Airdrop: Vesting schedule already exists");
+            vestingSchedules[roundId][msg.sender] = VestingSchedule({
+                totalAmount: lockedAmount,
+                releasedAmount: 0,
+                cliff: cliff,
+                duration: duration
+            });
+            totalVestingLocked += lockedAmount;
+        }
+
+        // The locked part stays reserved until it is released
+        totalReserved -= immediateAmount;
+        if (immediateAmount > 0) {
+            _payout(roundId, msg.sender, msg.sender, immediateAmount);
+        }
+        emit Claimed(roundId, index, msg.sender, amount);
+        emit VestingClaimed(roundId, index, msg.sender, immediateAmount, lockedAmount, cliff, duration);
+    }
+
+    /**
+     * @notice Withdraws the caller's vested tokens from a round that have not been released yet.
+     * @param roundId The round the vesting schedule belongs to.
+     */
+    function release(uint256 roundId) external whenNotPaused {
+        uint256 amount = releasableAmount(roundId, msg.sender);
+        require(amount > 0, "Airdrop: Nothing to release");
+
+        vestingSchedules[roundId][msg.sender].releasedAmount += amount;
+        totalVestingLocked -= amount;
+        totalReserved -= amount;
+
+        _payout(roundId, msg.sender, msg.sender, amount);
+        emit VestedTokensReleased(roundId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Returns how much of an account's vesting allocation in a round has unlocked so far,
+     * including any amount already released.
+     */
+    function vestedAmount(uint256 roundId, address account) public view returns (uint256) {
+        VestingSchedule memory schedule = vestingSchedules[roundId][account];
+        if (schedule.totalAmount == 0) return 0;
+
+        uint256 elapsed = block.timestamp - rounds[roundId].startTime;
+        if (elapsed < schedule.cliff) return 0;
+        if (elapsed >= schedule.duration) return schedule.totalAmount;
+        return (schedule.totalAmount * elapsed) / schedule.duration;
+    }
+
+    /**
+     * @notice Returns how much of an account's vesting allocation in a round has been withdrawn.
+     */
+    function releasedAmount(uint256 roundId, address account) external view returns (uint256) {
+        return vestingSchedules[roundId][account].releasedAmount;
+    }
+
+    /**
+     * @notice Returns how much an account can withdraw from a round right now with `release()`.
+     */
+    function releasableAmount(uint256 roundId, address account) public view returns (uint256) {
+        return vestedAmount(roundId, account) - vestingSchedules[roundId][account].releasedAmount;
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used for signed claims.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Verifies the leaf at `index` for `account` and pays `to`.
+     */
+    function _claim(uint256 roundId, uint256 index, address account, address to, uint256 amount, bytes32[] calldata proof) internal {
+        bytes32 leaf = keccak256(abi.encodePacked(index, account, amount));
+        _useLeaf(roundId, index, amount, leaf, proof);
+
+        totalReserved -= amount;
+        _payout(roundId, account, to, amount);
+        emit Claimed(roundId, index, account, amount);
+    }
+
+    /**
+     * @dev Sends `amount` to `to` and records how much actually arrived, which is less than
+     * `amount` when SOON taxes the transfer.
+     * @return received The increase in the recipient's balance.
+     */
+    function _payout(uint256 roundId, address account, address to, uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = soonToken.balanceOf(to);
+        require(soonToken.transfer(to, amount), "Airdrop: Token transfer failed");
+        received = soonToken.balanceOf(to) - balanceBefore;
+
+        rounds[roundId].totalReceived += received;
+        emit ClaimPaid(roundId, account, to, amount, received);
+    }
+
+    /**
+     * @dev Checks the round's claim window and proof for `leaf`, marks `index` claimed and
+     * makes sure the round's remaining funding covers `amount`. The first claim locks the root.
+     */
+    function _useLeaf(uint256 roundId, uint256 index, uint256 amount, bytes32 leaf, bytes32[] calldata proof) internal {
+        Round storage round = _getRound(roundId);
+        require(block.timestamp >= round.startTime, "Airdrop: Claim period has not started");
+        require(block.timestamp <= round.deadline && !round.closed, "Airdrop: Claim period has ended");
+        require(!isClaimed(roundId, index), "Airdrop: Tokens already claimed");
+        require(amount > 0, "Airdrop: Claim amount must be positive");
+        require(MerkleProof.verify(proof, round.merkleRoot, leaf), "Airdrop: Invalid Merkle proof");
+        require(round.funding - round.totalClaimed >= amount, "Airdrop: Insufficient tokens in contract for this claim");
+
+        if (!round.rootLocked) _lockRoot(roundId);
+        claimedBitMap[roundId][index / 256] |= (1 << (index % 256));
+        round.totalClaimed += amount;
         totalClaimedAmount += amount;
+    }
+
+    // --- Owner Functions ---
+
+    /**
+     * @notice Adds a new claim round.
+     * @param merkleRoot The Merkle root of the round's distribution.
+     * @param startTime Timestamp at which claims open.
+     * @param deadline Timestamp after which claims are closed.
+     * @return roundId The id of the new round.
+     */
+    function addRound(bytes32 merkleRoot, uint64 startTime, uint64 deadline) external onlyOwner returns (uint256 roundId) {
+        require(deadline > startTime && deadline > block.timestamp, "Airdrop: Invalid round window");
+        return _addRound(merkleRoot, startTime, deadline);
+    }
+
+    /**
+     * @notice Allocates tokens already held by the contract to a round.
+     * Send SOON to the contract first; only the unallocated balance can be assigned.
+     * @param roundId The round to fund.
+     * @param amount The amount of tokens to allocate.
+     */
+    function fundRound(uint256 roundId, uint256 amount) external onlyOwner {
+        _fundRound(roundId, amount);
+    }
+
+    /**
+     * @notice Pulls SOON from the caller and allocates what actually arrived to a round.
+     * If the transfer is taxed, only the net amount received is counted as funding.
+     * @dev The caller must approve this contract for `amount` first.
+     * @param roundId The round to fund.
+     * @param amount The amount of tokens to send.
+     */
+    function depositAndFund(uint256 roundId, uint256 amount) external onlyOwner {
+        uint256 balanceBefore = soonToken.balanceOf(address(this));
+        require(soonToken.transferFrom(msg.sender, address(this), amount), "Airdrop: Token transfer failed");
+        uint256 received = soonToken.balanceOf(address(this)) - balanceBefore;
+
+        emit FundingDeposited(roundId, amount, received);
+        _fundRound(roundId, received);
+    }
+
+    /**
+     * @notice Updates a round's Merkle root (e.g., if a correction is needed before claims start).
+     * @dev Only callable by the owner, and only until the root is locked by `lockRoot` or the first claim.
+     */
+    function updateMerkleRoot(uint256 roundId, bytes32 _newRoot) external onlyOwner {
+        Round storage round = _getRound(roundId);
+        require(!round.rootLocked, "Airdrop: Merkle root is locked");
+        require(block.timestamp < round.deadline, "Airdrop: Cannot update root after claim period starts or ends");
+        round.merkleRoot = _newRoot;
+        emit MerkleRootUpdated(roundId, _newRoot);
+    }
+
+    /**
+     * @notice Permanently fixes a round's Merkle root. The first claim in a round does this automatically.
+     * @param roundId The round to lock.
+     */
+    function lockRoot(uint256 roundId) external onlyOwner {
+        require(!_getRound(roundId).rootLocked, "Airdrop: Merkle root already locked");
+        _lockRoot(roundId);
+    }
 
-        uint256 contractBalance = soonToken.balanceOf(address(this));
-        require(contractBalance >= amount, "Airdrop: Insufficient tokens in contract for this claim");
-        
-        require(soonToken.transfer(msg.sender, amount), "Airdrop: Token transfer failed");
-        emit Claimed(msg.sender, amount);
+    /**
+     * @notice Moves a round's claim start time, e.g. to open round 0 later than deployment.
+     * Only possible while nobody has claimed from the round and its root is not locked.
+     * @param roundId The round to update.
+     * @param startTime The new timestamp at which claims open.
+     */
+    function setClaimStartTime(uint256 roundId, uint64 startTime) external onlyOwner {
+        Round storage round = _getRound(roundId);
+        require(!round.rootLocked, "Airdrop: Merkle root is locked");
+        require(startTime < round.deadline, "Airdrop: Invalid round window");
+        round.startTime = startTime;
+        emit ClaimStartTimeSet(roundId, startTime);
     }
 
     /**
-     * @notice Updates the Merkle root (e.g., if a correction is needed before claims start).
-     * @dev Only callable by the owner. Should be used with extreme caution.
-     * Best to set it once correctly in the constructor.
+     * @notice Stops all claims and vesting releases until `unpause` is called.
      */
-    function updateMerkleRoot(bytes32 _newRoot) external onlyOwner {
-        require(block.timestamp < claimDeadline, "Airdrop: Cannot update root after claim period starts or ends");
-        // Potentially add a check that totalClaimedAmount is 0 if updates are allowed after deployment
-        merkleRoot = _newRoot;
-        emit MerkleRootUpdated(_newRoot);
+    function pause() external onlyOwner {
+        _pause();
     }
 
     /**
-     * @notice Allows the owner to recover unclaimed SOON tokens after the claim deadline.
+     * @notice Resumes claims and vesting releases.
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Allows the owner to recover a round's unclaimed SOON tokens after its deadline.
      * These tokens can then be burned or used for other community purposes as decided.
+     * Tokens locked in vesting schedules stay in the contract.
+     * @param roundId The expired round to sweep.
      * @param recipient The address to send the unclaimed tokens to (e.g., burn address or treasury).
      */
-    function recoverUnclaimedTokens(address recipient) external onlyOwner {
-        require(block.timestamp > claimDeadline, "Airdrop: Claim period not yet ended");
+    function recoverUnclaimedTokens(uint256 roundId, address recipient) external onlyOwner {
+        require(block.timestamp > _getRound(roundId).deadline, "Airdrop: Claim period not yet ended");
         require(recipient != address(0), "Airdrop: Recipient cannot be zero address");
 
-        uint256 unclaimedBalance = soonToken.balanceOf(address(this));
-        if (unclaimedBalance > 0) {
-            require(soonToken.transfer(recipient, unclaimedBalance), "Airdrop: Recovery transfer failed");
-            emit UnclaimedTokensRecovered(recipient, unclaimedBalance);
+        uint256 unclaimed = _closeRound(roundId);
+        if (unclaimed > 0) {
+            require(soonToken.transfer(recipient, unclaimed), "Airdrop: Recovery transfer failed");
+            emit UnclaimedTokensRecovered(roundId, recipient, unclaimed);
         }
     }
 
     /**
-     * @notice Allows the owner to extend the claim deadline.
+     * @notice Allows the owner to withdraw tokens that were sent to the contract but never
+     * allocated to a round. Round funding and locked vesting tokens cannot be touched.
+     * @param recipient The address to send the tokens to.
+     */
+    function recoverUnallocatedTokens(address recipient) external onlyOwner {
+        require(recipient != address(0), "Airdrop: Recipient cannot be zero address");
+        uint256 amount = unallocatedBalance();
+        require(amount > 0, "Airdrop: No unallocated tokens");
+        require(soonToken.transfer(recipient, amount), "Airdrop: Recovery transfer failed");
+    }
+
+    /**
+     * @notice Moves an expired round's unclaimed tokens into another round's funding.
+     * @param fromRoundId The expired round.
+     * @param toRoundId A round that is still open.
+     */
+    function rolloverUnclaimedTokens(uint256 fromRoundId, uint256 toRoundId) external onlyOwner {
+        require(block.timestamp > _getRound(fromRoundId).deadline, "Airdrop: Claim period not yet ended");
+        Round storage target = _getRound(toRoundId);
+        require(!target.closed && block.timestamp <= target.deadline, "Airdrop: Round has ended");
+
+        uint256 unclaimed = _closeRound(fromRoundId);
+        target.funding += unclaimed;
+        totalReserved += unclaimed;
+        emit RoundRolledOver(fromRoundId, toRoundId, unclaimed);
+        emit RoundFunded(toRoundId, unclaimed);
+    }
+
+    /**
+     * @notice Allows the owner to extend a round's claim deadline, at most
+     * `MAX_DEADLINE_EXTENSION` past the deadline the round was created with.
+     * @param roundId The round to extend.
      * @param newClaimDeadline The new timestamp for the claim deadline.
      */
-    function extendClaimDeadline(uint256 newClaimDeadline) external onlyOwner {
-        require(newClaimDeadline > claimDeadline, "Airdrop: New deadline must be in the future");
-        claimDeadline = newClaimDeadline;
-        emit ClaimDeadlineSet(claimDeadline);
+    function extendClaimDeadline(uint256 roundId, uint64 newClaimDeadline) external onlyOwner {
+        Round storage round = _getRound(roundId);
+        require(!round.closed, "Airdrop: Round has ended");
+        require(newClaimDeadline > round.deadline, "Airdrop: New deadline must be in the future");
+        require(newClaimDeadline <= round.maxDeadline, "Airdrop: Deadline extension exceeds maximum");
+        round.deadline = newClaimDeadline;
+        emit ClaimDeadlineSet(roundId, newClaimDeadline);
+    }
+
+    // --- Internal Helpers ---
+
+    function _addRound(bytes32 merkleRoot, uint64 startTime, uint64 deadline) private returns (uint256 roundId) {
+        roundId = rounds.length;
+        rounds.push(Round({
+            merkleRoot: merkleRoot,
+            startTime: startTime,
+            deadline: deadline,
+            maxDeadline: deadline + MAX_DEADLINE_EXTENSION,
+            rootLocked: false,
+            funding: 0,
+            totalClaimed: 0,
+            totalReceived: 0,
+            closed: false
+        }));
+        emit RoundAdded(roundId, merkleRoot, startTime, deadline);
+        emit MerkleRootUpdated(roundId, merkleRoot);
+        emit ClaimDeadlineSet(roundId, deadline);
+    }
+
+    function _lockRoot(uint256 roundId) private {
+        rounds[roundId].rootLocked = true;
+        emit MerkleRootLocked(roundId);
+    }
+
+    function _fundRound(uint256 roundId, uint256 amount) private {
+        Round storage round = _getRound(roundId);
+        require(!round.closed && block.timestamp <= round.deadline, "Airdrop: Round has ended");
+        require(amount > 0 && amount <= unallocatedBalance(), "Airdrop: Insufficient unallocated tokens");
+
+        round.funding += amount;
+        totalReserved += amount;
+        emit RoundFunded(roundId, amount);
+    }
+
+    /**
+     * @dev Marks a round closed and releases its unclaimed funding from the reserve.
+     * @return unclaimed The funding that was left in the round.
+     */
+    function _closeRound(uint256 roundId) private returns (uint256 unclaimed) {
+        Round storage round = rounds[roundId];
+        require(!round.closed, "Airdrop: Round already closed");
+        unclaimed = round.funding - round.totalClaimed;
+        round.closed = true;
+        totalReserved -= unclaimed;
+    }
+
+    function _getRound(uint256 roundId) private view returns (Round storage) {
+        require(roundId < rounds.length, "Airdrop: Round does not exist");
+        return rounds[roundId];
     }
 }
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title SOONTimelock
+ * @dev Timelock that owns SOON and LiquidityManager, so that owner actions such as tax changes,
+ * exclusions, range parameters and rescues are queued and can only run after a delay.
+ * Proposers queue calls with schedule/scheduleBatch (CallScheduled), executors run them with
+ * execute/executeBatch once the delay has passed (CallExecuted), and cancellers can drop a pending
+ * call with cancel (Cancelled). Proposers are also granted the canceller role.
+ * The delay can only be changed by the timelock itself, i.e. through a call that waited out the current delay.
+ */
+contract SOONTimelock is TimelockController {
+    uint256 public constant MIN_DELAY = 1 days;
+
+    // TimelockController keeps its delay private, so the current one is tracked here instead
+    uint256 private _delay;
+
+    /**
+     * @param minDelay Initial delay for queued calls, at least MIN_DELAY.
+     * @param proposers Accounts that can queue and cancel calls.
+     * @param executors Accounts that can execute ready calls; include address(0) to let anyone execute.
+     * @param admin Optional account that can manage roles; address(0) leaves role changes to the timelock itself.
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {
+        require(minDelay >= MIN_DELAY, "Timelock: Delay below minimum");
+        _delay = minDelay;
+    }
+
+    /**
+     * @dev Returns the delay queued calls must wait, as set in the constructor or by updateDelay.
+     */
+    function getMinDelay() public view override returns (uint256) {
+        return _delay;
+    }
+
+    /**
+     * @dev Same as TimelockController.updateDelay, but the new delay must also be at least MIN_DELAY,
+     * so a queued call cannot lower the delay to zero and make later calls immediate.
+     */
+    function updateDelay(uint256 newDelay) external override {
+        require(msg.sender == address(this), "TimelockController: caller must be timelock");
+        require(newDelay >= MIN_DELAY, "Timelock: Delay below minimum");
+        emit MinDelayChange(_delay, newDelay);
+        _delay = newDelay;
+    }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../libraries/TickMath.sol";
+
+/**
+ * @dev Pool oracle for local testing whose spot tick and TWAP tick are set directly, to simulate a
+ * manipulated spot price or a TWAP that has moved. Implements the slot0/observe subset LiquidityManager reads.
+ */
+contract MockPoolOracle {
+    int24 public tick;
+    int24 public twapTick;
+    uint32 public historyInterval;
+    int24[] public tickHistory;
+
+    constructor(int24 _tick, int24 _twapTick) {
+        setTicks(_tick, _twapTick);
+    }
+
+    function setTicks(int24 _tick, int24 _twapTick) public {
+        require(_tick >= TickMath.MIN_TICK && _tick <= TickMath.MAX_TICK, "T");
+        require(_twapTick >= TickMath.MIN_TICK && _twapTick <= TickMath.MAX_TICK, "T");
+        tick = _tick;
+        twapTick = _twapTick;
+    }
+
+    /**
+     * @dev Sets the average tick of each `interval`-second window before now, newest first, to simulate a
+     * volatile price. Any earlier time averages to twapTick.
+     */
+    function setTickHistory(uint32 interval, int24[] calldata ticks) external {
+        historyInterval = interval;
+        tickHistory = ticks;
+    }
+
+    function slot0()
+        external
+        view
+        returns (
+            uint160,
+            int24,
+            uint16 observationIndex,
+            uint16 observationCardinality,
+            uint16 observationCardinalityNext,
+            uint8 feeProtocol,
+            bool unlocked
+        )
+    {
+        return (TickMath.getSqrtRatioAtTick(tick), tick, 0, 1, 1, 0, true);
+    }
+
+    /**
+     * @dev Returns tick cumulatives that follow tickHistory, then average to twapTick over any earlier window.
+     */
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = -_tickSum(secondsAgos[i]);
+        }
+    }
+
+    /**
+     * @dev Sums the ticks over the last `secondsAgo` seconds.
+     */
+    function _tickSum(uint32 secondsAgo) internal view returns (int56 sum) {
+        uint32 remaining = secondsAgo;
+        for (uint256 i = 0; i < tickHistory.length && remaining > 0; i++) {
+            uint32 span = remaining < historyInterval ? remaining : historyInterval;
+            sum += int56(tickHistory[i]) * int56(uint56(span));
+            remaining -= span;
+        }
+        sum += int56(twapTick) * int56(uint56(remaining));
+    }
+}
@@ -4,17 +4,88 @@ pragma solidity ^0.8.17;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./SushiSwapV3Factory.sol";
+import "./SushiSwapV3Pool.sol";
+import "../libraries/TickMath.sol";
+import "../libraries/LiquidityAmounts.sol";
 
-contract NonfungiblePositionManager is ERC721, Ownable {
+/**
+ * @dev Simplified SushiSwap V3 position manager for local testing. Exposes the periphery's
+ * struct-based mint/increaseLiquidity/decreaseLiquidity/collect/burn and 12-field positions()
+ * on top of SushiSwapV3Pool, paying for liquidity through the pool's mint callback.
+ */
+contract NonfungiblePositionManager is ERC721, Ownable, IUniswapV3MintCallback {
     struct Position {
+        uint96 nonce;
+        address operator;
         address token0;
         address token1;
         uint24 fee;
         int24 tickLower;
         int24 tickUpper;
         uint128 liquidity;
+        uint256 feeGrowthInside0LastX128;
+        uint256 feeGrowthInside1LastX128;
+        uint128 tokensOwed0;
+        uint128 tokensOwed1;
     }
 
+    struct MintParams {
+        address token0;
+        address token1;
+        uint24 fee;
+        int24 tickLower;
+        int24 tickUpper;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        address recipient;
+        uint256 deadline;
+    }
+
+    struct IncreaseLiquidityParams {
+        uint256 tokenId;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct DecreaseLiquidityParams {
+        uint256 tokenId;
+        uint128 liquidity;
+        uint256 amount0Min;
+        uint256 amount1Min;
+        uint256 deadline;
+    }
+
+    struct CollectParams {
+        uint256 tokenId;
+        address recipient;
+        uint128 amount0Max;
+        uint128 amount1Max;
+    }
+
+    struct AddLiquidityParams {
+        int24 tickLower;
+        int24 tickUpper;
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        uint256 amount0Min;
+        uint256 amount1Min;
+    }
+
+    struct MintCallbackData {
+        address token0;
+        address token1;
+        address payer;
+    }
+
+    uint256 private constant Q128 = 1 << 128;
+
     address public immutable factory;
     address public immutable WETH9;
     mapping(uint256 => Position) public positions;
@@ -22,7 +93,17 @@ contract NonfungiblePositionManager is ERC721, Ownable {
 
     event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1);
     event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1);
-    event Collect(uint256 indexed tokenId, uint256 amount0, uint256 amount1);
+    event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1);
+
+    modifier checkDeadline(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction too old");
+        _;
+    }
+
+    modifier isAuthorizedForToken(uint256 tokenId) {
+        require(_isApprovedOrOwner(msg.sender, tokenId), "Not approved");
+        _;
+    }
 
     constructor(
         address _factory,
@@ -34,88 +115,190 @@ contract NonfungiblePositionManager is ERC721, Ownable {
         transferOwnership(_owner);
     }
 
-    function mint(
-        address token0,
-        address token1,
-        uint24 fee,
-        int24 tickLower,
-        int24 tickUpper,
-        uint256 amount0Desired,
-        uint256 amount1Desired,
-        uint256 amount0Min,
-        uint256 amount1Min,
-        address recipient,
-        uint256 deadline
-    ) external returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1) {
-        require(deadline >= block.timestamp, "Expired");
-        require(token0 < token1, "Token order");
+    function mint(MintParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        require(params.token0 < params.token1, "Token order");
+        SushiSwapV3Pool pool = _getPool(params.token0, params.token1, params.fee);
+
+        (liquidity, amount0, amount1) = _addLiquidity(
+            pool,
+            AddLiquidityParams({
+                tickLower: params.tickLower,
+                tickUpper: params.tickUpper,
+                amount0Desired: params.amount0Desired,
+                amount1Desired: params.amount1Desired,
+                amount0Min: params.amount0Min,
+                amount1Min: params.amount1Min
+            })
+        );
 
         tokenId = _nextId++;
-        _mint(recipient, tokenId);
+        _mint(params.recipient, tokenId);
 
-        // Initialize the position storage slots
-        positions[tokenId].token0 = token0;
-        positions[tokenId].token1 = token1;
-        positions[tokenId].fee = fee;
-        positions[tokenId].tickLower = tickLower;
-        positions[tokenId].tickUpper = tickUpper;
-        positions[tokenId].liquidity = 0;
+        (, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, , ) =
+            pool.positions(_poolPositionKey(params.tickLower, params.tickUpper));
 
-        liquidity = uint128(amount0Desired);
-        amount0 = amount0Desired;
-        amount1 = amount1Desired;
+        positions[tokenId] = Position({
+            nonce: 0,
+            operator: address(0),
+            token0: params.token0,
+            token1: params.token1,
+            fee: params.fee,
+            tickLower: params.tickLower,
+            tickUpper: params.tickUpper,
+            liquidity: liquidity,
+            feeGrowthInside0LastX128: feeGrowthInside0LastX128,
+            feeGrowthInside1LastX128: feeGrowthInside1LastX128,
+            tokensOwed0: 0,
+            tokensOwed1: 0
+        });
 
         emit IncreaseLiquidity(tokenId, liquidity, amount0, amount1);
     }
 
-    function increaseLiquidity(
-        uint256 tokenId,
-        uint256 amount0Desired,
-        uint256 amount1Desired,
-        uint256 amount0Min,
-        uint256 amount1Min,
-        uint256 deadline
-    ) external returns (uint128 liquidity, uint256 amount0, uint256 amount1) {
-        require(deadline >= block.timestamp, "Expired");
-        Position storage position = positions[tokenId];
-        require(position.liquidity > 0, "No position");
+    function increaseLiquidity(IncreaseLiquidityParams calldata params)
+        external
+        payable
+        checkDeadline(params.deadline)
+        returns (uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        Position storage position = positions[params.tokenId];
+        require(position.token0 != address(0), "Invalid token ID");
+        SushiSwapV3Pool pool = _getPool(position.token0, position.token1, position.fee);
 
-        liquidity = uint128(amount0Desired);
-        amount0 = amount0Desired;
-        amount1 = amount1Desired;
+        (liquidity, amount0, amount1) = _addLiquidity(
+            pool,
+            AddLiquidityParams({
+                tickLower: position.tickLower,
+                tickUpper: position.tickUpper,
+                amount0Desired: params.amount0Desired,
+                amount1Desired: params.amount1Desired,
+                amount0Min: params.amount0Min,
+                amount1Min: params.amount1Min
+            })
+        );
 
-        emit IncreaseLiquidity(tokenId, liquidity, amount0, amount1);
+        _accrueFees(pool, position);
+        position.liquidity += liquidity;
+
+        emit IncreaseLiquidity(params.tokenId, liquidity, amount0, amount1);
     }
 
-    function decreaseLiquidity(
-        uint256 tokenId,
-        uint128 liquidity,
-        uint256 amount0Min,
-        uint256 amount1Min,
-        uint256 deadline
-    ) external returns (uint256 amount0, uint256 amount1) {
-        require(deadline >= block.timestamp, "Expired");
-        Position storage position = positions[tokenId];
-        require(position.liquidity >= liquidity, "Insufficient liquidity");
+    function decreaseLiquidity(DecreaseLiquidityParams calldata params)
+        external
+        payable
+        isAuthorizedForToken(params.tokenId)
+        checkDeadline(params.deadline)
+        returns (uint256 amount0, uint256 amount1)
+    {
+        require(params.liquidity > 0, "Zero liquidity");
+        Position storage position = positions[params.tokenId];
+        require(position.liquidity >= params.liquidity, "Insufficient liquidity");
+        SushiSwapV3Pool pool = _getPool(position.token0, position.token1, position.fee);
+
+        (amount0, amount1) = pool.burn(position.tickLower, position.tickUpper, params.liquidity);
+        require(amount0 >= params.amount0Min && amount1 >= params.amount1Min, "Price slippage check");
+
+        _accrueFees(pool, position);
+        position.tokensOwed0 += uint128(amount0);
+        position.tokensOwed1 += uint128(amount1);
+        position.liquidity -= params.liquidity;
+
+        emit DecreaseLiquidity(params.tokenId, params.liquidity, amount0, amount1);
+    }
+
+    function collect(CollectParams calldata params)
+        external
+        payable
+        isAuthorizedForToken(params.tokenId)
+        returns (uint256 amount0, uint256 amount1)
+    {
+        require(params.amount0Max > 0 || params.amount1Max > 0, "Nothing to collect");
+        Position storage position = positions[params.tokenId];
+        SushiSwapV3Pool pool = _getPool(position.token0, position.token1, position.fee);
+
+        if (position.liquidity > 0) {
+            pool.burn(position.tickLower, position.tickUpper, 0);
+            _accrueFees(pool, position);
+        }
+
+        uint128 amount0Collect = params.amount0Max > position.tokensOwed0 ? position.tokensOwed0 : params.amount0Max;
+        uint128 amount1Collect = params.amount1Max > position.tokensOwed1 ? position.tokensOwed1 : params.amount1Max;
 
-        amount0 = uint256(liquidity);
-        amount1 = uint256(liquidity);
+        (uint128 collected0, uint128 collected1) =
+            pool.collect(params.recipient, position.tickLower, position.tickUpper, amount0Collect, amount1Collect);
+        position.tokensOwed0 -= collected0;
+        position.tokensOwed1 -= collected1;
+        (amount0, amount1) = (collected0, collected1);
 
-        emit DecreaseLiquidity(tokenId, liquidity, amount0, amount1);
+        emit Collect(params.tokenId, params.recipient, amount0, amount1);
     }
 
-    function collect(
-        uint256 tokenId,
-        address recipient,
-        uint128 amount0Max,
-        uint128 amount1Max
-    ) external returns (uint256 amount0, uint256 amount1) {
+    function burn(uint256 tokenId) external payable isAuthorizedForToken(tokenId) {
         Position storage position = positions[tokenId];
-        require(position.liquidity > 0, "No position");
+        require(position.liquidity == 0 && position.tokensOwed0 == 0 && position.tokensOwed1 == 0, "Not cleared");
+        delete positions[tokenId];
+        _burn(tokenId);
+    }
+
+    /**
+     * @dev Pays the pool what it is owed for a mint, pulling the tokens from the original caller.
+     */
+    function uniswapV3MintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) external override {
+        MintCallbackData memory decoded = abi.decode(data, (MintCallbackData));
+        require(msg.sender == address(_getPool(decoded.token0, decoded.token1, SushiSwapV3Pool(msg.sender).fee())), "Invalid callback");
+
+        if (amount0Owed > 0) IERC20(decoded.token0).transferFrom(decoded.payer, msg.sender, amount0Owed);
+        if (amount1Owed > 0) IERC20(decoded.token1).transferFrom(decoded.payer, msg.sender, amount1Owed);
+    }
+
+    // --- Internal Helpers ---
+
+    function _addLiquidity(SushiSwapV3Pool pool, AddLiquidityParams memory params)
+        internal
+        returns (uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        (uint160 sqrtPriceX96, , , , , , ) = pool.slot0();
+        liquidity = LiquidityAmounts.getLiquidityForAmounts(
+            sqrtPriceX96,
+            TickMath.getSqrtRatioAtTick(params.tickLower),
+            TickMath.getSqrtRatioAtTick(params.tickUpper),
+            params.amount0Desired,
+            params.amount1Desired
+        );
 
-        amount0 = amount0Max;
-        amount1 = amount1Max;
+        bytes memory data = abi.encode(MintCallbackData({token0: pool.token0(), token1: pool.token1(), payer: msg.sender}));
+        (amount0, amount1) = pool.mint(address(this), params.tickLower, params.tickUpper, liquidity, data);
+        require(amount0 >= params.amount0Min && amount1 >= params.amount1Min, "Price slippage check");
+    }
+
+    /**
+     * @dev Credits a token's share of the fees its range earned since the last update.
+     */
+    function _accrueFees(SushiSwapV3Pool pool, Position storage position) internal {
+        (, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, , ) =
+            pool.positions(_poolPositionKey(position.tickLower, position.tickUpper));
+
+        position.tokensOwed0 += uint128(
+            Math.mulDiv(feeGrowthInside0LastX128 - position.feeGrowthInside0LastX128, position.liquidity, Q128)
+        );
+        position.tokensOwed1 += uint128(
+            Math.mulDiv(feeGrowthInside1LastX128 - position.feeGrowthInside1LastX128, position.liquidity, Q128)
+        );
+        position.feeGrowthInside0LastX128 = feeGrowthInside0LastX128;
+        position.feeGrowthInside1LastX128 = feeGrowthInside1LastX128;
+    }
+
+    function _getPool(address token0, address token1, uint24 fee) internal view returns (SushiSwapV3Pool pool) {
+        pool = SushiSwapV3Pool(SushiSwapV3Factory(factory).getPool(token0, token1, fee));
+        require(address(pool) != address(0), "Pool not found");
+    }
 
-        emit Collect(tokenId, amount0, amount1);
+    function _poolPositionKey(int24 tickLower, int24 tickUpper) internal view returns (bytes32) {
+        return keccak256(abi.encodePacked(address(this), tickLower, tickUpper));
     }
-} 
\ No newline at end of file
+}
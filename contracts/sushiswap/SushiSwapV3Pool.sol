@@ -3,8 +3,47 @@ pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../libraries/TickMath.sol";
+import "../libraries/LiquidityAmounts.sol";
 
+interface IUniswapV3MintCallback {
+    function uniswapV3MintCallback(uint256 amount0Owed, uint256 amount1Owed, bytes calldata data) external;
+}
+
+interface IUniswapV3SwapCallback {
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external;
+}
+
+/**
+ * @dev Simplified SushiSwap V3 pool for local testing. It keeps the V3 interface for
+ * initialize/slot0/observe/increaseObservationCardinalityNext/mint/burn/collect/swap, including the mint and
+ * swap callbacks, with these simplifications:
+ * - All position liquidity counts as active, whatever its range, and swaps never cross ticks.
+ * - Swaps are exact-input only.
+ * - Fees are shared pro rata across all liquidity instead of per range.
+ * Like the real pool it keeps at most observationCardinality observations, one per block, in a ring buffer
+ * that starts with room for one, so observe() reverts with "OLD" past the history it has kept.
+ * It is also locked while mint, burn, collect or swap runs, so a token that calls back
+ * into the pool from a transfer or callback reverts with "LOK".
+ */
 contract SushiSwapV3Pool is Ownable {
+    struct Observation {
+        uint32 blockTimestamp;
+        int56 tickCumulative;
+        bool initialized;
+    }
+
+    struct Position {
+        uint128 liquidity;
+        uint256 feeGrowthInside0LastX128;
+        uint256 feeGrowthInside1LastX128;
+        uint128 tokensOwed0;
+        uint128 tokensOwed1;
+    }
+
+    uint256 private constant Q128 = 1 << 128;
+
     // Pool parameters
     address public immutable token0;
     address public immutable token1;
@@ -15,9 +54,23 @@ contract SushiSwapV3Pool is Ownable {
     uint160 public sqrtPriceX96;
     int24 public tick;
     uint128 public liquidity;
+    uint256 public feeGrowthGlobal0X128;
+    uint256 public feeGrowthGlobal1X128;
+    bool private _unlocked;
+
+    Observation[65535] public observations;
+    // Read through slot0
+    uint16 private _observationIndex; // Most recently written observation
+    uint16 private _observationCardinality; // Observations kept
+    uint16 private _observationCardinalityNext; // Observations kept once the ring buffer next wraps
+    mapping(bytes32 => Position) public positions;
 
     // Events
     event Initialize(uint160 sqrtPriceX96, int24 tick);
+    event IncreaseObservationCardinalityNext(uint16 observationCardinalityNextOld, uint16 observationCardinalityNextNew);
+    event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1);
+    event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1);
+    event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1);
     event Swap(
         address indexed sender,
         address indexed recipient,
@@ -28,6 +81,13 @@ contract SushiSwapV3Pool is Ownable {
         int24 tick
     );
 
+    modifier lock() {
+        require(_unlocked, "LOK");
+        _unlocked = false;
+        _;
+        _unlocked = true;
+    }
+
     constructor(
         address _token0,
         address _token1,
@@ -43,32 +103,309 @@ contract SushiSwapV3Pool is Ownable {
     function initialize(uint160 _sqrtPriceX96) external {
         require(sqrtPriceX96 == 0, "Already initialized");
         sqrtPriceX96 = _sqrtPriceX96;
-        tick = _getTickAtSqrtPrice(_sqrtPriceX96);
+        tick = TickMath.getTickAtSqrtRatio(_sqrtPriceX96);
+        _unlocked = true;
+        observations[0] = Observation({blockTimestamp: uint32(block.timestamp), tickCumulative: 0, initialized: true});
+        _observationCardinality = 1;
+        _observationCardinalityNext = 1;
         emit Initialize(_sqrtPriceX96, tick);
     }
 
+    function slot0()
+        external
+        view
+        returns (
+            uint160,
+            int24,
+            uint16 observationIndex,
+            uint16 observationCardinality,
+            uint16 observationCardinalityNext,
+            uint8 feeProtocol,
+            bool unlocked
+        )
+    {
+        return (
+            sqrtPriceX96,
+            tick,
+            _observationIndex,
+            _observationCardinality,
+            _observationCardinalityNext,
+            0,
+            _unlocked
+        );
+    }
+
+    /**
+     * @dev Grows the observation history to `next` entries. Like the real pool it only takes effect
+     * once the ring buffer wraps, so the history fills up from then on.
+     */
+    function increaseObservationCardinalityNext(uint16 next) external lock {
+        uint16 current = _observationCardinalityNext;
+        if (next <= current) return;
+        // Touch the new slots so writing to them later costs the same as in the real pool
+        for (uint16 i = current; i < next; i++) {
+            observations[i].blockTimestamp = 1;
+        }
+        _observationCardinalityNext = next;
+        emit IncreaseObservationCardinalityNext(current, next);
+    }
+
+    /**
+     * @dev Returns the tick cumulative `secondsAgos[i]` seconds ago for each entry.
+     * Reverts with "OLD" if a target is before the oldest observation kept.
+     */
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        require(_observationCardinality > 0, "Not initialized");
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            tickCumulatives[i] = _tickCumulativeAt(uint32(block.timestamp) - secondsAgos[i]);
+        }
+    }
+
+    function mint(
+        address recipient,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 amount,
+        bytes calldata data
+    ) external lock returns (uint256 amount0, uint256 amount1) {
+        require(sqrtPriceX96 != 0, "Not initialized");
+        require(amount > 0, "Zero liquidity");
+        _checkTicks(tickLower, tickUpper);
+
+        (amount0, amount1) = _amountsForLiquidity(tickLower, tickUpper, amount);
+        _updatePosition(recipient, tickLower, tickUpper, int256(uint256(amount)));
+        liquidity += amount;
+
+        uint256 balance0Before = IERC20(token0).balanceOf(address(this));
+        uint256 balance1Before = IERC20(token1).balanceOf(address(this));
+        IUniswapV3MintCallback(msg.sender).uniswapV3MintCallback(amount0, amount1, data);
+        require(IERC20(token0).balanceOf(address(this)) >= balance0Before + amount0, "M0");
+        require(IERC20(token1).balanceOf(address(this)) >= balance1Before + amount1, "M1");
+
+        emit Mint(msg.sender, recipient, tickLower, tickUpper, amount, amount0, amount1);
+    }
+
+    /**
+     * @dev Removes liquidity from the caller's position and credits the tokens to it.
+     * A zero `amount` just updates the fees owed.
+     */
+    function burn(int24 tickLower, int24 tickUpper, uint128 amount) external lock returns (uint256 amount0, uint256 amount1) {
+        _updatePosition(msg.sender, tickLower, tickUpper, -int256(uint256(amount)));
+        if (amount > 0) {
+            (amount0, amount1) = _amountsForLiquidity(tickLower, tickUpper, amount);
+            liquidity -= amount;
+
+            Position storage position = positions[_positionKey(msg.sender, tickLower, tickUpper)];
+            position.tokensOwed0 += uint128(amount0);
+            position.tokensOwed1 += uint128(amount1);
+        }
+        emit Burn(msg.sender, tickLower, tickUpper, amount, amount0, amount1);
+    }
+
+    function collect(
+        address recipient,
+        int24 tickLower,
+        int24 tickUpper,
+        uint128 amount0Requested,
+        uint128 amount1Requested
+    ) external lock returns (uint128 amount0, uint128 amount1) {
+        Position storage position = positions[_positionKey(msg.sender, tickLower, tickUpper)];
+
+        amount0 = amount0Requested > position.tokensOwed0 ? position.tokensOwed0 : amount0Requested;
+        amount1 = amount1Requested > position.tokensOwed1 ? position.tokensOwed1 : amount1Requested;
+
+        if (amount0 > 0) {
+            position.tokensOwed0 -= amount0;
+            IERC20(token0).transfer(recipient, amount0);
+        }
+        if (amount1 > 0) {
+            position.tokensOwed1 -= amount1;
+            IERC20(token1).transfer(recipient, amount1);
+        }
+
+        emit Collect(msg.sender, recipient, tickLower, tickUpper, amount0, amount1);
+    }
+
+    /**
+     * @dev Exact-input swap against the pool's total liquidity. Stops early at `sqrtPriceLimitX96`,
+     * in which case only part of `amountSpecified` is taken.
+     */
     function swap(
         address recipient,
         bool zeroForOne,
         int256 amountSpecified,
-        uint160 sqrtPriceLimitX96
-    ) external returns (int256 amount0, int256 amount1) {
+        uint160 sqrtPriceLimitX96,
+        bytes calldata data
+    ) external lock returns (int256 amount0, int256 amount1) {
         require(sqrtPriceX96 != 0, "Not initialized");
-        
-        // Simplified swap logic
+        require(amountSpecified > 0, "Exact input only");
+        require(liquidity > 0, "No liquidity");
+        require(
+            zeroForOne
+                ? sqrtPriceLimitX96 < sqrtPriceX96 && sqrtPriceLimitX96 > TickMath.MIN_SQRT_RATIO
+                : sqrtPriceLimitX96 > sqrtPriceX96 && sqrtPriceLimitX96 < TickMath.MAX_SQRT_RATIO,
+            "SPL"
+        );
+
+        (uint160 sqrtPriceNextX96, uint256 amountIn, uint256 amountOut, uint256 feeAmount) =
+            _computeSwap(zeroForOne, uint256(amountSpecified), sqrtPriceLimitX96);
+
+        _writeObservation();
+        sqrtPriceX96 = sqrtPriceNextX96;
+        tick = TickMath.getTickAtSqrtRatio(sqrtPriceNextX96);
+
         if (zeroForOne) {
-            amount0 = amountSpecified;
-            amount1 = -amountSpecified;
+            feeGrowthGlobal0X128 += Math.mulDiv(feeAmount, Q128, liquidity);
+            amount0 = int256(amountIn);
+            amount1 = -int256(amountOut);
+            if (amountOut > 0) IERC20(token1).transfer(recipient, amountOut);
+
+            uint256 balance0Before = IERC20(token0).balanceOf(address(this));
+            IUniswapV3SwapCallback(msg.sender).uniswapV3SwapCallback(amount0, amount1, data);
+            require(IERC20(token0).balanceOf(address(this)) >= balance0Before + amountIn, "IIA");
         } else {
-            amount0 = -amountSpecified;
-            amount1 = amountSpecified;
+            feeGrowthGlobal1X128 += Math.mulDiv(feeAmount, Q128, liquidity);
+            amount0 = -int256(amountOut);
+            amount1 = int256(amountIn);
+            if (amountOut > 0) IERC20(token0).transfer(recipient, amountOut);
+
+            uint256 balance1Before = IERC20(token1).balanceOf(address(this));
+            IUniswapV3SwapCallback(msg.sender).uniswapV3SwapCallback(amount0, amount1, data);
+            require(IERC20(token1).balanceOf(address(this)) >= balance1Before + amountIn, "IIA");
         }
 
         emit Swap(msg.sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick);
     }
 
-    function _getTickAtSqrtPrice(uint160 sqrtPriceX96) internal pure returns (int24) {
-        // Simplified tick calculation
-        return int24(uint24(sqrtPriceX96 >> 96));
+    // --- Internal Helpers ---
+
+    /**
+     * @dev Single-range V3 swap step: moves the price by the input net of fees, capped at the limit.
+     */
+    function _computeSwap(bool zeroForOne, uint256 amountSpecified, uint160 sqrtPriceLimitX96)
+        internal
+        view
+        returns (uint160 sqrtPriceNextX96, uint256 amountIn, uint256 amountOut, uint256 feeAmount)
+    {
+        uint256 amountInLessFee = Math.mulDiv(amountSpecified, 1e6 - fee, 1e6);
+        uint256 currentPrice = sqrtPriceX96;
+
+        if (zeroForOne) {
+            // sqrtP' = L * sqrtP / (L + amountIn * sqrtP)
+            uint256 numerator = uint256(liquidity) << 96;
+            sqrtPriceNextX96 = uint160(Math.mulDiv(numerator, currentPrice, numerator + amountInLessFee * currentPrice));
+            if (sqrtPriceNextX96 < sqrtPriceLimitX96) {
+                sqrtPriceNextX96 = sqrtPriceLimitX96;
+                amountInLessFee = LiquidityAmounts.getAmount0ForLiquidity(sqrtPriceNextX96, uint160(currentPrice), liquidity);
+            }
+            amountOut = LiquidityAmounts.getAmount1ForLiquidity(sqrtPriceNextX96, uint160(currentPrice), liquidity);
+        } else {
+            // sqrtP' = sqrtP + amountIn / L
+            sqrtPriceNextX96 = uint160(currentPrice + Math.mulDiv(amountInLessFee, LiquidityAmounts.Q96, liquidity));
+            if (sqrtPriceNextX96 > sqrtPriceLimitX96) {
+                sqrtPriceNextX96 = sqrtPriceLimitX96;
+                amountInLessFee = LiquidityAmounts.getAmount1ForLiquidity(uint160(currentPrice), sqrtPriceNextX96, liquidity);
+            }
+            amountOut = LiquidityAmounts.getAmount0ForLiquidity(uint160(currentPrice), sqrtPriceNextX96, liquidity);
+        }
+
+        amountIn = amountInLessFee == Math.mulDiv(amountSpecified, 1e6 - fee, 1e6)
+            ? amountSpecified
+            : Math.mulDiv(amountInLessFee, 1e6, 1e6 - fee, Math.Rounding.Up);
+        feeAmount = amountIn - amountInLessFee;
+    }
+
+    function _amountsForLiquidity(int24 tickLower, int24 tickUpper, uint128 amount)
+        internal
+        view
+        returns (uint256 amount0, uint256 amount1)
+    {
+        return LiquidityAmounts.getAmountsForLiquidity(
+            sqrtPriceX96,
+            TickMath.getSqrtRatioAtTick(tickLower),
+            TickMath.getSqrtRatioAtTick(tickUpper),
+            amount
+        );
+    }
+
+    /**
+     * @dev Credits the fees earned since the last update and applies `liquidityDelta`.
+     */
+    function _updatePosition(address owner, int24 tickLower, int24 tickUpper, int256 liquidityDelta) internal {
+        Position storage position = positions[_positionKey(owner, tickLower, tickUpper)];
+
+        position.tokensOwed0 += uint128(Math.mulDiv(feeGrowthGlobal0X128 - position.feeGrowthInside0LastX128, position.liquidity, Q128));
+        position.tokensOwed1 += uint128(Math.mulDiv(feeGrowthGlobal1X128 - position.feeGrowthInside1LastX128, position.liquidity, Q128));
+        position.feeGrowthInside0LastX128 = feeGrowthGlobal0X128;
+        position.feeGrowthInside1LastX128 = feeGrowthGlobal1X128;
+
+        if (liquidityDelta < 0) {
+            require(position.liquidity >= uint256(-liquidityDelta), "LS");
+            position.liquidity -= uint128(uint256(-liquidityDelta));
+        } else {
+            position.liquidity += uint128(uint256(liquidityDelta));
+        }
+    }
+
+    /**
+     * @dev Records the tick before it changes, at most once per block, overwriting the oldest
+     * observation once all observationCardinality slots are in use.
+     */
+    function _writeObservation() internal {
+        Observation memory last = observations[_observationIndex];
+        uint32 blockTimestamp = uint32(block.timestamp);
+        if (last.blockTimestamp == blockTimestamp) return;
+
+        // Grow into the slots added by increaseObservationCardinalityNext once the buffer wraps
+        if (_observationCardinalityNext > _observationCardinality && _observationIndex == _observationCardinality - 1) {
+            _observationCardinality = _observationCardinalityNext;
+        }
+        _observationIndex = (_observationIndex + 1) % _observationCardinality;
+        observations[_observationIndex] = Observation({
+            blockTimestamp: blockTimestamp,
+            tickCumulative: last.tickCumulative + int56(tick) * int56(uint56(blockTimestamp - last.blockTimestamp)),
+            initialized: true
+        });
+    }
+
+    /**
+     * @dev Interpolates the tick cumulative at `target` from the kept observations, newest first.
+     * The tick is constant between two observations, so the slope between them is that tick.
+     */
+    function _tickCumulativeAt(uint32 target) internal view returns (int56) {
+        uint16 oldest = (_observationIndex + 1) % _observationCardinality;
+        if (!observations[oldest].initialized) oldest = 0;
+        require(target >= observations[oldest].blockTimestamp, "OLD");
+
+        uint16 i = _observationIndex;
+        uint16 next = i;
+        while (observations[i].blockTimestamp > target) {
+            next = i;
+            i = i == 0 ? _observationCardinality - 1 : i - 1;
+        }
+        Observation memory observation = observations[i];
+        int56 tickAfter = i != _observationIndex
+            ? (observations[next].tickCumulative - observation.tickCumulative) /
+                int56(uint56(observations[next].blockTimestamp - observation.blockTimestamp))
+            : int56(tick);
+        return observation.tickCumulative + tickAfter * int56(uint56(target - observation.blockTimestamp));
+    }
+
+    function _checkTicks(int24 tickLower, int24 tickUpper) internal view {
+        require(tickLower < tickUpper, "TLU");
+        require(tickLower >= TickMath.MIN_TICK, "TLM");
+        require(tickUpper <= TickMath.MAX_TICK, "TUM");
+        // Only ticks on the spacing can be initialized
+        require(tickLower % tickSpacing == 0 && tickUpper % tickSpacing == 0, "TS");
+    }
+
+    function _positionKey(address owner, int24 tickLower, int24 tickUpper) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(owner, tickLower, tickUpper));
     }
-} 
\ No newline at end of file
+}
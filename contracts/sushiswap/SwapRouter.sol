@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./SushiSwapV3Factory.sol";
+import "./SushiSwapV3Pool.sol";
+import "../libraries/TickMath.sol";
+
+/**
+ * @dev Simplified SushiSwap V3 swap router for local testing. Exposes the periphery's exactInputSingle
+ * and pays the pool from the caller inside the swap callback, so token transfers run while the pool is locked.
+ */
+contract SwapRouter is IUniswapV3SwapCallback {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    struct SwapCallbackData {
+        address tokenIn;
+        address payer;
+    }
+
+    address public immutable factory;
+    address private _activePool; // Pool whose callback is expected, set only during a swap
+
+    constructor(address _factory) {
+        factory = _factory;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut) {
+        require(block.timestamp <= params.deadline, "Transaction too old");
+        address pool = SushiSwapV3Factory(factory).getPool(params.tokenIn, params.tokenOut, params.fee);
+        require(pool != address(0), "Pool not found");
+
+        bool zeroForOne = params.tokenIn < params.tokenOut;
+        uint160 sqrtPriceLimitX96 = params.sqrtPriceLimitX96 == 0
+            ? (zeroForOne ? TickMath.MIN_SQRT_RATIO + 1 : TickMath.MAX_SQRT_RATIO - 1)
+            : params.sqrtPriceLimitX96;
+
+        _activePool = pool;
+        (int256 amount0, int256 amount1) = SushiSwapV3Pool(pool).swap(
+            params.recipient,
+            zeroForOne,
+            int256(params.amountIn),
+            sqrtPriceLimitX96,
+            abi.encode(SwapCallbackData({tokenIn: params.tokenIn, payer: msg.sender}))
+        );
+        _activePool = address(0);
+
+        amountOut = uint256(-(zeroForOne ? amount1 : amount0));
+        require(amountOut >= params.amountOutMinimum, "Too little received");
+    }
+
+    /**
+     * @dev Pays the pool the input it is owed, pulling the tokens from the original caller.
+     */
+    function uniswapV3SwapCallback(int256 amount0Delta, int256 amount1Delta, bytes calldata data) external override {
+        require(msg.sender == _activePool, "Invalid callback");
+        SwapCallbackData memory decoded = abi.decode(data, (SwapCallbackData));
+        uint256 amountToPay = amount0Delta > 0 ? uint256(amount0Delta) : uint256(amount1Delta);
+        IERC20(decoded.tokenIn).transferFrom(decoded.payer, msg.sender, amountToPay);
+    }
+}
@@ -7,11 +7,28 @@ const { PRIVATE_KEY, ROOTSTOCK_TESTNET_RPC_URL, ETHERSCAN_API_KEY } = process.en
  */
 module.exports = {
   solidity: {
-    version: "0.8.17",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
+      }
+    ],
+    overrides: {
+      // LiquidityManager only fits the 24KB contract size limit when compiled through the IR pipeline
+      "contracts/LiquidityManager.sol": {
+        version: "0.8.17",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          viaIR: true
+        }
       }
     }
   },
@@ -0,0 +1,274 @@
+// Builds the SOONAirdrop Merkle tree from a CSV or JSON list of claims
+//
+// Usage:
+//   node scripts/buildMerkleTree.js <claims.csv|claims.json> [output.json]
+//
+// CSV input is one "address,amount" row per line (an optional "address,amount" header row is skipped).
+// JSON input is either an array of { address, amount } objects or an { address: amount } map.
+// Amounts are whole SOON token units (e.g. "1000000" or "12.5") and are converted to wei.
+//
+// Vesting rows add "immediate,cliff,duration" columns (CSV) or fields (JSON array):
+// the immediate share in token units, then the cliff and duration in seconds from the
+// round's startTime. Such rows are claimed with SOONAirdrop.claimVesting.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+
+// Must match SOON.INITIAL_SUPPLY and the 95% community airdrop allocation
+const TOTAL_SUPPLY = ethers.utils.parseEther("6942000000");
+const AIRDROP_ALLOCATION = TOTAL_SUPPLY.mul(95).div(100);
+
+/**
+ * Builds a row, attaching vesting fields only when an immediate share is given.
+ */
+function toRow(address, amount, immediate, cliff, duration) {
+  const row = { address, amount: String(amount) };
+  if (immediate !== undefined && immediate !== "") {
+    row.vesting = { immediate: String(immediate), cliff: String(cliff), duration: String(duration) };
+  }
+  return row;
+}
+
+/**
+ * Parses the raw contents of a claims file into { address, amount, vesting? } rows.
+ * @param {string} contents The file contents.
+ * @param {string} format Either "csv" or "json".
+ */
+function parseClaims(contents, format) {
+  if (format === "json") {
+    const data = JSON.parse(contents);
+    if (Array.isArray(data)) {
+      return data.map(row => toRow(row.address, row.amount, row.immediate, row.cliff, row.duration));
+    }
+    return Object.entries(data).map(([address, amount]) => toRow(address, amount));
+  }
+
+  const rows = [];
+  let firstRow = true;
+  contents.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed === "" || trimmed.startsWith("#")) return;
+    const [address, amount, immediate, cliff, duration] = trimmed.split(",").map(field => field.trim());
+    // Skip a header row such as "address,amount", even after leading comments or blank lines
+    const isHeader = firstRow && address.toLowerCase() === "address";
+    firstRow = false;
+    if (isHeader) return;
+    // Any other row must be a claim, so a typo fails here instead of dropping the recipient
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Merkle: Invalid address on line ${i + 1}: ${address}`);
+    }
+    if (amount === undefined || amount === "") {
+      throw new Error(`Merkle: Missing amount on line ${i + 1}`);
+    }
+    rows.push(toRow(address, amount, immediate, cliff, duration));
+  });
+  return rows;
+}
+
+/**
+ * Reads a claims file from disk, picking the format from its extension.
+ * @param {string} filePath Path to a .csv or .json file.
+ */
+function readClaimsFile(filePath) {
+  const format = path.extname(filePath).toLowerCase() === ".json" ? "json" : "csv";
+  return parseClaims(fs.readFileSync(filePath, "utf8"), format);
+}
+
+/**
+ * Validates claims, converts amounts to wei and assigns each claim its leaf index (row order).
+ * Rejects bad checksums, duplicate addresses, zero amounts, invalid vesting schedules
+ * and totals above the airdrop allocation.
+ * @param {{ address: string, amount: string, vesting?: object }[]} rows Claims with amounts in whole token units.
+ * @returns {{ index: number, address: string, amount: ethers.BigNumber, vesting?: object }[]}
+ */
+function validateClaims(rows) {
+  if (rows.length === 0) {
+    throw new Error("Merkle: No claims provided");
+  }
+
+  const seen = new Set();
+  let total = ethers.constants.Zero;
+
+  const claims = rows.map((row, i) => {
+    let address;
+    try {
+      // getAddress throws on mixed-case addresses with an invalid checksum
+      address = ethers.utils.getAddress(row.address);
+    } catch (err) {
+      throw new Error(`Merkle: Invalid address on row ${i + 1}: ${row.address}`);
+    }
+    if (address === ethers.constants.AddressZero) {
+      throw new Error(`Merkle: Zero address on row ${i + 1}`);
+    }
+    if (seen.has(address)) {
+      throw new Error(`Merkle: Duplicate address ${address}`);
+    }
+    seen.add(address);
+
+    let amount;
+    try {
+      amount = ethers.utils.parseEther(row.amount);
+    } catch (err) {
+      throw new Error(`Merkle: Invalid amount on row ${i + 1}: ${row.amount}`);
+    }
+    if (amount.lte(0)) {
+      throw new Error(`Merkle: Amount must be positive for ${address}`);
+    }
+
+    total = total.add(amount);
+    const claim = { index: i, address, amount };
+    if (row.vesting) {
+      claim.vesting = validateVesting(row.vesting, amount, address);
+    }
+    return claim;
+  });
+
+  if (total.gt(AIRDROP_ALLOCATION)) {
+    throw new Error(
+      `Merkle: Total ${ethers.utils.formatEther(total)} exceeds airdrop allocation ${ethers.utils.formatEther(AIRDROP_ALLOCATION)}`
+    );
+  }
+
+  return claims;
+}
+
+/**
+ * Mirrors the schedule checks in SOONAirdrop.claimVesting.
+ */
+function validateVesting(vesting, amount, address) {
+  let immediate;
+  try {
+    immediate = ethers.utils.parseEther(vesting.immediate);
+  } catch (err) {
+    throw new Error(`Merkle: Invalid immediate amount for ${address}: ${vesting.immediate}`);
+  }
+  const cliff = Number(vesting.cliff);
+  const duration = Number(vesting.duration);
+  if (!Number.isInteger(cliff) || !Number.isInteger(duration) || cliff < 0 || duration < 0) {
+    throw new Error(`Merkle: Invalid vesting schedule for ${address}`);
+  }
+  if (immediate.gt(amount)) {
+    throw new Error(`Merkle: Immediate amount exceeds total for ${address}`);
+  }
+  if (cliff > duration) {
+    throw new Error(`Merkle: Cliff exceeds duration for ${address}`);
+  }
+  if (immediate.lt(amount) && duration === 0) {
+    throw new Error(`Merkle: Vesting duration must be positive for ${address}`);
+  }
+  return { immediate, cliff, duration };
+}
+
+/**
+ * Leaf encoding used by SOONAirdrop.claim: keccak256(abi.encodePacked(index, account, amount)).
+ */
+function hashLeaf(index, address, amount) {
+  return ethers.utils.solidityKeccak256(["uint256", "address", "uint256"], [index, address, amount]);
+}
+
+/**
+ * Leaf encoding used by SOONAirdrop.claimVesting:
+ * keccak256(abi.encodePacked(index, account, amount, immediateAmount, cliff, duration)).
+ */
+function hashVestingLeaf(index, address, amount, immediate, cliff, duration) {
+  return ethers.utils.solidityKeccak256(
+    ["uint256", "address", "uint256", "uint256", "uint64", "uint64"],
+    [index, address, amount, immediate, cliff, duration]
+  );
+}
+
+/**
+ * Hashes a validated claim with the encoding that matches its leaf type.
+ */
+function hashClaim(claim) {
+  if (claim.vesting) {
+    const { immediate, cliff, duration } = claim.vesting;
+    return hashVestingLeaf(claim.index, claim.address, claim.amount, immediate, cliff, duration);
+  }
+  return hashLeaf(claim.index, claim.address, claim.amount);
+}
+
+/**
+ * Builds the Merkle tree for a validated list of claims.
+ * @param {{ index: number, address: string, amount: ethers.BigNumber, vesting?: object }[]} claims
+ * @returns {{ tree: MerkleTree, root: string, total: ethers.BigNumber, getProof: Function }}
+ */
+function buildMerkleTree(claims) {
+  const leaves = claims.map(hashClaim);
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  const total = claims.reduce((sum, claim) => sum.add(claim.amount), ethers.constants.Zero);
+
+  return {
+    tree,
+    root: tree.getHexRoot(),
+    total,
+    getProof: claim => tree.getHexProof(hashClaim(claim))
+  };
+}
+
+/**
+ * Produces the JSON document written by the CLI: the root plus a proof for every address.
+ */
+function buildProofsOutput(claims) {
+  const { root, total, getProof } = buildMerkleTree(claims);
+  const output = {
+    merkleRoot: root,
+    tokenTotal: total.toString(),
+    claims: {}
+  };
+  for (const claim of claims) {
+    const entry = {
+      index: claim.index,
+      amount: claim.amount.toString(),
+      proof: getProof(claim)
+    };
+    if (claim.vesting) {
+      entry.vesting = {
+        immediate: claim.vesting.immediate.toString(),
+        cliff: claim.vesting.cliff,
+        duration: claim.vesting.duration
+      };
+    }
+    output.claims[claim.address] = entry;
+  }
+  return output;
+}
+
+function main() {
+  const [inputPath, outputPath = "airdrop-proofs.json"] = process.argv.slice(2);
+  if (!inputPath) {
+    console.error("Usage: node scripts/buildMerkleTree.js <claims.csv|claims.json> [output.json]");
+    process.exit(1);
+  }
+
+  const claims = validateClaims(readClaimsFile(inputPath));
+  const output = buildProofsOutput(claims);
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+  console.log("Claims:", claims.length);
+  console.log("Total tokens:", ethers.utils.formatEther(output.tokenTotal));
+  console.log("Merkle root:", output.merkleRoot);
+  console.log("Proofs written to:", outputPath);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  AIRDROP_ALLOCATION,
+  parseClaims,
+  readClaimsFile,
+  validateClaims,
+  hashLeaf,
+  hashVestingLeaf,
+  buildMerkleTree,
+  buildProofsOutput
+};
@@ -1,6 +1,7 @@
 // Scripts for deploying the SOON token ecosystem
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const fs = require("fs");
 
 async function main() {
   console.log("Deploying SOON Token contracts to Rootstock Testnet...");
@@ -20,17 +21,27 @@ async function main() {
   // Deploy SOONAirdrop
   console.log("Deploying SOONAirdrop...");
   const SOONAirdrop = await hre.ethers.getContractFactory("SOONAirdrop");
-  // For testing, we'll use a dummy Merkle root and 30 days claim period
-  const dummyMerkleRoot = "0x0000000000000000000000000000000000000000000000000000000000000000";
+  // Use the root from scripts/buildMerkleTree.js output if provided, otherwise a dummy root
+  let merkleRoot = "0x0000000000000000000000000000000000000000000000000000000000000000";
+  if (process.env.AIRDROP_PROOFS_FILE) {
+    merkleRoot = JSON.parse(fs.readFileSync(process.env.AIRDROP_PROOFS_FILE, "utf8")).merkleRoot;
+    console.log("Using Merkle root from", process.env.AIRDROP_PROOFS_FILE, ":", merkleRoot);
+  } else {
+    console.log("AIRDROP_PROOFS_FILE not set, deploying SOONAirdrop with a dummy Merkle root");
+  }
   const claimPeriodDays = 30;
   const airdrop = await SOONAirdrop.deploy(
-    dummyMerkleRoot,
+    merkleRoot,
     soon.address,
     claimPeriodDays
   );
   await airdrop.deployed();
   console.log("SOONAirdrop deployed to:", airdrop.address);
 
+  // Exclude the airdrop from the transfer tax so claimers receive their full allocation
+  await soon.excludeFromFee(airdrop.address, true);
+  console.log("Airdrop fee exempt:", await airdrop.isFeeExempt());
+
   // Deploy SushiSwap V3 Factory
   console.log("Deploying SushiSwap V3 Factory...");
   const SushiSwapV3Factory = await hre.ethers.getContractFactory("SushiSwapV3Factory");
@@ -62,12 +73,25 @@ async function main() {
   const poolAddress = await factory.getPool(soon.address, weth9.address, 3000);
   console.log("Created SOON/WETH pool at:", poolAddress);
 
+  // A new pool needs a starting price before it can be minted into or grow its observation history
+  const isLocalNetwork = network.name === 'hardhat' || network.name === 'localhost';
+  const pool = await hre.ethers.getContractAt("SushiSwapV3Pool", poolAddress);
+  const [currentSqrtPriceX96] = await pool.slot0();
+  if (currentSqrtPriceX96.eq(0)) {
+    if (!process.env.INITIAL_SQRT_PRICE_X96 && !isLocalNetwork) {
+      throw new Error("Set INITIAL_SQRT_PRICE_X96 to initialize the new pool");
+    }
+    const initialSqrtPriceX96 = process.env.INITIAL_SQRT_PRICE_X96 || ethers.BigNumber.from(2).pow(96); // Price of 1.0
+    await pool.initialize(initialSqrtPriceX96);
+    console.log("Initialized the pool at sqrtPriceX96:", initialSqrtPriceX96.toString());
+  }
+
   // Deploy LiquidityManager with network awareness
   console.log("Deploying LiquidityManager...");
   const LiquidityManager = await hre.ethers.getContractFactory("LiquidityManager");
   
   let liquidityManager;
-  if (network.name === 'hardhat' || network.name === 'localhost') {
+  if (isLocalNetwork) {
       // Local testing mode: Use mock oracle (no pool address)
       liquidityManager = await LiquidityManager.deploy(
           soon.address,
@@ -89,10 +113,41 @@ async function main() {
   console.log("LiquidityManager deployed to:", liquidityManager.address);
   console.log("Oracle mode:", await liquidityManager.isMockMode() ? "Mock Oracle" : "Real Oracle");
 
+  // The volatility estimate reads TWAPs back twapIntervalSeconds * volatilitySamples seconds. The pool records
+  // at most one observation per block and starts with room for one, so grow its history to cover that window.
+  const blockTimeSeconds = Number(process.env.BLOCK_TIME_SECONDS || 30);
+  const historySeconds = (await liquidityManager.twapIntervalSeconds()) * (await liquidityManager.volatilitySamples());
+  const cardinality = Math.min(Math.ceil(historySeconds / blockTimeSeconds) + 1, 65535);
+  await pool.increaseObservationCardinalityNext(cardinality);
+  console.log("Pool observation cardinality raised to:", cardinality);
+
   // Set LiquidityManager in SOON token
   console.log("Setting LiquidityManager in SOON token...");
-  await soon.transferOwnership(liquidityManager.address);
-  console.log("Transferred SOON token ownership to Liquidity Manager");
+  await soon.setLiquidityManager(liquidityManager.address);
+  // The manager pays the pool directly, so its transfers must not be taxed
+  await soon.excludeFromFee(liquidityManager.address, true);
+  // Trades against the pool pay the buy and sell schedules and never trigger swap-and-liquify
+  await soon.setAutomatedMarketMakerPair(poolAddress, true);
+
+  // Deploy the timelock that takes over both contracts
+  console.log("Deploying SOONTimelock...");
+  const timelockDelay = Number(process.env.TIMELOCK_DELAY_SECONDS || 2 * 24 * 60 * 60); // 2 days
+  const SOONTimelock = await hre.ethers.getContractFactory("SOONTimelock");
+  const timelock = await SOONTimelock.deploy(
+    timelockDelay,
+    [deployer.address], // Proposer (and canceller)
+    [deployer.address], // Executor
+    ethers.constants.AddressZero // No admin: role changes also go through the timelock
+  );
+  await timelock.deployed();
+  console.log("SOONTimelock deployed to:", timelock.address, "with a delay of", timelockDelay, "seconds");
+
+  // From here on every owner action is queued through the timelock. That includes
+  // liquidityManager.initializePosition, soon.setSwapAndLiquifyEnabled(true) once the position exists,
+  // and soon.enableTrading(), without which buys and sells against the pool revert.
+  await soon.transferOwnership(timelock.address);
+  await liquidityManager.transferOwnership(timelock.address);
+  console.log("Transferred SOON and Liquidity Manager ownership to the timelock");
 
   console.log("Deployment completed!");
   
@@ -104,6 +159,7 @@ async function main() {
   console.log("SOON Token:", soon.address);
   console.log("SOON Airdrop:", airdrop.address);
   console.log("Liquidity Manager:", liquidityManager.address);
+  console.log("SOON Timelock:", timelock.address);
 
   // Wait for a few block confirmations
   console.log("\nWaiting for block confirmations...");
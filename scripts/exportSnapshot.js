@@ -0,0 +1,151 @@
+// Exports SOON balances at a snapshot as claims for scripts/buildMerkleTree.js
+//
+// Usage:
+//   SOON_ADDRESS=0x... SNAPSHOT_ID=1 npx hardhat run scripts/exportSnapshot.js --network rootstockTestnet
+//
+// Optional environment variables:
+//   AIRDROP_AMOUNT   Tokens to split pro rata to the snapshot balances. Without it, each claim is the balance itself.
+//   MIN_BALANCE      Holders with less than this many tokens at the snapshot are left out.
+//   EXCLUDE          Comma-separated addresses to leave out, e.g. the deployer, pools and the airdrop contract.
+//   OUTPUT_FILE      Where to write the claims (default snapshot-claims.json).
+//   FROM_BLOCK       First block to read events from, e.g. SOON's deploy block (default 0).
+//   BLOCK_RANGE      Most blocks read per getLogs call (default 5000), to stay under RPC limits.
+//
+// Holders are all addresses that appear in a Transfer event from FROM_BLOCK up to the snapshot's block;
+// the burn address is always left out. Balances come from SOON.balanceOfAt, so they include reflections.
+// The output is a JSON array of { address, amount } rows in token units, which buildMerkleTree.js reads as is.
+const fs = require("fs");
+const { ethers } = require("hardhat");
+
+const DEFAULT_BLOCK_RANGE = 5000;
+
+/**
+ * Yields the events matching `filter` from `fromBlock` to `toBlock`, one getLogs call per
+ * `blockRange` blocks, so a long history never hits the node's block or result limits.
+ */
+async function* queryInRanges(contract, filter, fromBlock, toBlock, blockRange = DEFAULT_BLOCK_RANGE) {
+  if (!Number.isInteger(blockRange) || blockRange < 1) {
+    throw new Error(`Snapshot: Invalid block range ${blockRange}`);
+  }
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    yield* await contract.queryFilter(filter, start, Math.min(start + blockRange - 1, toBlock));
+  }
+}
+
+/**
+ * Returns the block in which snapshot `id` was taken.
+ * @param {ethers.Contract} soon The SOON token.
+ * @param {number|string} id The snapshot id.
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to search, e.g. SOON's deploy block.
+ * @param {number} [options.blockRange] Most blocks per getLogs call.
+ */
+async function findSnapshotBlock(soon, id, { fromBlock = 0, blockRange } = {}) {
+  const latest = await soon.provider.getBlockNumber();
+  for await (const event of queryInRanges(soon, soon.filters.Snapshot(), fromBlock, latest, blockRange)) {
+    if (event.args.id.eq(id)) return event.blockNumber;
+  }
+  throw new Error(`Snapshot: No snapshot with id ${id}`);
+}
+
+/**
+ * Collects every address that sent or received SOON from `fromBlock` up to `toBlock`, in order of first appearance.
+ * @param {object} [options] The same `fromBlock` and `blockRange` options as findSnapshotBlock.
+ */
+async function collectHolders(soon, toBlock, { fromBlock = 0, blockRange } = {}) {
+  const burnAddress = await soon.burnAddress();
+  const holders = new Set();
+  for await (const { args } of queryInRanges(soon, soon.filters.Transfer(), fromBlock, toBlock, blockRange)) {
+    for (const address of [args.from, args.to]) {
+      if (address !== ethers.constants.AddressZero && address !== burnAddress) holders.add(address);
+    }
+  }
+  return [...holders];
+}
+
+/**
+ * Reads each holder's balance at snapshot `id`, dropping empty ones.
+ * @returns {Promise<{ address: string, balance: ethers.BigNumber }[]>}
+ */
+async function snapshotBalances(soon, id, holders) {
+  const balances = [];
+  for (const address of holders) {
+    const balance = await soon.balanceOfAt(address, id);
+    if (balance.gt(0)) balances.push({ address, balance });
+  }
+  return balances;
+}
+
+/**
+ * Turns snapshot balances into claim rows for buildMerkleTree.js.
+ * @param {{ address: string, balance: ethers.BigNumber }[]} balances Balances in wei.
+ * @param {object} options
+ * @param {ethers.BigNumber} [options.airdropAmount] Wei to split pro rata, rounded down per holder.
+ * @param {ethers.BigNumber} [options.minBalance] Smallest balance, in wei, that still gets a claim.
+ * @param {string[]} [options.exclude] Addresses to leave out.
+ * @returns {{ address: string, amount: string }[]} Rows with amounts in token units.
+ */
+function toClaimRows(balances, { airdropAmount, minBalance = ethers.constants.Zero, exclude = [] } = {}) {
+  const excluded = new Set(exclude.map(address => ethers.utils.getAddress(address)));
+  const eligible = balances.filter(({ address, balance }) => !excluded.has(address) && balance.gte(minBalance));
+  if (eligible.length === 0) {
+    throw new Error("Snapshot: No eligible holders");
+  }
+
+  const total = eligible.reduce((sum, { balance }) => sum.add(balance), ethers.constants.Zero);
+  return eligible
+    .map(({ address, balance }) => ({
+      address,
+      amount: airdropAmount ? airdropAmount.mul(balance).div(total) : balance
+    }))
+    .filter(({ amount }) => amount.gt(0))
+    .map(({ address, amount }) => ({ address, amount: ethers.utils.formatEther(amount) }));
+}
+
+async function main() {
+  const { SOON_ADDRESS, SNAPSHOT_ID, AIRDROP_AMOUNT, MIN_BALANCE, EXCLUDE, FROM_BLOCK, BLOCK_RANGE } = process.env;
+  const outputPath = process.env.OUTPUT_FILE || "snapshot-claims.json";
+  if (!SOON_ADDRESS || !SNAPSHOT_ID) {
+    throw new Error("Usage: SOON_ADDRESS=0x... SNAPSHOT_ID=<id> npx hardhat run scripts/exportSnapshot.js");
+  }
+
+  const range = {
+    fromBlock: Number(FROM_BLOCK || 0),
+    blockRange: Number(BLOCK_RANGE || DEFAULT_BLOCK_RANGE)
+  };
+  if (!Number.isInteger(range.fromBlock) || range.fromBlock < 0) {
+    throw new Error(`Snapshot: Invalid FROM_BLOCK ${FROM_BLOCK}`);
+  }
+
+  const soon = await ethers.getContractAt("SOON", SOON_ADDRESS);
+  const block = await findSnapshotBlock(soon, SNAPSHOT_ID, range);
+  const holders = await collectHolders(soon, block, range);
+  const balances = await snapshotBalances(soon, SNAPSHOT_ID, holders);
+  const rows = toClaimRows(balances, {
+    airdropAmount: AIRDROP_AMOUNT ? ethers.utils.parseEther(AIRDROP_AMOUNT) : undefined,
+    minBalance: MIN_BALANCE ? ethers.utils.parseEther(MIN_BALANCE) : undefined,
+    exclude: EXCLUDE ? EXCLUDE.split(",").map(address => address.trim()) : []
+  });
+  fs.writeFileSync(outputPath, JSON.stringify(rows, null, 2));
+
+  console.log("Snapshot:", SNAPSHOT_ID, "taken in block", block);
+  console.log("Holders:", holders.length, "with a balance:", balances.length, "claims:", rows.length);
+  console.log("Claims written to:", outputPath);
+  console.log("Next: node scripts/buildMerkleTree.js", outputPath);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  findSnapshotBlock,
+  collectHolders,
+  snapshotBalances,
+  toClaimRows
+};
@@ -0,0 +1,320 @@
+// Keeper bot that calls LiquidityManager.rebalancePosition when one of its triggers has fired
+//
+// Usage:
+//   LIQUIDITY_MANAGER_ADDRESS=0x... npx hardhat run scripts/keeper.js --network rootstockTestnet
+//
+// Optional environment variables:
+//   POLL_INTERVAL_SECONDS    Time between checks (default 60).
+//   MAX_GAS_PRICE_GWEI       Never send while the network gas price is above this (default 1).
+//   MAX_RETRIES              Extra attempts when sending or waiting for the receipt fails (default 3).
+//   RETRY_DELAY_SECONDS      Wait between attempts (default 15).
+//   CONFIRMATIONS            Blocks to wait for after sending (default 1).
+//   RECEIPT_TIMEOUT_SECONDS  Wait for a receipt before checking on the transaction (default 300); one still
+//                            pending is then replaced at a higher gas price, if the cap allows.
+//   RUN_ONCE                 Set to "true" to check once and exit, e.g. from cron.
+//
+// Each check reads the oracle pool's slot0/observe and the manager's position and triggers, decides,
+// simulates the call with callStatic and only then sends it, as a legacy transaction with the gas
+// price capped (Rootstock has no EIP-1559). Every decision is logged as one line of JSON.
+const { ethers } = require("hardhat");
+
+const REASONS = ["None", "OutOfRange", "NearEdge", "Stale"];
+
+// The slot0/observe subset of a V3 pool, which LiquidityManager also implements in mock mode
+const ORACLE_ABI = [
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16, uint16, uint16, uint8, bool)",
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+];
+const POSITION_MANAGER_ABI = [
+  "function positions(uint256 tokenId) view returns (uint96, address, address, address, uint24, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256, uint256, uint128, uint128)"
+];
+
+/**
+ * Logs `event` and its fields as one line of JSON.
+ */
+function logJson(event, fields = {}) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), event, ...fields }));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Settles like `promise`, or rejects with a TIMEOUT error like ethers' own once `timeoutMs` have passed
+ * (never while it is 0). Contract transactions drop the timeout argument of wait(), hence the race.
+ */
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) return promise;
+  // The race may leave `promise` to settle with no one listening
+  promise.catch(() => {});
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error("timeout exceeded"), { code: "TIMEOUT", timeout: timeoutMs })), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Reads the TWAP tick over `interval` seconds the way LiquidityManager does, rounded towards negative
+ * infinity. Returns null while the pool has too little history.
+ * @param {ethers.Contract} oracle A contract with observe().
+ */
+async function readTwapTick(oracle, interval) {
+  let tickCumulatives;
+  try {
+    [tickCumulatives] = await oracle.observe([interval, 0]);
+  } catch (error) {
+    return null;
+  }
+  const delta = tickCumulatives[1].sub(tickCumulatives[0]);
+  let tick = delta.div(interval);
+  if (delta.isNegative() && !delta.mod(interval).isZero()) tick = tick.sub(1);
+  return tick.toNumber();
+}
+
+/**
+ * Reads everything the keeper decides on from the manager and its oracle pool. The range is the core
+ * position's, which is what the triggers watch; positionTokenIds lists every position the manager holds.
+ * @param {ethers.Contract} manager The LiquidityManager.
+ */
+async function readState(manager) {
+  const tokenId = await manager.positionTokenId();
+  const oracle = new ethers.Contract(await manager.sushiPoolOracle(), ORACLE_ABI, manager.provider);
+  const [slot0, twapInterval, maxTwapDeviation, lastRebalanceTimestamp, [shouldRebalance, reason], tokenIds] = await Promise.all([
+    oracle.slot0(),
+    manager.twapIntervalSeconds(),
+    manager.maxTwapDeviation(),
+    manager.lastRebalanceTimestamp(),
+    manager.shouldRebalance(),
+    manager.positionTokenIds()
+  ]);
+
+  const state = {
+    tokenId: tokenId.toString(),
+    positionTokenIds: tokenIds.map(id => id.toString()),
+    spotTick: slot0.tick,
+    twapTick: await readTwapTick(oracle, twapInterval),
+    maxTwapDeviation,
+    lastRebalanceTimestamp: lastRebalanceTimestamp.toNumber(),
+    shouldRebalance,
+    reason: REASONS[reason]
+  };
+  if (!tokenId.isZero()) {
+    const positionManager = new ethers.Contract(await manager.positionManager(), POSITION_MANAGER_ABI, manager.provider);
+    const position = await positionManager.positions(tokenId);
+    state.tickLower = position.tickLower;
+    state.tickUpper = position.tickUpper;
+  }
+  return state;
+}
+
+/**
+ * Decides whether rebalancePosition is worth sending, from the state and the current gas price.
+ * @param {object} state What readState returned.
+ * @param {ethers.BigNumber} gasPrice The network gas price in wei.
+ * @param {object} options
+ * @param {ethers.BigNumber} options.maxGasPrice The highest gas price, in wei, to send at.
+ * @returns {{ action: "skip" | "rebalance", reason: string }}
+ */
+function decide(state, gasPrice, { maxGasPrice }) {
+  if (state.tokenId === "0") return { action: "skip", reason: "not-initialized" };
+  if (state.twapTick === null) return { action: "skip", reason: "no-twap" };
+  if (Math.abs(state.spotTick - state.twapTick) > state.maxTwapDeviation) {
+    return { action: "skip", reason: "price-deviates-from-twap" };
+  }
+  if (!state.shouldRebalance) return { action: "skip", reason: "no-trigger" };
+  if (gasPrice.gt(maxGasPrice)) return { action: "skip", reason: "gas-price-above-cap" };
+  return { action: "rebalance", reason: state.reason };
+}
+
+/**
+ * Calls `send` until it resolves, at most `retries` more times, waiting `retryDelayMs` in between.
+ * Only errors thrown by `send` are retried. `prepare`, if given, runs before every attempt and returns
+ * whether there is still something to send; its own errors are passed on.
+ * @returns {Promise<*>} What `send` resolved to, or null if `prepare` returned false.
+ */
+async function withRetries(send, { retries, retryDelayMs, prepare = async () => true, log = logJson }) {
+  for (let attempt = 1; ; attempt++) {
+    if (!(await prepare(attempt))) return null;
+    try {
+      return await send(attempt);
+    } catch (error) {
+      if (attempt > retries) throw error;
+      log("send-retry", { attempt, error: error.reason || error.message });
+      await sleep(retryDelayMs);
+    }
+  }
+}
+
+/**
+ * Waits for `tx` to be mined with `confirmations`. If waiting fails while the transaction may still be
+ * pending, e.g. on a dropped connection, it keeps waiting on the same hash, at most `retries` more times,
+ * rather than sending again. Each wait gives up after `timeoutMs`; a transaction that is still not mined
+ * by then is handed to `replace`, if given, which may send a replacement with the same nonce and return
+ * it, or return null to keep waiting. A revert, a replaced transaction or a nonce taken by a transaction
+ * the bot did not send is passed on.
+ */
+async function waitForReceipt(provider, tx, { confirmations, timeoutMs = 0, retries, retryDelayMs, replace, log = logJson }) {
+  const sent = [tx];
+  for (let attempt = 1; ; attempt++) {
+    try {
+      if (attempt === 1) return await withTimeout(tx.wait(confirmations), timeoutMs);
+      const receipt = await provider.waitForTransaction(tx.hash, confirmations, timeoutMs);
+      if (receipt.status === 0) throw Object.assign(new Error(`Keeper: Transaction ${tx.hash} reverted`), { receipt });
+      return receipt;
+    } catch (error) {
+      if (error.receipt || error.code === "TRANSACTION_REPLACED" || attempt > retries) throw error;
+      if (error.code !== "TIMEOUT") {
+        log("wait-retry", { attempt, txHash: tx.hash, error: error.reason || error.message });
+        await sleep(retryDelayMs);
+        continue;
+      }
+
+      log("wait-timeout", { attempt, txHash: tx.hash });
+      // Read the nonce first, so a transaction of ours mined in between still shows its receipt
+      const nonce = await provider.getTransactionCount(tx.from, "latest");
+      const receipts = await Promise.all(sent.map(({ hash }) => provider.getTransactionReceipt(hash)));
+      const mined = sent.find((_, i) => receipts[i]);
+      if (mined) {
+        // Mined, but not yet confirmed
+        tx = mined;
+      } else if (nonce > tx.nonce) {
+        throw new Error(`Keeper: Nonce ${tx.nonce} was used by another transaction`);
+      } else if (replace) {
+        const replacement = await replace(tx);
+        if (replacement) sent.push(tx = replacement);
+      }
+    }
+  }
+}
+
+/**
+ * Reads the state, decides and, if a rebalance is due, simulates it with callStatic.
+ * @returns {Promise<{ action: string, reason: string, error?: string }>}
+ */
+async function checkRebalance(manager, { maxGasPrice, log }) {
+  const state = await readState(manager);
+  const gasPrice = await manager.provider.getGasPrice();
+  const decision = decide(state, gasPrice, { maxGasPrice });
+  log("decision", { ...decision, ...state, gasPrice: gasPrice.toString() });
+  if (decision.action !== "rebalance") return decision;
+
+  try {
+    await manager.callStatic.rebalancePosition();
+  } catch (error) {
+    const result = { action: "skip", reason: "simulation-failed", error: error.reason || error.message };
+    log("simulation-failed", result);
+    return result;
+  }
+  return decision;
+}
+
+/**
+ * Runs one keeper check: reads the state, decides, simulates and sends rebalancePosition.
+ * A failed send is retried, after checking and simulating again in case it went through after all or
+ * another keeper got there first. Once a transaction is sent it is only waited on, never sent again,
+ * except to replace it with the same nonce at a higher gas price while it is still pending after a timeout.
+ * @param {ethers.Contract} manager The LiquidityManager, connected to the keeper's signer.
+ * @param {object} options
+ * @param {ethers.BigNumber} options.maxGasPrice The highest gas price, in wei, to send at.
+ * @param {number} [options.retries] Extra attempts when sending or waiting fails.
+ * @param {number} [options.retryDelayMs] Wait between attempts.
+ * @param {number} [options.confirmations] Blocks to wait for after sending.
+ * @param {number} [options.timeoutMs] How long to wait for the receipt before checking on the transaction.
+ * @param {Function} [options.log] Receives each decision as (event, fields).
+ * @returns {Promise<{ action: string, reason: string, txHash?: string }>}
+ */
+async function checkAndRebalance(manager, { maxGasPrice, retries = 3, retryDelayMs = 15000, confirmations = 1, timeoutMs = 300000, log = logJson }) {
+  let decision;
+  const tx = await withRetries(async attempt => {
+    // Re-read the gas price on every attempt, still capped
+    const price = await manager.provider.getGasPrice();
+    const sent = await manager.rebalancePosition({ gasPrice: price.gt(maxGasPrice) ? maxGasPrice : price, type: 0 });
+    log("sent", { attempt, txHash: sent.hash });
+    return sent;
+  }, {
+    retries,
+    retryDelayMs,
+    log,
+    prepare: async () => {
+      decision = await checkRebalance(manager, { maxGasPrice, log });
+      return decision.action === "rebalance";
+    }
+  });
+  if (!tx) return decision;
+
+  const receipt = await waitForReceipt(manager.provider, tx, {
+    confirmations,
+    timeoutMs,
+    retries,
+    retryDelayMs,
+    log,
+    replace: async pending => {
+      // Nodes only take a replacement paying at least 10% more; never more than the cap
+      const networkPrice = await manager.provider.getGasPrice();
+      const price = networkPrice.gt(maxGasPrice) ? maxGasPrice : networkPrice;
+      const bumped = pending.gasPrice.mul(11).div(10).add(1);
+      const gasPrice = price.gt(bumped) ? price : bumped;
+      if (gasPrice.gt(maxGasPrice)) return null;
+      const replacement = await manager.rebalancePosition({ gasPrice, type: 0, nonce: pending.nonce });
+      log("replaced", { txHash: replacement.hash, replacedTxHash: pending.hash, gasPrice: gasPrice.toString() });
+      return replacement;
+    }
+  });
+  log("rebalanced", {
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    tokenId: (await manager.positionTokenId()).toString(),
+    positionTokenIds: (await manager.positionTokenIds()).map(id => id.toString())
+  });
+  return { ...decision, txHash: receipt.transactionHash };
+}
+
+async function main() {
+  const { LIQUIDITY_MANAGER_ADDRESS } = process.env;
+  if (!LIQUIDITY_MANAGER_ADDRESS) {
+    throw new Error("Usage: LIQUIDITY_MANAGER_ADDRESS=0x... npx hardhat run scripts/keeper.js");
+  }
+  const pollInterval = Number(process.env.POLL_INTERVAL_SECONDS || 60) * 1000;
+  const options = {
+    maxGasPrice: ethers.utils.parseUnits(process.env.MAX_GAS_PRICE_GWEI || "1", "gwei"),
+    retries: Number(process.env.MAX_RETRIES || 3),
+    retryDelayMs: Number(process.env.RETRY_DELAY_SECONDS || 15) * 1000,
+    confirmations: Number(process.env.CONFIRMATIONS || 1),
+    timeoutMs: Number(process.env.RECEIPT_TIMEOUT_SECONDS || 300) * 1000
+  };
+
+  const [keeper] = await ethers.getSigners();
+  const manager = await ethers.getContractAt("LiquidityManager", LIQUIDITY_MANAGER_ADDRESS, keeper);
+  logJson("started", { keeper: keeper.address, manager: manager.address, maxGasPrice: options.maxGasPrice.toString() });
+
+  for (;;) {
+    try {
+      await checkAndRebalance(manager, options);
+    } catch (error) {
+      // A failed check must not stop the bot; the next poll tries again
+      logJson("error", { error: error.reason || error.message });
+    }
+    if (process.env.RUN_ONCE === "true") break;
+    await sleep(pollInterval);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logJson("error", { error: error.message });
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  REASONS,
+  readTwapTick,
+  readState,
+  decide,
+  withRetries,
+  waitForReceipt,
+  checkAndRebalance
+};
@@ -4,22 +4,25 @@ const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 
 function createMerkleTree(claims) {
-  const leaves = claims.map(claim => 
-    ethers.utils.solidityKeccak256(
-      ['address', 'uint256'],
-      [claim.address, ethers.utils.parseEther(claim.amount)]
-    )
-  );
+  const indexOf = {};
+  const leaves = claims.map((claim, index) => {
+    indexOf[claim.address] = index;
+    return ethers.utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256'],
+      [index, claim.address, ethers.utils.parseEther(claim.amount)]
+    );
+  });
   
   const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
   
   return {
     tree: merkleTree,
     root: merkleTree.getHexRoot(),
+    getIndex: (address) => indexOf[address],
     getProof: (address, amount) => {
       const leaf = ethers.utils.solidityKeccak256(
-        ['address', 'uint256'],
-        [address, ethers.utils.parseEther(amount)]
+        ['uint256', 'address', 'uint256'],
+        [indexOf[address], address, ethers.utils.parseEther(amount)]
       );
       return merkleTree.getHexProof(leaf);
     }
@@ -27,7 +30,7 @@ function createMerkleTree(claims) {
 }
 
 describe("SOON Ecosystem Integration", function () {
-  let soon, airdrop, factory, weth, positionManager, liquidityManager;
+  let soon, airdrop, factory, weth, positionManager, liquidityManager, pool;
   let owner, user1, user2, user3;
   let merkleTree;
   
@@ -84,6 +87,8 @@ describe("SOON Ecosystem Integration", function () {
     // Create pool in factory
     await factory.createPool(soon.address, weth.address, 3000);
     const poolAddress = await factory.getPool(soon.address, weth.address, 3000);
+    pool = await ethers.getContractAt("SushiSwapV3Pool", poolAddress);
+    await pool.initialize(ethers.BigNumber.from(2).pow(96)); // Price of 1.0
     
     // Deploy LiquidityManager in mock mode for testing
     const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
@@ -95,8 +100,12 @@ describe("SOON Ecosystem Integration", function () {
     );
     await liquidityManager.deployed();
     
+    // Exclude the airdrop from fees so claims are paid out in full
+    await soon.excludeFromFee(airdrop.address, true);
+    
     // Fund contracts with initial allocations
     await soon.transfer(airdrop.address, AIRDROP_ALLOCATION);
+    await airdrop.fundRound(0, AIRDROP_ALLOCATION);
     await soon.transfer(liquidityManager.address, LIQUIDITY_ALLOCATION);
     
     // Get some WETH for liquidity
@@ -108,6 +117,7 @@ describe("SOON Ecosystem Integration", function () {
     
     // Exclude LiquidityManager from fees
     await soon.excludeFromFee(liquidityManager.address, true);
+    await soon.setAutomatedMarketMakerPair(poolAddress, true);
     
     // Initialize liquidity position
     await liquidityManager.initializePosition(
@@ -121,6 +131,8 @@ describe("SOON Ecosystem Integration", function () {
     it("Should handle user claim, transfer, and LP rebalance", async function () {
       // 1. User claims tokens from airdrop
       await airdrop.connect(user1).claim(
+        0,
+        merkleTree.getIndex(user1.address),
         ethers.utils.parseEther("1000000"),
         merkleTree.getProof(user1.address, "1000000")
       );
@@ -142,11 +154,11 @@ describe("SOON Ecosystem Integration", function () {
       
       const expectedReceived = transferAmount.sub(taxAmount);
       
-      // Verify user2 received the correct amount (minus tax)
-      expect(await soon.balanceOf(user2.address)).to.equal(expectedReceived);
-      
-      // Verify burn address received its share
-      expect(await soon.balanceOf(await soon.burnAddress())).to.equal(burnTax);
+      // Verify user2 received the correct amount (minus tax). As a holder it also gets a share of
+      // the reflection, pro rata to its balance among everyone not excluded from rewards.
+      const received = await soon.balanceOf(user2.address);
+      expect(received).to.be.gt(expectedReceived);
+      expect(received).to.be.lt(expectedReceived.add(reflectionTax));
       
       // Verify liquidity manager received its share
       expect(await soon.balanceOf(liquidityManager.address)).to.be.gt(
@@ -155,6 +167,7 @@ describe("SOON Ecosystem Integration", function () {
       
       // Verify total supply reduced by burn amount
       expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(burnTax));
+      expect(await soon.totalBurned()).to.equal(burnTax);
       
       // 3. Rebalance LP position (anyone can call)
       await liquidityManager.connect(user3).rebalancePosition();
@@ -167,8 +180,8 @@ describe("SOON Ecosystem Integration", function () {
       await liquidityManager.connect(user1).rebalancePosition();
       
       // 6. Verify ownership can be renounced on all contracts
-      await soon.transferOwnership(ethers.constants.AddressZero);
-      await airdrop.transferOwnership(ethers.constants.AddressZero);
+      await soon.renounceOwnership();
+      await airdrop.renounceOwnership();
       
       // After renouncing ownership, no one should be able to call owner functions
       await expect(
@@ -176,15 +189,36 @@ describe("SOON Ecosystem Integration", function () {
       ).to.be.revertedWith("Ownable: caller is not the owner");
       
       await expect(
-        airdrop.updateMerkleRoot(ethers.constants.HashZero)
+        airdrop.updateMerkleRoot(0, ethers.constants.HashZero)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
     
+    it("Should pay airdrop claims without the transfer tax", async function () {
+      expect(await soon.isExcludedFromFee(airdrop.address)).to.be.true;
+      expect(await airdrop.isFeeExempt()).to.be.true;
+      
+      const amount = ethers.utils.parseEther("2000000");
+      await expect(
+        airdrop.connect(user2).claim(
+          0,
+          merkleTree.getIndex(user2.address),
+          amount,
+          merkleTree.getProof(user2.address, "2000000")
+        )
+      ).to.emit(airdrop, "ClaimPaid").withArgs(0, user2.address, user2.address, amount, amount);
+      
+      // No burn or liquidity share was taken from the claim
+      expect(await soon.balanceOf(user2.address)).to.equal(amount);
+      expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY);
+    });
+    
     it("Should allow full airdrop distribution and recovery", async function () {
       // 1. Users claim their tokens
       for (const user of [user1, user2, user3]) {
         const amount = user === user1 ? "1000000" : user === user2 ? "2000000" : "3000000";
         await airdrop.connect(user).claim(
+          0,
+          merkleTree.getIndex(user.address),
           ethers.utils.parseEther(amount),
           merkleTree.getProof(user.address, amount)
         );
@@ -203,7 +237,7 @@ describe("SOON Ecosystem Integration", function () {
       const totalClaimed = ethers.utils.parseEther("6000000"); // Sum of all claims
       const expectedUnclaimed = AIRDROP_ALLOCATION.sub(totalClaimed);
       
-      await airdrop.recoverUnclaimedTokens(owner.address);
+      await airdrop.recoverUnclaimedTokens(0, owner.address);
       
       // Verify owner received the unclaimed tokens
       expect(await soon.balanceOf(owner.address)).to.equal(expectedUnclaimed);
@@ -220,16 +254,194 @@ describe("SOON Ecosystem Integration", function () {
       // Check actual balances
       expect(await soon.balanceOf(airdrop.address)).to.equal(AIRDROP_ALLOCATION);
       
-      // LiquidityManager balance should be ~half of its allocation (other half used for LP)
-      const liquidityManagerBalance = await soon.balanceOf(liquidityManager.address);
-      expect(liquidityManagerBalance).to.be.closeTo(
-        LIQUIDITY_ALLOCATION.div(2),
-        ethers.utils.parseEther("1") // Allow small rounding differences
-      );
+      // LiquidityManager keeps whatever the position did not take at the pool price
+      const soonInPool = await soon.balanceOf(pool.address);
+      expect(soonInPool).to.be.gt(0);
+      expect(soonInPool).to.be.lte(LIQUIDITY_ALLOCATION.div(2));
+      expect(await soon.balanceOf(liquidityManager.address)).to.equal(LIQUIDITY_ALLOCATION.sub(soonInPool));
       
       // Check that LP position exists
       const positionId = await liquidityManager.positionTokenId();
       expect(positionId).to.be.gt(0);
     });
   });
-}); 
\ No newline at end of file
+
+  describe("Swap and Liquify", function() {
+    const transferAmount = ethers.utils.parseEther("100000");
+    const liquidityFee = transferAmount.mul(157).div(10000);
+    
+    beforeEach(async function () {
+      await airdrop.connect(user1).claim(
+        0,
+        merkleTree.getIndex(user1.address),
+        ethers.utils.parseEther("1000000"),
+        merkleTree.getProof(user1.address, "1000000")
+      );
+      
+      await soon.setSwapAndLiquifyEnabled(true);
+      await soon.setMinTokensBeforeSwap(liquidityFee);
+    });
+    
+    it("Should swap the accrued liquidity fee and add it to the position", async function () {
+      // The first transfer only accrues the fee
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      const positionId = await liquidityManager.positionTokenId();
+      const liquidityBefore = (await positionManager.positions(positionId)).liquidity;
+      const [sqrtPriceBefore] = await pool.slot0();
+      
+      // The next one reaches the threshold and triggers swap-and-liquify
+      const tx = soon.connect(user1).transfer(user3.address, ethers.utils.parseEther("1000"));
+      await expect(tx).to.emit(soon, "SwapAndLiquifyTriggered").withArgs(liquidityFee);
+      await expect(tx).to.emit(liquidityManager, "SwapAndLiquify");
+      
+      // Only the fee of the triggering transfer is pending again
+      expect(await soon.pendingLiquidityTokens()).to.equal(ethers.utils.parseEther("1000").mul(157).div(10000));
+      expect((await positionManager.positions(positionId)).liquidity).to.be.gt(liquidityBefore);
+      
+      // Selling SOON lowered its price by no more than the 1% slippage cap
+      const [sqrtPriceAfter] = await pool.slot0();
+      const soonIsToken0 = soon.address.toLowerCase() < weth.address.toLowerCase();
+      const [soonPriceBefore, soonPriceAfter] = soonIsToken0
+        ? [sqrtPriceBefore.mul(sqrtPriceBefore), sqrtPriceAfter.mul(sqrtPriceAfter)]
+        : [sqrtPriceAfter.mul(sqrtPriceAfter), sqrtPriceBefore.mul(sqrtPriceBefore)];
+      expect(soonPriceAfter).to.be.lt(soonPriceBefore);
+      expect(soonPriceAfter.mul(10000)).to.be.gte(soonPriceBefore.mul(9900));
+    });
+    
+    it("Should clear the pending fee once compound adds it to the position", async function () {
+      await soon.setSwapAndLiquifyEnabled(false);
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      await expect(liquidityManager.connect(user3).compound()).to.emit(liquidityManager, "Compounded");
+      expect(await soon.pendingLiquidityTokens()).to.equal(0);
+    });
+    
+    it("Should not swap on a sell through the pool", async function () {
+      // The pool takes the exact amount in, so a sell through it only works untaxed
+      await soon.updateSellTaxSettings(0, 0, 0, 0);
+      await soon.enableTrading();
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      // The pool pulls the SOON inside its swap, while it is locked
+      const SwapRouter = await ethers.getContractFactory("SwapRouter");
+      const router = await SwapRouter.deploy(factory.address);
+      await router.deployed();
+      const sold = ethers.utils.parseEther("0.1");
+      await soon.connect(user1).approve(router.address, sold);
+      const tx = router.connect(user1).exactInputSingle({
+        tokenIn: soon.address,
+        tokenOut: weth.address,
+        fee: 3000,
+        recipient: user1.address,
+        deadline: ethers.constants.MaxUint256,
+        amountIn: sold,
+        amountOutMinimum: 0,
+        sqrtPriceLimitX96: 0
+      });
+      await expect(tx).to.emit(pool, "Swap");
+      await expect(tx).to.not.emit(soon, "SwapAndLiquifyTriggered");
+      await expect(tx).to.not.emit(soon, "SwapAndLiquifyFailed");
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      // The next wallet transfer adds the fee
+      await expect(
+        soon.connect(user1).transfer(user3.address, ethers.utils.parseEther("1000"))
+      ).to.emit(soon, "SwapAndLiquifyTriggered").withArgs(liquidityFee);
+    });
+    
+    it("Should not swap on a buy through the pool", async function () {
+      await soon.enableTrading();
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      
+      // The pool sends the SOON before it is paid, while it is locked
+      const SwapRouter = await ethers.getContractFactory("SwapRouter");
+      const router = await SwapRouter.deploy(factory.address);
+      await router.deployed();
+      const spent = ethers.utils.parseEther("0.01");
+      await weth.connect(user3).deposit({ value: spent });
+      await weth.connect(user3).approve(router.address, spent);
+      const tx = router.connect(user3).exactInputSingle({
+        tokenIn: weth.address,
+        tokenOut: soon.address,
+        fee: 3000,
+        recipient: user3.address,
+        deadline: ethers.constants.MaxUint256,
+        amountIn: spent,
+        amountOutMinimum: 0,
+        sqrtPriceLimitX96: 0
+      });
+      await expect(tx).to.emit(pool, "Swap");
+      await expect(tx).to.not.emit(soon, "SwapAndLiquifyTriggered");
+      await expect(tx).to.not.emit(soon, "SwapAndLiquifyFailed");
+      expect(await soon.pendingLiquidityTokens()).to.be.gt(liquidityFee);
+    });
+    
+    it("Should keep the fee pending and complete the transfer when the swap fails", async function () {
+      // A manager without a position cannot add liquidity
+      const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+      const newManager = await LiquidityManager.deploy(
+        soon.address,
+        weth.address,
+        positionManager.address,
+        ethers.constants.AddressZero
+      );
+      await newManager.deployed();
+      await soon.setLiquidityManager(newManager.address);
+      await soon.excludeFromFee(newManager.address, true);
+      
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      
+      const sent = ethers.utils.parseEther("1000");
+      await expect(
+        soon.connect(user1).transfer(user3.address, sent)
+      ).to.emit(soon, "SwapAndLiquifyFailed").withArgs(liquidityFee);
+      
+      expect(await soon.balanceOf(user3.address)).to.be.gte(sent.sub(sent.mul(690).div(10000)));
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee.add(sent.mul(157).div(10000)));
+    });
+    
+    it("Should keep the fee pending while the spot price deviates from the TWAP", async function () {
+      // A manager on the same pool whose oracle ticks can be set directly
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      const oracle = await MockPoolOracle.deploy(0, 0);
+      await oracle.deployed();
+      const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+      const newManager = await LiquidityManager.deploy(
+        soon.address,
+        weth.address,
+        positionManager.address,
+        oracle.address
+      );
+      await newManager.deployed();
+      await soon.setLiquidityManager(newManager.address);
+      await soon.excludeFromFee(newManager.address, true);
+      
+      await soon.connect(user1).transfer(newManager.address, ethers.utils.parseEther("100000"));
+      await weth.deposit({ value: ethers.utils.parseEther("1") });
+      await weth.transfer(newManager.address, ethers.utils.parseEther("1"));
+      await newManager.initializePosition(ethers.utils.parseEther("100000"), ethers.utils.parseEther("1"), 0);
+      
+      // Spot pushed past maxTwapDeviation, e.g. by a swap earlier in the block
+      await oracle.setTicks(150, 0);
+      await soon.connect(user1).transfer(user2.address, transferAmount);
+      const [sqrtPriceBefore] = await pool.slot0();
+      
+      const sent = ethers.utils.parseEther("1000");
+      await expect(
+        soon.connect(user1).transfer(user3.address, sent)
+      ).to.emit(soon, "SwapAndLiquifyFailed").withArgs(liquidityFee);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee.add(sent.mul(157).div(10000)));
+      expect((await pool.slot0())[0]).to.equal(sqrtPriceBefore);
+      
+      // Once the spot price is back near the TWAP the pending fee is swapped
+      await oracle.setTicks(0, 0);
+      await expect(
+        soon.connect(user1).transfer(user3.address, sent)
+      ).to.emit(newManager, "SwapAndLiquify");
+    });
+  });
+});
@@ -0,0 +1,305 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { readState, decide, withRetries, waitForReceipt, checkAndRebalance } = require("../scripts/keeper");
+
+describe("Keeper Bot", function () {
+  let soon, weth, positionManager, liquidityManager, oracle;
+  let owner, keeper;
+  let entries;
+  const amount = ethers.utils.parseEther("10");
+  const maxGasPrice = ethers.utils.parseUnits("100", "gwei");
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Collects the bot's log lines instead of printing them
+  function log(event, fields) {
+    entries.push({ event, ...fields });
+  }
+
+  function check(options = {}) {
+    return checkAndRebalance(liquidityManager.connect(keeper), { maxGasPrice, retryDelayMs: 0, log, ...options });
+  }
+
+  beforeEach(async function () {
+    [owner, keeper] = await ethers.getSigners();
+    entries = [];
+
+    const SOON = await ethers.getContractFactory("SOON");
+    soon = await SOON.deploy();
+    await soon.deployed();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+    await weth.deployed();
+
+    const SushiSwapV3Factory = await ethers.getContractFactory("SushiSwapV3Factory");
+    const factory = await SushiSwapV3Factory.deploy();
+    await factory.deployed();
+
+    const NonfungiblePositionManager = await ethers.getContractFactory("NonfungiblePositionManager");
+    positionManager = await NonfungiblePositionManager.deploy(factory.address, weth.address, owner.address);
+    await positionManager.deployed();
+
+    await factory.createPool(soon.address, weth.address, 3000);
+    const pool = await ethers.getContractAt("SushiSwapV3Pool", await factory.getPool(soon.address, weth.address, 3000));
+    await pool.initialize(ethers.BigNumber.from(2).pow(96));
+
+    // An oracle that agrees with the pool at tick 0 until a test moves it
+    const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+    oracle = await MockPoolOracle.deploy(0, 0);
+    await oracle.deployed();
+
+    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+    liquidityManager = await LiquidityManager.deploy(soon.address, weth.address, positionManager.address, oracle.address);
+    await liquidityManager.deployed();
+    await soon.excludeFromFee(liquidityManager.address, true);
+    await soon.transfer(liquidityManager.address, amount);
+    await weth.deposit({ value: amount });
+    await weth.transfer(liquidityManager.address, amount);
+    await liquidityManager.initializePosition(amount, amount, 0);
+  });
+
+  describe("Reading state", function() {
+    it("Should read the oracle pool and the position", async function () {
+      await oracle.setTicks(30, 20);
+      const state = await readState(liquidityManager);
+
+      expect(state).to.include({
+        tokenId: "1",
+        spotTick: 30,
+        twapTick: 20,
+        maxTwapDeviation: 100,
+        tickLower: -2040,
+        tickUpper: 2040,
+        shouldRebalance: false,
+        reason: "None"
+      });
+      expect(state.positionTokenIds).to.deep.equal(["1"]);
+    });
+  });
+
+  describe("Deciding", function() {
+    const gasPrice = ethers.utils.parseUnits("1", "gwei");
+    const ready = { tokenId: "1", spotTick: 3000, twapTick: 2990, maxTwapDeviation: 100, shouldRebalance: true, reason: "OutOfRange" };
+
+    it("Should rebalance once a trigger fired", async function () {
+      expect(decide(ready, gasPrice, { maxGasPrice })).to.deep.equal({ action: "rebalance", reason: "OutOfRange" });
+    });
+
+    it("Should skip when a rebalance would not go through or is not due", async function () {
+      const skip = (state, price = gasPrice) => decide({ ...ready, ...state }, price, { maxGasPrice }).reason;
+
+      expect(skip({ tokenId: "0" })).to.equal("not-initialized");
+      expect(skip({ twapTick: null })).to.equal("no-twap");
+      expect(skip({ spotTick: 3100 })).to.equal("price-deviates-from-twap");
+      expect(skip({ shouldRebalance: false, reason: "None" })).to.equal("no-trigger");
+      expect(skip({}, maxGasPrice.add(1))).to.equal("gas-price-above-cap");
+    });
+  });
+
+  describe("Running against the network", function() {
+    it("Should only log a decision while no trigger has fired", async function () {
+      const tokenId = await liquidityManager.positionTokenId();
+
+      expect(await check()).to.deep.equal({ action: "skip", reason: "no-trigger" });
+      expect(entries.map(e => e.event)).to.deep.equal(["decision"]);
+      expect(await liquidityManager.positionTokenId()).to.equal(tokenId);
+    });
+
+    it("Should send a rebalance once a trigger fires", async function () {
+      await liquidityManager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(24 * 60 * 60);
+
+      const result = await check();
+      expect(result.action).to.equal("rebalance");
+      expect(result.reason).to.equal("Stale");
+      expect(entries.map(e => e.event)).to.deep.equal(["decision", "sent", "rebalanced"]);
+      expect(entries[2].tokenId).to.equal("2");
+
+      const tx = await ethers.provider.getTransaction(result.txHash);
+      expect(tx.from).to.equal(keeper.address);
+      expect(tx.gasPrice).to.be.lte(maxGasPrice);
+      expect(await liquidityManager.positionTokenId()).to.equal(2);
+    });
+
+    it("Should not send while the gas price is above the cap", async function () {
+      await liquidityManager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(24 * 60 * 60);
+
+      expect(await check({ maxGasPrice: 1 })).to.deep.equal({ action: "skip", reason: "gas-price-above-cap" });
+      expect(await liquidityManager.positionTokenId()).to.equal(1);
+    });
+
+    it("Should not send a rebalance that fails in simulation", async function () {
+      // The oracle moves out of range, but the pool still trades at tick 0
+      await oracle.setTicks(3000, 3000);
+      await increaseTime(3600);
+
+      const result = await check();
+      expect(result).to.include({ action: "skip", reason: "simulation-failed" });
+      expect(result.error).to.contain("Price slippage check");
+      expect(entries.map(e => e.event)).to.deep.equal(["decision", "simulation-failed"]);
+      expect(await liquidityManager.positionTokenId()).to.equal(1);
+    });
+  });
+
+  describe("Retries", function() {
+    it("Should retry a failed send", async function () {
+      let calls = 0;
+      const result = await withRetries(async () => {
+        if (++calls < 3) throw new Error("nonce too low");
+        return "sent";
+      }, { retries: 3, retryDelayMs: 0, log });
+
+      expect(result).to.equal("sent");
+      expect(entries.map(e => e.attempt)).to.deep.equal([1, 2]);
+    });
+
+    it("Should give up after the last retry", async function () {
+      let calls = 0;
+      try {
+        await withRetries(async () => {
+          calls++;
+          throw new Error("nonce too low");
+        }, { retries: 2, retryDelayMs: 0, log });
+        expect.fail("withRetries should have thrown");
+      } catch (error) {
+        expect(error.message).to.equal("nonce too low");
+      }
+      expect(calls).to.equal(3);
+    });
+
+    it("Should not retry errors from the prepare step, nor send once it returns false", async function () {
+      let sends = 0;
+      const send = async () => ++sends;
+
+      expect(await withRetries(send, { retries: 3, retryDelayMs: 0, prepare: async () => false, log })).to.equal(null);
+      try {
+        await withRetries(send, {
+          retries: 3,
+          retryDelayMs: 0,
+          prepare: async () => { throw new Error("could not detect network"); },
+          log
+        });
+        expect.fail("withRetries should have thrown");
+      } catch (error) {
+        expect(error.message).to.equal("could not detect network");
+      }
+      expect(sends).to.equal(0);
+      expect(entries).to.deep.equal([]);
+    });
+
+    // A manager whose rebalancePosition is replaced, e.g. to make the RPC fail
+    function managerWith(rebalancePosition) {
+      return { ...liquidityManager.connect(keeper), rebalancePosition };
+    }
+
+    async function makeStale() {
+      await liquidityManager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(24 * 60 * 60);
+    }
+
+    it("Should check and simulate again before retrying a failed send", async function () {
+      await makeStale();
+      let sends = 0;
+      const manager = managerWith(async overrides => {
+        if (++sends === 1) throw new Error("nonce too low");
+        return liquidityManager.connect(keeper).rebalancePosition(overrides);
+      });
+
+      const result = await checkAndRebalance(manager, { maxGasPrice, retryDelayMs: 0, log });
+      expect(result.action).to.equal("rebalance");
+      expect(sends).to.equal(2);
+      expect(entries.map(e => e.event)).to.deep.equal(["decision", "send-retry", "decision", "sent", "rebalanced"]);
+    });
+
+    it("Should not send again when a failed send went through after all", async function () {
+      await makeStale();
+      let sends = 0;
+      const manager = managerWith(async overrides => {
+        sends++;
+        // The transaction is mined, but the RPC reports an error
+        await liquidityManager.connect(keeper).rebalancePosition(overrides);
+        throw new Error("timeout");
+      });
+
+      expect(await checkAndRebalance(manager, { maxGasPrice, retryDelayMs: 0, log })).to.deep.equal({ action: "skip", reason: "no-trigger" });
+      expect(sends).to.equal(1);
+      expect(await liquidityManager.positionTokenId()).to.equal(2);
+    });
+
+    it("Should keep waiting on a sent transaction when waiting for it fails", async function () {
+      await makeStale();
+      let sends = 0;
+      const manager = managerWith(async overrides => {
+        sends++;
+        const tx = await liquidityManager.connect(keeper).rebalancePosition(overrides);
+        return { ...tx, wait: async () => { throw new Error("socket hang up"); } };
+      });
+
+      const result = await checkAndRebalance(manager, { maxGasPrice, retryDelayMs: 0, log });
+      expect(result.action).to.equal("rebalance");
+      expect(sends).to.equal(1);
+      expect(entries.map(e => e.event)).to.deep.equal(["decision", "sent", "wait-retry", "rebalanced"]);
+      expect(entries[2].txHash).to.equal(result.txHash);
+      expect(await liquidityManager.positionTokenId()).to.equal(2);
+    });
+
+    it("Should replace a transaction still pending after the timeout", async function () {
+      await makeStale();
+      let sends = 0;
+      const manager = managerWith(async overrides => {
+        const tx = await liquidityManager.connect(keeper).rebalancePosition(overrides);
+        // Only the replacement is mined
+        if (++sends === 2) await ethers.provider.send("evm_mine", []);
+        return tx;
+      });
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const result = await checkAndRebalance(manager, { maxGasPrice, retryDelayMs: 0, timeoutMs: 100, log });
+        expect(result.action).to.equal("rebalance");
+        expect(sends).to.equal(2);
+        expect(entries.map(e => e.event)).to.deep.equal(["decision", "sent", "wait-timeout", "replaced", "rebalanced"]);
+        expect(entries[3].replacedTxHash).to.equal(entries[1].txHash);
+        expect(result.txHash).to.equal(entries[3].txHash);
+        expect(await liquidityManager.positionTokenId()).to.equal(2);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    });
+
+    it("Should give up on a transaction still pending after the last timeout", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const tx = await keeper.sendTransaction({ to: owner.address, value: 1 });
+        try {
+          await waitForReceipt(ethers.provider, tx, { confirmations: 1, timeoutMs: 100, retries: 1, retryDelayMs: 0, log });
+          expect.fail("waitForReceipt should have thrown");
+        } catch (error) {
+          expect(error.code).to.equal("TIMEOUT");
+        }
+        expect(entries).to.deep.equal([{ event: "wait-timeout", attempt: 1, txHash: tx.hash }]);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+        await ethers.provider.send("evm_mine", []);
+      }
+    });
+
+    it("Should pass on a revert instead of waiting again", async function () {
+      const error = Object.assign(new Error("transaction failed"), { receipt: { status: 0 } });
+      const tx = { hash: ethers.constants.HashZero, wait: async () => { throw error; } };
+
+      try {
+        await waitForReceipt(ethers.provider, tx, { confirmations: 1, retries: 3, retryDelayMs: 0, log });
+        expect.fail("waitForReceipt should have thrown");
+      } catch (caught) {
+        expect(caught).to.equal(error);
+      }
+      expect(entries).to.deep.equal([]);
+    });
+  });
+});
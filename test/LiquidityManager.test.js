@@ -1,8 +1,21 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+// withArgs predicate for amounts that only need to be non-zero
+const anyPositive = value => ethers.BigNumber.from(value).gt(0);
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+// LiquidityManager.RebalanceReason
+const Reason = { None: 0, OutOfRange: 1, NearEdge: 2, Stale: 3 };
+// LiquidityManager.LadderLayer
+const Layer = { Backstop: 0, SellWall: 1 };
+
 describe("LiquidityManager", function () {
-  let soon, weth, factory, positionManager, liquidityManager;
+  let soon, weth, factory, positionManager, liquidityManager, pool;
   let owner, addr1, addr2;
   
   beforeEach(async function () {
@@ -35,6 +48,10 @@ describe("LiquidityManager", function () {
     // Create SOON/WETH pool in the factory
     await factory.createPool(soon.address, weth.address, 3000);
     const poolAddress = await factory.getPool(soon.address, weth.address, 3000);
+    pool = await ethers.getContractAt("SushiSwapV3Pool", poolAddress);
+    
+    // Start the pool at a price of 1.0
+    await pool.initialize(ethers.BigNumber.from(2).pow(96));
     
     // Run tests with both mock mode and with real pool to ensure both work
     if (process.env.TEST_WITH_REAL_POOL === 'true') {
@@ -59,6 +76,9 @@ describe("LiquidityManager", function () {
       await liquidityManager.deployed();
     }
     
+    // Exclude LiquidityManager from fees so the pool receives what it is owed
+    await soon.excludeFromFee(liquidityManager.address, true);
+    
     // Transfer SOON tokens to LiquidityManager
     await soon.transfer(liquidityManager.address, ethers.utils.parseEther("347100000")); // 5% of supply
     
@@ -66,6 +86,18 @@ describe("LiquidityManager", function () {
     await weth.deposit({ value: ethers.utils.parseEther("100") });
     await weth.transfer(liquidityManager.address, ethers.utils.parseEther("100"));
   });
+  
+  // Deploys another manager reading prices from `oracleAddress`, funded with `soonAmount` and `wethAmount`
+  async function deployManager(oracleAddress, soonAmount, wethAmount) {
+    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+    const manager = await LiquidityManager.deploy(soon.address, weth.address, positionManager.address, oracleAddress);
+    await manager.deployed();
+    await soon.excludeFromFee(manager.address, true);
+    await soon.transfer(manager.address, soonAmount);
+    await weth.deposit({ value: wethAmount });
+    await weth.transfer(manager.address, wethAmount);
+    return manager;
+  }
 
   describe("Deployment", function() {
     it("Should set the correct token addresses", async function () {
@@ -88,6 +120,8 @@ describe("LiquidityManager", function () {
     it("Should set the default parameters", async function () {
       expect(await liquidityManager.tickDistance()).to.equal(2000);
       expect(await liquidityManager.twapIntervalSeconds()).to.equal(1800);
+      expect(await liquidityManager.slippageToleranceBIPS()).to.equal(100);
+      expect(await liquidityManager.maxTwapDeviation()).to.equal(100);
       expect(await liquidityManager.isLocked()).to.equal(false);
       expect(await liquidityManager.positionTokenId()).to.equal(0);
     });
@@ -192,8 +226,217 @@ describe("LiquidityManager", function () {
       // So this test just checks that the function doesn't revert
       await liquidityManager.rebalancePosition();
     });
+    
+    it("Should keep the position while the TWAP range overlaps it", async function () {
+      const tokenId = await liquidityManager.positionTokenId();
+      await expect(liquidityManager.rebalancePosition()).to.not.emit(liquidityManager, "PositionRebalanced");
+      expect(await liquidityManager.positionTokenId()).to.equal(tokenId);
+    });
   });
   
+  describe("Range Maths", function() {
+    async function range(centerTick) {
+      const [tickLower, tickUpper] = await liquidityManager.rangeAround(centerTick);
+      return [tickLower, tickUpper];
+    }
+    
+    it("Should widen the range outwards to the pool's tick spacing", async function () {
+      expect(await pool.tickSpacing()).to.equal(60);
+      expect(await range(0)).to.deep.equal([-2040, 2040]);
+      expect(await range(7)).to.deep.equal([-2040, 2040]);
+      expect(await range(-61)).to.deep.equal([-2100, 1980]);
+      expect(await range(40)).to.deep.equal([-1980, 2040]);
+    });
+    
+    it("Should clamp the range to the usable tick range", async function () {
+      // 887220 is the largest multiple of 60 within MAX_TICK
+      expect(await range(887000)).to.deep.equal([885000, 887220]);
+      expect(await range(-887272)).to.deep.equal([-887220, -885240]);
+      
+      // Even a center at the edge gets a range one spacing wide
+      await liquidityManager.updateTickDistance(1);
+      expect(await range(887272)).to.deep.equal([887160, 887220]);
+      expect(await range(-887272)).to.deep.equal([-887220, -887160]);
+    });
+    
+    it("Should initialize the position on aligned ticks", async function () {
+      await expect(
+        liquidityManager.initializePosition(ethers.utils.parseEther("10000000"), ethers.utils.parseEther("10"), 7)
+      ).to.emit(liquidityManager, "PositionInitialized")
+        .withArgs(1, -2040, 2040);
+      
+      const position = await positionManager.positions(await liquidityManager.positionTokenId());
+      expect(position.tickLower).to.equal(-2040);
+      expect(position.tickUpper).to.equal(2040);
+    });
+    
+    it("Should have the pool reject ticks off the spacing", async function () {
+      const [token0, token1] = soon.address.toLowerCase() < weth.address.toLowerCase() ? [soon, weth] : [weth, soon];
+      await token0.approve(positionManager.address, ethers.utils.parseEther("1"));
+      await token1.approve(positionManager.address, ethers.utils.parseEther("1"));
+      
+      await expect(
+        positionManager.mint({
+          token0: token0.address,
+          token1: token1.address,
+          fee: 3000,
+          tickLower: -2000,
+          tickUpper: 2000,
+          amount0Desired: ethers.utils.parseEther("1"),
+          amount1Desired: ethers.utils.parseEther("1"),
+          amount0Min: 0,
+          amount1Min: 0,
+          recipient: owner.address,
+          deadline: ethers.constants.MaxUint256
+        })
+      ).to.be.revertedWith("TS");
+    });
+  });
+  
+  for (const soonIsToken0 of [true, false]) {
+    describe(`Rebalancing with SOON as ${soonIsToken0 ? "token0" : "token1"}`, function() {
+      const soonAmount = ethers.utils.parseEther("10000000");
+      const wethAmount = ethers.utils.parseEther("10");
+      let poolTick, oracle;
+      
+      // Deploys a new WRBTC until it sorts on the wanted side of SOON, then sets up a pool around tick 6000
+      beforeEach(async function () {
+        const WETH9 = await ethers.getContractFactory("WETH9");
+        do {
+          weth = await WETH9.deploy();
+          await weth.deployed();
+        } while ((soon.address.toLowerCase() < weth.address.toLowerCase()) !== soonIsToken0);
+        
+        await factory.createPool(soon.address, weth.address, 3000);
+        pool = await ethers.getContractAt("SushiSwapV3Pool", await factory.getPool(soon.address, weth.address, 3000));
+        // sqrt(1.0001^6000) as a Q96 number
+        const sqrtPriceX96 = ethers.BigNumber.from(Math.floor(1.0001 ** 3000 * 2 ** 52)).mul(ethers.BigNumber.from(2).pow(44));
+        await pool.initialize(sqrtPriceX96);
+        poolTick = (await pool.slot0())[1];
+        
+        // An oracle that agrees with the pool until a test moves it
+        const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+        oracle = await MockPoolOracle.deploy(poolTick, poolTick);
+        await oracle.deployed();
+        
+        const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+        liquidityManager = await LiquidityManager.deploy(
+          soon.address,
+          weth.address,
+          positionManager.address,
+          oracle.address
+        );
+        await liquidityManager.deployed();
+        await soon.excludeFromFee(liquidityManager.address, true);
+        await soon.transfer(liquidityManager.address, soonAmount);
+        await weth.deposit({ value: wethAmount });
+        await weth.transfer(liquidityManager.address, wethAmount);
+        
+        await liquidityManager.initializePosition(soonAmount, wethAmount, poolTick);
+      });
+      
+      it("Should order the tokens and amounts for the pool", async function () {
+        const tokenId = await liquidityManager.positionTokenId();
+        const position = await positionManager.positions(tokenId);
+        const [expectedLower, expectedUpper] = await liquidityManager.rangeAround(poolTick);
+        
+        expect(position.token0).to.equal(soonIsToken0 ? soon.address : weth.address);
+        expect(position.token1).to.equal(soonIsToken0 ? weth.address : soon.address);
+        expect(position.tickLower).to.equal(expectedLower);
+        expect(position.tickUpper).to.equal(expectedUpper);
+        expect(expectedLower).to.be.lt(poolTick);
+        expect(expectedUpper).to.be.gt(poolTick);
+        
+        // In range, so both tokens went in
+        expect(await soon.balanceOf(pool.address)).to.be.gt(0);
+        expect(await weth.balanceOf(pool.address)).to.be.gt(0);
+      });
+      
+      it("Should not withdraw at a pool price away from the TWAP", async function () {
+        const tokenId = await liquidityManager.positionTokenId();
+        // The oracle reports a TWAP of 0, but the pool still trades at tick 6000: valued at the TWAP
+        // the old range holds only token0, so what the pool pays out falls short
+        await oracle.setTicks(0, 0);
+        await increaseTime(3600);
+        
+        await expect(
+          liquidityManager.connect(addr1).rebalancePosition()
+        ).to.be.revertedWith("Price slippage check");
+        expect(await liquidityManager.positionTokenId()).to.equal(tokenId);
+      });
+      
+      it("Should move the liquidity into a new position NFT around the TWAP", async function () {
+        // A manager whose range [-2040, 2040] sits below the price, holding only token1 in it;
+        // the first manager's position keeps the pool liquid
+        const lagging = await deployManager(oracle.address, soonAmount, wethAmount);
+        await lagging.initializePosition(soonAmount, wethAmount, 0);
+        const oldTokenId = await lagging.positionTokenId();
+        const [newLower, newUpper] = await lagging.rangeAround(poolTick);
+        expect(await lagging.shouldRebalance()).to.deep.equal([false, Reason.None]);
+        await increaseTime(3600);
+        expect(await lagging.shouldRebalance()).to.deep.equal([true, Reason.OutOfRange]);
+        
+        await expect(lagging.connect(addr1).rebalancePosition())
+          .to.emit(lagging, "PositionRebalanced")
+          .withArgs(oldTokenId, oldTokenId.add(1), newLower, newUpper, anyPositive);
+        
+        const newTokenId = await lagging.positionTokenId();
+        expect(await positionManager.ownerOf(newTokenId)).to.equal(lagging.address);
+        await expect(positionManager.ownerOf(oldTokenId)).to.be.revertedWith("ERC721: invalid token ID");
+        
+        // The new range is around the price, so the tokens were swapped to put both sides in
+        const position = await positionManager.positions(newTokenId);
+        expect(position.tickLower).to.equal(newLower);
+        expect(position.tickUpper).to.equal(newUpper);
+        expect(position.tickLower).to.be.lt(poolTick);
+        expect(position.tickUpper).to.be.gt(poolTick);
+      });
+      
+      it("Should pay the keeper a share of the fees a rebalance collects", async function () {
+        // Kept small: the mock pool counts its liquidity as active although it is out of range
+        const lagging = await deployManager(oracle.address, wethAmount, wethAmount);
+        await lagging.initializePosition(wethAmount, wethAmount, 0);
+        // The other manager swaps its spare SOON, and the pool shares the fee with every position
+        await liquidityManager.compound();
+        await increaseTime(3600);
+        
+        const tx = await lagging.connect(addr2).rebalancePosition();
+        const receipt = await tx.wait();
+        const fees = receipt.events.find(e => e.event === "FeesCollected").args;
+        const reward = fees.amountSOON.mul(500).div(10000);
+        expect(reward).to.be.gt(0);
+        
+        await expect(tx).to.emit(lagging, "RebalanceTriggered").withArgs(Reason.OutOfRange);
+        await expect(tx).to.emit(lagging, "KeeperRewarded").withArgs(addr2.address, reward, 0);
+        expect(await soon.balanceOf(addr2.address)).to.equal(reward);
+      });
+      
+      it("Should place the sell wall above the price in SOON's terms, holding only SOON", async function () {
+        const laddered = await deployManager(oracle.address, wethAmount, wethAmount);
+        await laddered.updateLadder(2000, 8000, 1000, 4000);
+        const [coreLower, coreUpper] = await laddered.rangeAround(poolTick);
+        
+        await expect(laddered.initializePosition(wethAmount, wethAmount, poolTick))
+          .to.emit(laddered, "LadderPositionMinted")
+          .withArgs(
+            Layer.SellWall,
+            anyPositive,
+            soonIsToken0 ? coreUpper : coreLower - 4020,
+            soonIsToken0 ? coreUpper + 4020 : coreLower,
+            anyPositive
+          );
+        
+        // Entirely on SOON's side of the pool price: above it when SOON is token0, below it when SOON is token1
+        const wall = await positionManager.positions(await laddered.sellWallTokenId());
+        if (soonIsToken0) {
+          expect(wall.tickLower).to.be.gt(poolTick);
+        } else {
+          expect(wall.tickUpper).to.be.lte(poolTick);
+        }
+      });
+    });
+  }
+  
   describe("Configuration", function() {
     it("Should allow owner to update tick distance", async function () {
       await liquidityManager.updateTickDistance(1500);
@@ -234,6 +477,676 @@ describe("LiquidityManager", function () {
     });
   });
   
+  describe("Swap and Liquify", function() {
+    it("Should resolve the SOON/RBTC pool", async function () {
+      expect(await liquidityManager.pool()).to.equal(pool.address);
+    });
+    
+    it("Should only accept swap-and-liquify from the SOON token", async function () {
+      await liquidityManager.initializePosition(
+        ethers.utils.parseEther("10000000"),
+        ethers.utils.parseEther("10"),
+        0
+      );
+      
+      await expect(
+        liquidityManager.swapAndLiquify(ethers.utils.parseEther("1000"))
+      ).to.be.revertedWith("LM: Caller is not SOON");
+    });
+    
+    it("Should reject swap callbacks that do not come from the pool", async function () {
+      await expect(
+        liquidityManager.connect(addr1).uniswapV3SwapCallback(1, 0, "0x")
+      ).to.be.revertedWith("LM: Invalid swap callback");
+    });
+    
+    it("Should allow owner to update the swap slippage cap", async function () {
+      expect(await liquidityManager.maxSwapSlippageBIPS()).to.equal(100);
+      
+      await expect(liquidityManager.updateMaxSwapSlippage(250))
+        .to.emit(liquidityManager, "MaxSwapSlippageUpdated")
+        .withArgs(250);
+      expect(await liquidityManager.maxSwapSlippageBIPS()).to.equal(250);
+    });
+    
+    it("Should validate the swap slippage cap", async function () {
+      await expect(
+        liquidityManager.updateMaxSwapSlippage(0)
+      ).to.be.revertedWith("LM: Invalid swap slippage");
+      
+      await expect(
+        liquidityManager.updateMaxSwapSlippage(1001)
+      ).to.be.revertedWith("LM: Invalid swap slippage");
+      
+      await expect(
+        liquidityManager.connect(addr1).updateMaxSwapSlippage(250)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await liquidityManager.lock();
+      await expect(
+        liquidityManager.updateMaxSwapSlippage(250)
+      ).to.be.revertedWith("LM: Contract is locked");
+    });
+  });
+  
+  describe("Compounding", function() {
+    const amount = ethers.utils.parseEther("10");
+    let manager;
+    
+    // A manager holding just what its position takes, around the pool's price of 1.0
+    beforeEach(async function () {
+      manager = await deployManager(ethers.constants.AddressZero, amount, amount);
+      await manager.initializePosition(amount, amount, 0);
+    });
+    
+    async function positionLiquidity() {
+      return (await positionManager.positions(await manager.positionTokenId())).liquidity;
+    }
+    
+    it("Should swap an excess to the range's ratio and add it to the position", async function () {
+      const liquidityBefore = await positionLiquidity();
+      await weth.deposit({ value: ethers.utils.parseEther("0.2") });
+      await weth.transfer(manager.address, ethers.utils.parseEther("0.2"));
+      
+      await expect(manager.connect(addr1).compound())
+        .to.emit(pool, "Swap")
+        .and.to.emit(manager, "Compounded");
+      
+      expect(await positionLiquidity()).to.be.gt(liquidityBefore);
+      // Only rounding dust and the swap's price impact are left over
+      expect(await weth.balanceOf(manager.address)).to.be.lt(ethers.utils.parseEther("0.01"));
+      expect(await soon.balanceOf(manager.address)).to.be.lt(ethers.utils.parseEther("0.01"));
+    });
+    
+    it("Should reinvest the SOON liquidity fee", async function () {
+      await soon.setLiquidityManager(manager.address);
+      await soon.transfer(addr1.address, ethers.utils.parseEther("10"));
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("10"));
+      const fee = await soon.balanceOf(manager.address);
+      expect(fee).to.be.gt(ethers.utils.parseEther("0.1"));
+      
+      const liquidityBefore = await positionLiquidity();
+      await expect(manager.connect(addr1).compound()).to.emit(manager, "Compounded");
+      
+      expect(await positionLiquidity()).to.be.gt(liquidityBefore);
+      expect(await soon.balanceOf(manager.address)).to.be.lt(fee.div(10));
+    });
+    
+    it("Should compound when a rebalance keeps the range", async function () {
+      await weth.deposit({ value: ethers.utils.parseEther("0.2") });
+      await weth.transfer(manager.address, ethers.utils.parseEther("0.2"));
+      
+      const tx = manager.connect(addr1).rebalancePosition();
+      await expect(tx).to.emit(manager, "Compounded");
+      await expect(tx).to.not.emit(manager, "PositionRebalanced");
+    });
+    
+    it("Should need a position and a TWAP close to the spot price", async function () {
+      const uninitialized = await deployManager(ethers.constants.AddressZero, amount, amount);
+      await expect(uninitialized.compound()).to.be.revertedWith("LM: Position not initialized");
+      
+      // The pool was only just initialized, so it has no 30-minute TWAP yet
+      const noTwap = await deployManager(pool.address, amount, amount);
+      await noTwap.initializePosition(amount, amount, 0);
+      await expect(noTwap.compound()).to.be.revertedWith("LM: TWAP unavailable");
+      
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      const oracle = await MockPoolOracle.deploy(0, 0);
+      await oracle.deployed();
+      const manipulated = await deployManager(oracle.address, amount, amount);
+      await manipulated.initializePosition(amount, amount, 0);
+      await oracle.setTicks(150, 0);
+      await expect(manipulated.compound()).to.be.revertedWith("LM: Price deviates from TWAP");
+    });
+  });
+  
+  describe("Keepers", function() {
+    const amount = ethers.utils.parseEther("10");
+    let manager, oracle;
+    
+    // A manager around tick 0 whose TWAP the test moves
+    beforeEach(async function () {
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      oracle = await MockPoolOracle.deploy(0, 0);
+      await oracle.deployed();
+      manager = await deployManager(oracle.address, amount, amount);
+      await manager.initializePosition(amount, amount, 0);
+    });
+    
+    async function moveTwap(tick) {
+      await oracle.setTicks(tick, tick);
+    }
+    
+    it("Should set the default triggers and reward", async function () {
+      expect(await manager.edgeThresholdTicks()).to.equal(0);
+      expect(await manager.minRebalanceIntervalSeconds()).to.equal(3600);
+      expect(await manager.stalePositionTimeoutSeconds()).to.equal(0);
+      expect(await manager.keeperRewardBIPS()).to.equal(500);
+      const block = await ethers.provider.getBlock("latest");
+      expect(await manager.lastRebalanceTimestamp()).to.equal(block.timestamp);
+    });
+    
+    it("Should not rebalance before the minimum interval", async function () {
+      await moveTwap(3000);
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+      await expect(manager.rebalancePosition()).to.not.emit(manager, "RebalanceTriggered");
+      
+      await increaseTime(3600);
+      expect(await manager.shouldRebalance()).to.deep.equal([true, Reason.OutOfRange]);
+    });
+    
+    it("Should trigger near a range edge", async function () {
+      await increaseTime(3600);
+      // The range is [-2040, 2040]
+      await moveTwap(1900);
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+      
+      await manager.updateRebalanceTriggers(200, 3600, 0);
+      expect(await manager.shouldRebalance()).to.deep.equal([true, Reason.NearEdge]);
+      await moveTwap(-1850);
+      expect(await manager.shouldRebalance()).to.deep.equal([true, Reason.NearEdge]);
+      await moveTwap(-1830);
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+    });
+    
+    it("Should recenter a stale position", async function () {
+      await manager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(3600);
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+      
+      await increaseTime(23 * 60 * 60);
+      expect(await manager.shouldRebalance()).to.deep.equal([true, Reason.Stale]);
+      
+      const tokenId = await manager.positionTokenId();
+      await expect(manager.connect(addr1).rebalancePosition())
+        .to.emit(manager, "RebalanceTriggered")
+        .withArgs(Reason.Stale)
+        .and.to.emit(manager, "PositionRebalanced");
+      expect(await manager.positionTokenId()).to.equal(tokenId.add(1));
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+    });
+    
+    it("Should not report a rebalance that would revert or return early", async function () {
+      await increaseTime(3600);
+      await oracle.setTicks(3000, 2800);
+      expect(await manager.shouldRebalance()).to.deep.equal([false, Reason.None]);
+      
+      const uninitialized = await deployManager(oracle.address, amount, amount);
+      expect(await uninitialized.shouldRebalance()).to.deep.equal([false, Reason.None]);
+    });
+    
+    it("Should allow owner to update the triggers and keeper reward", async function () {
+      await expect(manager.updateRebalanceTriggers(100, 600, 7 * 24 * 60 * 60))
+        .to.emit(manager, "RebalanceTriggersUpdated")
+        .withArgs(100, 600, 7 * 24 * 60 * 60);
+      expect(await manager.edgeThresholdTicks()).to.equal(100);
+      expect(await manager.minRebalanceIntervalSeconds()).to.equal(600);
+      expect(await manager.stalePositionTimeoutSeconds()).to.equal(7 * 24 * 60 * 60);
+      
+      await expect(manager.updateKeeperReward(0))
+        .to.emit(manager, "KeeperRewardUpdated")
+        .withArgs(0);
+      expect(await manager.keeperRewardBIPS()).to.equal(0);
+    });
+    
+    it("Should validate the triggers and keeper reward", async function () {
+      await expect(
+        manager.updateRebalanceTriggers(-1, 3600, 0)
+      ).to.be.revertedWith("LM: Invalid edge threshold");
+      await expect(
+        manager.updateRebalanceTriggers(2000, 3600, 0)
+      ).to.be.revertedWith("LM: Invalid edge threshold");
+      await expect(
+        manager.updateRebalanceTriggers(0, 10 * 60 - 1, 0)
+      ).to.be.revertedWith("LM: Invalid rebalance interval");
+      await expect(
+        manager.updateRebalanceTriggers(0, 7 * 24 * 60 * 60 + 1, 0)
+      ).to.be.revertedWith("LM: Invalid rebalance interval");
+      await expect(
+        manager.updateRebalanceTriggers(0, 3600, 60 * 60)
+      ).to.be.revertedWith("LM: Invalid stale timeout");
+      await expect(
+        manager.updateRebalanceTriggers(0, 3600, 366 * 24 * 60 * 60)
+      ).to.be.revertedWith("LM: Invalid stale timeout");
+      await expect(
+        manager.updateKeeperReward(1001)
+      ).to.be.revertedWith("LM: Invalid keeper reward");
+      
+      // The core range stays wider than the edge threshold either way round
+      await manager.updateRebalanceTriggers(500, 3600, 0);
+      await expect(
+        manager.updateTickDistance(500)
+      ).to.be.revertedWith("LM: Invalid tick distance");
+      await manager.updateTickDistance(501);
+      
+      await expect(
+        manager.connect(addr1).updateRebalanceTriggers(0, 3600, 0)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        manager.connect(addr1).updateKeeperReward(0)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await manager.lock();
+      await expect(
+        manager.updateRebalanceTriggers(0, 3600, 0)
+      ).to.be.revertedWith("LM: Contract is locked");
+      await expect(
+        manager.updateKeeperReward(0)
+      ).to.be.revertedWith("LM: Contract is locked");
+    });
+  });
+  
+  describe("Ladder", function() {
+    const amount = ethers.utils.parseEther("10");
+    let manager, sellWallRange;
+    
+    // A manager around the pool's price of 1.0 with a backstop and a sell wall
+    beforeEach(async function () {
+      // Above the core range [-2040, 2040] in SOON's price
+      sellWallRange = soon.address.toLowerCase() < weth.address.toLowerCase() ? [2040, 6060] : [-6060, -2040];
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      const oracle = await MockPoolOracle.deploy(0, 0);
+      await oracle.deployed();
+      manager = await deployManager(oracle.address, amount, amount);
+      await manager.updateLadder(2000, 8000, 1000, 4000);
+    });
+    
+    async function positionTokenIds() {
+      return (await manager.positionTokenIds()).map(id => id.toNumber());
+    }
+    
+    it("Should default to a single core position", async function () {
+      expect(await liquidityManager.backstopWeightBIPS()).to.equal(0);
+      expect(await liquidityManager.backstopTickDistance()).to.equal(8000);
+      expect(await liquidityManager.sellWallWeightBIPS()).to.equal(0);
+      expect(await liquidityManager.sellWallTickDistance()).to.equal(4000);
+      expect(await liquidityManager.positionTokenIds()).to.deep.equal([]);
+      
+      await expect(
+        liquidityManager.initializePosition(ethers.utils.parseEther("1000"), ethers.utils.parseEther("1"), 0)
+      ).to.not.emit(liquidityManager, "LadderPositionMinted");
+      expect(await liquidityManager.positionTokenIds()).to.deep.equal([await liquidityManager.positionTokenId()]);
+      expect(await liquidityManager.backstopTokenId()).to.equal(0);
+      expect(await liquidityManager.sellWallTokenId()).to.equal(0);
+    });
+    
+    it("Should mint a backstop and a sell wall beside the core position", async function () {
+      const tx = manager.initializePosition(amount, amount, 0);
+      
+      // The sell wall is minted first, then the backstop, then the core position
+      await expect(tx)
+        .to.emit(manager, "LadderPositionMinted")
+        .withArgs(Layer.SellWall, 1, ...sellWallRange, anyPositive);
+      await expect(tx)
+        .to.emit(manager, "LadderPositionMinted")
+        .withArgs(Layer.Backstop, 2, -8040, 8040, anyPositive);
+      await expect(tx)
+        .to.emit(manager, "PositionInitialized")
+        .withArgs(3, -2040, 2040);
+      
+      expect(await manager.positionTokenId()).to.equal(3);
+      expect(await manager.backstopTokenId()).to.equal(2);
+      expect(await manager.sellWallTokenId()).to.equal(1);
+      expect(await positionTokenIds()).to.deep.equal([3, 2, 1]);
+      for (const tokenId of [1, 2, 3]) {
+        expect(await positionManager.ownerOf(tokenId)).to.equal(manager.address);
+      }
+    });
+    
+    it("Should collect the fees of every position", async function () {
+      await manager.initializePosition(amount, amount, 0);
+      
+      // Compounding spare WRBTC swaps it through the pool, whose only liquidity is the manager's
+      await weth.deposit({ value: ethers.utils.parseEther("0.2") });
+      await weth.transfer(manager.address, ethers.utils.parseEther("0.2"));
+      const receipt = await (await manager.compound()).wait();
+      const swap = receipt.logs
+        .filter(log => log.address === pool.address)
+        .map(log => pool.interface.parseLog(log))
+        .find(event => event.name === "Swap");
+      const rbtcIn = ethers.BigNumber.from(soon.address.toLowerCase() < weth.address.toLowerCase() ? swap.args.amount1 : swap.args.amount0);
+      const swapFee = rbtcIn.mul(3000).div(1000000);
+      
+      const fees = (await (await manager.compound()).wait()).events.find(e => e.event === "FeesCollected").args;
+      expect(fees.amountRBTC).to.be.closeTo(swapFee, 10);
+    });
+    
+    it("Should rebalance every position around the TWAP", async function () {
+      await manager.initializePosition(amount, amount, 0);
+      await manager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(24 * 60 * 60);
+      
+      const tx = manager.connect(addr1).rebalancePosition();
+      await expect(tx).to.emit(manager, "RebalanceTriggered").withArgs(Reason.Stale);
+      await expect(tx).to.emit(manager, "LadderPositionMinted").withArgs(Layer.SellWall, 4, ...sellWallRange, anyPositive);
+      await expect(tx).to.emit(manager, "LadderPositionMinted").withArgs(Layer.Backstop, 5, -8040, 8040, anyPositive);
+      await expect(tx).to.emit(manager, "PositionRebalanced").withArgs(3, 6, -2040, 2040, anyPositive);
+      
+      expect(await positionTokenIds()).to.deep.equal([6, 5, 4]);
+      for (const tokenId of [1, 2, 3]) {
+        await expect(positionManager.ownerOf(tokenId)).to.be.revertedWith("ERC721: invalid token ID");
+      }
+    });
+    
+    it("Should allow owner to update the ladder", async function () {
+      await expect(manager.updateLadder(0, 10000, 500, 2000))
+        .to.emit(manager, "LadderUpdated")
+        .withArgs(0, 10000, 500, 2000);
+      expect(await manager.backstopWeightBIPS()).to.equal(0);
+      expect(await manager.backstopTickDistance()).to.equal(10000);
+      expect(await manager.sellWallWeightBIPS()).to.equal(500);
+      expect(await manager.sellWallTickDistance()).to.equal(2000);
+      
+      // The new ladder applies from the next mint: a narrower sell wall and no backstop
+      const soonIsToken0 = sellWallRange[0] > 0;
+      await expect(manager.initializePosition(amount, amount, 0))
+        .to.emit(manager, "LadderPositionMinted")
+        .withArgs(Layer.SellWall, 1, soonIsToken0 ? 2040 : -4080, soonIsToken0 ? 4080 : -2040, anyPositive);
+      expect(await positionTokenIds()).to.deep.equal([2, 1]);
+    });
+    
+    it("Should validate the ladder", async function () {
+      await expect(
+        manager.updateLadder(9001, 8000, 0, 4000)
+      ).to.be.revertedWith("LM: Invalid ladder weight");
+      await expect(
+        manager.updateLadder(0, 8000, 9001, 4000)
+      ).to.be.revertedWith("LM: Invalid ladder weight");
+      await expect(
+        manager.updateLadder(2000, 2000, 0, 4000)
+      ).to.be.revertedWith("LM: Invalid backstop distance");
+      await expect(
+        manager.updateLadder(2000, 887273, 0, 4000)
+      ).to.be.revertedWith("LM: Invalid backstop distance");
+      await expect(
+        manager.updateLadder(0, 8000, 1000, 0)
+      ).to.be.revertedWith("LM: Invalid sell wall distance");
+      // The core range stays narrower than the backstop
+      await expect(
+        manager.updateTickDistance(8000)
+      ).to.be.revertedWith("LM: Invalid tick distance");
+      
+      // A layer without weight is never minted, so its distance is not checked
+      await manager.updateLadder(0, 8000, 1000, 4000);
+      await manager.updateTickDistance(9000);
+      await manager.updateLadder(0, 8000, 1000, 4000);
+      await manager.updateLadder(0, 0, 0, 0);
+      
+      await expect(
+        manager.connect(addr1).updateLadder(0, 8000, 0, 4000)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await manager.lock();
+      await expect(
+        manager.updateLadder(0, 8000, 0, 4000)
+      ).to.be.revertedWith("LM: Contract is locked");
+    });
+  });
+  
+  describe("Adaptive Width", function() {
+    const amount = ethers.utils.parseEther("10");
+    let manager, oracle;
+    
+    // A manager around the pool's price of 1.0 whose oracle replays a tick history
+    beforeEach(async function () {
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      oracle = await MockPoolOracle.deploy(0, 0);
+      await oracle.deployed();
+      manager = await deployManager(oracle.address, amount, amount);
+    });
+    
+    // Average ticks of the last 30-minute TWAP intervals, newest first
+    async function setHistory(ticks) {
+      await oracle.setTickHistory(1800, ticks);
+    }
+    
+    it("Should keep a fixed tick distance by default", async function () {
+      expect(await manager.adaptiveWidthEnabled()).to.equal(false);
+      expect(await manager.minTickDistance()).to.equal(1000);
+      expect(await manager.maxTickDistance()).to.equal(6000);
+      expect(await manager.volatilitySamples()).to.equal(6);
+      expect(await manager.volatilityMultiplier()).to.equal(3);
+      
+      await setHistory([0, 500, 0, 500, 0, 500]);
+      await expect(manager.initializePosition(amount, amount, 0))
+        .to.not.emit(manager, "TickDistanceAdapted");
+      expect(await manager.tickDistance()).to.equal(2000);
+    });
+    
+    it("Should estimate the volatility from the TWAPs of consecutive intervals", async function () {
+      expect(await manager.volatilityEstimate()).to.deep.equal([true, ethers.BigNumber.from(0)]);
+      
+      // Changes of 20, 0, -30, 40 and -30 ticks: sqrt(3800 / 5)
+      await setHistory([0, 30, -10, 20, 20, 0]);
+      expect(await manager.volatilityEstimate()).to.deep.equal([true, ethers.BigNumber.from(27)]);
+      
+      // Only the last volatilitySamples intervals count
+      await manager.updateAdaptiveWidth(false, 1000, 6000, 2, 3);
+      expect(await manager.volatilityEstimate()).to.deep.equal([true, ethers.BigNumber.from(30)]);
+      
+      // The pool was only just initialized, so it has no history yet
+      const noHistory = await deployManager(pool.address, amount, amount);
+      expect(await noHistory.volatilityEstimate()).to.deep.equal([false, ethers.BigNumber.from(0)]);
+    });
+    
+    it("Should set the width from the volatility within the bounds", async function () {
+      await manager.updateAdaptiveWidth(true, 1000, 6000, 6, 3);
+      
+      // 3 x 27 ticks is narrower than the minimum
+      await setHistory([0, 30, -10, 20, 20, 0]);
+      await expect(manager.initializePosition(amount, amount, 0))
+        .to.emit(manager, "TickDistanceAdapted")
+        .withArgs(1000, 27)
+        .and.to.emit(manager, "PositionInitialized")
+        .withArgs(1, -1020, 1020);
+      
+      // Five changes of 500 ticks: 3 x 500
+      await setHistory([0, 500, 0, 500, 0, 500]);
+      await manager.updateRebalanceTriggers(0, 3600, 24 * 60 * 60);
+      await increaseTime(24 * 60 * 60);
+      await expect(manager.rebalancePosition())
+        .to.emit(manager, "TickDistanceAdapted")
+        .withArgs(1500, 500)
+        .and.to.emit(manager, "PositionRebalanced")
+        .withArgs(1, 2, -1500, 1500, anyPositive);
+      expect(await manager.tickDistance()).to.equal(1500);
+      
+      // Changes of 2000 and 4x 4000 ticks: 3 x sqrt(68000000 / 5) = 3 x 3687 ticks is wider than the maximum
+      await setHistory([0, 2000, -2000, 2000, -2000, 2000]);
+      await increaseTime(24 * 60 * 60);
+      await expect(manager.rebalancePosition())
+        .to.emit(manager, "TickDistanceAdapted")
+        .withArgs(6000, 3687);
+    });
+    
+    it("Should keep the width while the pool has too little history", async function () {
+      const noHistory = await deployManager(pool.address, amount, amount);
+      await noHistory.updateAdaptiveWidth(true, 1000, 6000, 6, 3);
+      
+      await expect(noHistory.initializePosition(amount, amount, 0))
+        .to.not.emit(noHistory, "TickDistanceAdapted");
+      expect(await noHistory.tickDistance()).to.equal(2000);
+    });
+    
+    it("Should allow owner to update the adaptive width", async function () {
+      await expect(manager.updateAdaptiveWidth(true, 500, 4000, 12, 2))
+        .to.emit(manager, "AdaptiveWidthUpdated")
+        .withArgs(true, 500, 4000, 12, 2);
+      expect(await manager.adaptiveWidthEnabled()).to.equal(true);
+      expect(await manager.minTickDistance()).to.equal(500);
+      expect(await manager.maxTickDistance()).to.equal(4000);
+      expect(await manager.volatilitySamples()).to.equal(12);
+      expect(await manager.volatilityMultiplier()).to.equal(2);
+    });
+    
+    it("Should validate the adaptive width", async function () {
+      await expect(
+        manager.updateAdaptiveWidth(true, 0, 6000, 6, 3)
+      ).to.be.revertedWith("LM: Invalid adaptive width");
+      await expect(
+        manager.updateAdaptiveWidth(true, 2000, 1000, 6, 3)
+      ).to.be.revertedWith("LM: Invalid adaptive width");
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 20000, 6, 3)
+      ).to.be.revertedWith("LM: Invalid adaptive width");
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 6000, 1, 3)
+      ).to.be.revertedWith("LM: Invalid volatility settings");
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 6000, 13, 3)
+      ).to.be.revertedWith("LM: Invalid volatility settings");
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 6000, 6, 0)
+      ).to.be.revertedWith("LM: Invalid volatility settings");
+      
+      // The minimum stays above the edge threshold, and the maximum below the backstop's width
+      await manager.updateRebalanceTriggers(500, 3600, 0);
+      await expect(
+        manager.updateAdaptiveWidth(true, 500, 6000, 6, 3)
+      ).to.be.revertedWith("LM: Invalid adaptive width");
+      await manager.updateLadder(2000, 8000, 0, 4000);
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 8000, 6, 3)
+      ).to.be.revertedWith("LM: Invalid adaptive width");
+      await manager.updateAdaptiveWidth(true, 1000, 6000, 6, 3);
+      await expect(
+        manager.updateRebalanceTriggers(1000, 3600, 0)
+      ).to.be.revertedWith("LM: Invalid edge threshold");
+      // Nor may it reach a tickDistance set below the minimum before the next mint adapts it
+      await manager.updateTickDistance(800);
+      await expect(
+        manager.updateRebalanceTriggers(800, 3600, 0)
+      ).to.be.revertedWith("LM: Invalid edge threshold");
+      await expect(
+        manager.updateLadder(2000, 6000, 0, 4000)
+      ).to.be.revertedWith("LM: Invalid backstop distance");
+      
+      await expect(
+        manager.connect(addr1).updateAdaptiveWidth(true, 1000, 6000, 6, 3)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await manager.lock();
+      await expect(
+        manager.updateAdaptiveWidth(true, 1000, 6000, 6, 3)
+      ).to.be.revertedWith("LM: Contract is locked");
+    });
+  });
+  
+  describe("Price Protection", function() {
+    const soonAmount = ethers.utils.parseEther("10000000");
+    const wethAmount = ethers.utils.parseEther("10");
+    let oracle;
+    
+    // The tick at which WRBTC is worth `ticks` more than in the pool, which sits at tick 0
+    const rbtcDearerBy = ticks => (soon.address.toLowerCase() < weth.address.toLowerCase() ? -ticks : ticks);
+    
+    // A manager whose spot and TWAP ticks the test sets; the pool itself stays at tick 0
+    async function deployWithOracle(tick, twapTick) {
+      const MockPoolOracle = await ethers.getContractFactory("MockPoolOracle");
+      oracle = await MockPoolOracle.deploy(tick, twapTick);
+      await oracle.deployed();
+      return deployManager(oracle.address, soonAmount, wethAmount);
+    }
+    
+    it("Should allow owner to update the slippage tolerance and TWAP deviation", async function () {
+      await expect(liquidityManager.updateSlippageTolerance(250))
+        .to.emit(liquidityManager, "SlippageToleranceUpdated")
+        .withArgs(250);
+      expect(await liquidityManager.slippageToleranceBIPS()).to.equal(250);
+      
+      await expect(liquidityManager.updateMaxTwapDeviation(500))
+        .to.emit(liquidityManager, "MaxTwapDeviationUpdated")
+        .withArgs(500);
+      expect(await liquidityManager.maxTwapDeviation()).to.equal(500);
+    });
+    
+    it("Should validate the slippage tolerance and TWAP deviation", async function () {
+      await expect(
+        liquidityManager.updateSlippageTolerance(0)
+      ).to.be.revertedWith("LM: Invalid slippage tolerance");
+      await expect(
+        liquidityManager.updateSlippageTolerance(1001)
+      ).to.be.revertedWith("LM: Invalid slippage tolerance");
+      await expect(
+        liquidityManager.updateMaxTwapDeviation(0)
+      ).to.be.revertedWith("LM: Invalid TWAP deviation");
+      await expect(
+        liquidityManager.updateMaxTwapDeviation(2001)
+      ).to.be.revertedWith("LM: Invalid TWAP deviation");
+      
+      await expect(
+        liquidityManager.connect(addr1).updateSlippageTolerance(250)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        liquidityManager.connect(addr1).updateMaxTwapDeviation(500)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await liquidityManager.lock();
+      await expect(
+        liquidityManager.updateSlippageTolerance(250)
+      ).to.be.revertedWith("LM: Contract is locked");
+      await expect(
+        liquidityManager.updateMaxTwapDeviation(500)
+      ).to.be.revertedWith("LM: Contract is locked");
+    });
+    
+    it("Should refuse to rebalance while the spot price deviates from the TWAP", async function () {
+      const manager = await deployWithOracle(0, 0);
+      await manager.initializePosition(soonAmount, wethAmount, 0);
+      
+      // Spot pushed past the limit, e.g. by a swap in the same block
+      await oracle.setTicks(101, 0);
+      await expect(
+        manager.connect(addr1).rebalancePosition()
+      ).to.be.revertedWith("LM: Price deviates from TWAP");
+      await oracle.setTicks(-5000, 0);
+      await expect(
+        manager.connect(addr1).rebalancePosition()
+      ).to.be.revertedWith("LM: Price deviates from TWAP");
+      
+      // Within the limit, the TWAP range still overlaps the position
+      await oracle.setTicks(-100, 0);
+      await expect(manager.connect(addr1).rebalancePosition()).to.not.emit(manager, "PositionRebalanced");
+      
+      await manager.updateMaxTwapDeviation(2000);
+      await oracle.setTicks(2000, 0);
+      await expect(manager.connect(addr1).rebalancePosition()).to.not.be.reverted;
+    });
+    
+    it("Should not mint at a pool price away from the TWAP", async function () {
+      // WRBTC is the scarce side, so the mint takes all of it, but the pool pairs it with less SOON
+      // than it is worth at the TWAP
+      const manager = await deployWithOracle(rbtcDearerBy(3000), rbtcDearerBy(3000));
+      
+      await expect(
+        manager.initializePosition(soonAmount, wethAmount, 0)
+      ).to.be.revertedWith("Price slippage check");
+    });
+    
+    it("Should apply the slippage tolerance to the amounts at the TWAP", async function () {
+      // The pool prices WRBTC a few ticks below the TWAP
+      const manager = await deployWithOracle(rbtcDearerBy(6), rbtcDearerBy(6));
+      
+      await manager.updateSlippageTolerance(10);
+      await expect(
+        manager.initializePosition(soonAmount, wethAmount, 0)
+      ).to.be.revertedWith("Price slippage check");
+      
+      await manager.updateSlippageTolerance(100);
+      await expect(manager.initializePosition(soonAmount, wethAmount, 0))
+        .to.emit(manager, "PositionInitialized");
+    });
+    
+    it("Should value the first mint at the target tick while the pool has no TWAP", async function () {
+      // The pool was only just initialized, so it cannot give a 30-minute TWAP yet
+      const manager = await deployManager(pool.address, soonAmount, wethAmount);
+      
+      await expect(
+        manager.initializePosition(soonAmount, wethAmount, 3000)
+      ).to.be.revertedWith("Price slippage check");
+      await expect(manager.initializePosition(soonAmount, wethAmount, 0))
+        .to.emit(manager, "PositionInitialized");
+    });
+  });
+  
   describe("Locking", function() {
     it("Should allow owner to lock the contract", async function () {
       expect(await liquidityManager.isLocked()).to.equal(false);
@@ -389,6 +1302,50 @@ describe("LiquidityManager", function () {
       expect(slot0Data.unlocked).to.equal(true);
     });
     
+    it("Should keep only as many pool observations as the pool's cardinality", async function () {
+      await liquidityManager.initializePosition(ethers.utils.parseEther("10000000"), ethers.utils.parseEther("10"), 0);
+      const SwapRouter = await ethers.getContractFactory("SwapRouter");
+      const router = await SwapRouter.deploy(factory.address);
+      await router.deployed();
+      const amountIn = ethers.utils.parseEther("0.001");
+      await weth.deposit({ value: amountIn.mul(4) });
+      await weth.approve(router.address, amountIn.mul(4));
+      async function swapLater() {
+        await increaseTime(100);
+        await router.exactInputSingle({
+          tokenIn: weth.address,
+          tokenOut: soon.address,
+          fee: 3000,
+          recipient: owner.address,
+          deadline: ethers.constants.MaxUint256,
+          amountIn,
+          amountOutMinimum: 0,
+          sqrtPriceLimitX96: 0
+        });
+      }
+      async function secondsSince(index) {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        return timestamp - (await pool.observations(index)).blockTimestamp;
+      }
+      
+      // A new pool keeps one observation, which each swap in a new block overwrites
+      await swapLater();
+      expect((await pool.slot0()).observationCardinality).to.equal(1);
+      await pool.observe([await secondsSince(0)]);
+      await expect(pool.observe([(await secondsSince(0)) + 1])).to.be.revertedWith("OLD");
+      
+      // More room only takes effect on the next write, and then the oldest is overwritten once full
+      await expect(pool.increaseObservationCardinalityNext(3))
+        .to.emit(pool, "IncreaseObservationCardinalityNext")
+        .withArgs(1, 3);
+      for (let i = 0; i < 3; i++) await swapLater();
+      const slot0 = await pool.slot0();
+      expect(slot0.observationCardinality).to.equal(3);
+      expect(slot0.observationIndex).to.equal(0);
+      await pool.observe([await secondsSince(1), 0]);
+      await expect(pool.observe([(await secondsSince(1)) + 1])).to.be.revertedWith("OLD");
+    });
+    
     it("Should revert when calling mock functions with real pool", async function () {
       // Skip test if using mock mode
       if (process.env.TEST_WITH_REAL_POOL !== 'true') {
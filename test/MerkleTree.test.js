@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  AIRDROP_ALLOCATION,
+  parseClaims,
+  validateClaims,
+  buildMerkleTree,
+  buildProofsOutput
+} = require("../scripts/buildMerkleTree");
+
+describe("Airdrop Merkle Tree Builder", function () {
+  let owner, addr1, addr2, addr3;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+  });
+
+  describe("Parsing", function() {
+    it("Should parse CSV rows and skip the header", async function () {
+      const csv = `address,amount\n${addr1.address},1000000\n\n${addr2.address}, 2.5\n`;
+      const rows = parseClaims(csv, "csv");
+
+      expect(rows).to.deep.equal([
+        { address: addr1.address, amount: "1000000" },
+        { address: addr2.address, amount: "2.5" }
+      ]);
+    });
+
+    it("Should skip a header that follows comments or blank lines", async function () {
+      const csv = `# Round 2 claims\n\naddress,amount\n${addr1.address},1000000\n`;
+      const rows = parseClaims(csv, "csv");
+
+      expect(rows).to.deep.equal([{ address: addr1.address, amount: "1000000" }]);
+    });
+
+    it("Should reject a malformed row instead of taking it for a header", async function () {
+      const typo = `0xZ${addr1.address.slice(3)},100\n${addr2.address},200\n`;
+      expect(() => parseClaims(typo, "csv")).to.throw(`Merkle: Invalid address on line 1: 0xZ${addr1.address.slice(3)}`);
+
+      const later = `address,amount\n${addr1.address},100\nnot-an-address,200\n`;
+      expect(() => parseClaims(later, "csv")).to.throw("Merkle: Invalid address on line 3: not-an-address");
+      expect(() => parseClaims(`${addr1.address}\n`, "csv")).to.throw("Merkle: Missing amount on line 1");
+    });
+
+    it("Should parse optional vesting columns", async function () {
+      const csv = `${addr1.address},1000,250,3600,86400\n${addr2.address},500`;
+      const rows = parseClaims(csv, "csv");
+
+      expect(rows[0].vesting).to.deep.equal({ immediate: "250", cliff: "3600", duration: "86400" });
+      expect(rows[1].vesting).to.be.undefined;
+    });
+
+    it("Should parse JSON arrays and address maps", async function () {
+      const fromArray = parseClaims(JSON.stringify([{ address: addr1.address, amount: 10 }]), "json");
+      const fromMap = parseClaims(JSON.stringify({ [addr1.address]: "10" }), "json");
+
+      expect(fromArray).to.deep.equal([{ address: addr1.address, amount: "10" }]);
+      expect(fromMap).to.deep.equal(fromArray);
+    });
+  });
+
+  describe("Validation", function() {
+    it("Should convert amounts to wei and checksum addresses", async function () {
+      const claims = validateClaims([{ address: addr1.address.toLowerCase(), amount: "1.5" }]);
+
+      expect(claims[0].address).to.equal(addr1.address);
+      expect(claims[0].amount).to.equal(ethers.utils.parseEther("1.5"));
+    });
+
+    it("Should reject addresses with a bad checksum", async function () {
+      const badChecksum = addr1.address.slice(0, -1) + (addr1.address.slice(-1) === "a" ? "A" : "a");
+      expect(() => validateClaims([{ address: badChecksum, amount: "1" }]))
+        .to.throw("Merkle: Invalid address on row 1");
+    });
+
+    it("Should reject duplicate addresses", async function () {
+      expect(() => validateClaims([
+        { address: addr1.address, amount: "1" },
+        { address: addr1.address.toLowerCase(), amount: "2" }
+      ])).to.throw("Merkle: Duplicate address");
+    });
+
+    it("Should reject zero amounts", async function () {
+      expect(() => validateClaims([{ address: addr1.address, amount: "0" }]))
+        .to.throw("Merkle: Amount must be positive");
+    });
+
+    it("Should reject invalid vesting schedules", async function () {
+      const row = (vesting) => [{ address: addr1.address, amount: "100", vesting }];
+
+      expect(() => validateClaims(row({ immediate: "101", cliff: "0", duration: "10" })))
+        .to.throw("Merkle: Immediate amount exceeds total");
+      expect(() => validateClaims(row({ immediate: "10", cliff: "20", duration: "10" })))
+        .to.throw("Merkle: Cliff exceeds duration");
+      expect(() => validateClaims(row({ immediate: "10", cliff: "0", duration: "0" })))
+        .to.throw("Merkle: Vesting duration must be positive");
+    });
+
+    it("Should reject totals above the airdrop allocation", async function () {
+      const allocation = ethers.utils.formatEther(AIRDROP_ALLOCATION);
+      expect(() => validateClaims([
+        { address: addr1.address, amount: allocation },
+        { address: addr2.address, amount: "1" }
+      ])).to.throw("exceeds airdrop allocation");
+    });
+  });
+
+  describe("Output", function() {
+    it("Should write a proof for every address", async function () {
+      const claims = validateClaims([
+        { address: addr1.address, amount: "1000000" },
+        { address: addr2.address, amount: "2000000" }
+      ]);
+      const output = buildProofsOutput(claims);
+
+      expect(output.merkleRoot).to.equal(buildMerkleTree(claims).root);
+      expect(output.tokenTotal).to.equal(ethers.utils.parseEther("3000000").toString());
+      expect(output.claims[addr1.address].amount).to.equal(ethers.utils.parseEther("1000000").toString());
+      expect(output.claims[addr1.address].index).to.equal(0);
+      expect(output.claims[addr2.address].index).to.equal(1);
+      expect(output.claims[addr2.address].proof).to.have.length.greaterThan(0);
+    });
+
+    it("Should produce proofs accepted by SOONAirdrop.claim", async function () {
+      const claims = validateClaims([
+        { address: addr1.address, amount: "1000000" },
+        { address: addr2.address, amount: "2000000" },
+        { address: addr3.address, amount: "3000000" }
+      ]);
+      const output = buildProofsOutput(claims);
+
+      const SOON = await ethers.getContractFactory("SOON");
+      const soon = await SOON.deploy();
+      await soon.deployed();
+
+      const SOONAirdrop = await ethers.getContractFactory("SOONAirdrop");
+      const airdrop = await SOONAirdrop.deploy(output.merkleRoot, soon.address, 30);
+      await airdrop.deployed();
+
+      await soon.excludeFromFee(airdrop.address, true);
+      await soon.transfer(airdrop.address, output.tokenTotal);
+      await airdrop.fundRound(0, output.tokenTotal);
+
+      const { index, amount, proof } = output.claims[addr2.address];
+      await airdrop.connect(addr2).claim(0, index, amount, proof);
+
+      expect(await soon.balanceOf(addr2.address)).to.equal(amount);
+    });
+  });
+});
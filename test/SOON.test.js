@@ -54,35 +54,44 @@ describe("SOON Token", function () {
       // Calculate expected amounts
       const taxAmount = transferAmount.mul(690).div(10000); // 6.9% tax
       const expectedReceived = transferAmount.sub(taxAmount);
+      const reflectionAmount = transferAmount.mul(333).div(10000); // 3.33% reflection
       const burnAmount = transferAmount.mul(200).div(10000); // 2% burn
       const liquidityAmount = transferAmount.mul(157).div(10000); // 1.57% liquidity
       
-      // Transfer from owner to addr1
+      // The deployer is excluded from fees, so fund a normal address first. The liquidity
+      // manager is left out of reflections so it receives exactly its share.
       await soon.transfer(addr1.address, transferAmount);
+      await soon.excludeFromReward(liquidityManager.address, true);
       
-      // Check balances after tax
-      expect(await soon.balanceOf(addr1.address)).to.equal(expectedReceived);
-      expect(await soon.balanceOf(await soon.burnAddress())).to.equal(burnAmount);
+      // Transfer from addr1 to addr2
+      await soon.connect(addr1).transfer(addr2.address, transferAmount);
+      
+      // Check balances after tax. addr1 sent everything, so addr2 is the only holder left to
+      // receive the reflection share.
+      expect(await soon.balanceOf(addr1.address)).to.equal(0);
+      expect(await soon.balanceOf(addr2.address)).to.be.closeTo(expectedReceived.add(reflectionAmount), 1);
       expect(await soon.balanceOf(liquidityManager.address)).to.equal(liquidityAmount);
       
       // Check total supply reduced by burn amount
       expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(burnAmount));
+      expect(await soon.totalBurned()).to.equal(burnAmount);
     });
     
     it("Should not apply tax when sender is excluded from fee", async function () {
-      // Exclude the owner from fee
-      await soon.excludeFromFee(owner.address, true);
-      
       const transferAmount = ethers.utils.parseEther("1000");
       
-      // Transfer from excluded owner to addr1
+      // The deployer is excluded from fees already, so exclude a normal holder instead
       await soon.transfer(addr1.address, transferAmount);
+      await soon.excludeFromFee(addr1.address, true);
+      
+      // Transfer from excluded addr1 to addr2
+      await soon.connect(addr1).transfer(addr2.address, transferAmount);
       
       // Check full amount received
-      expect(await soon.balanceOf(addr1.address)).to.equal(transferAmount);
+      expect(await soon.balanceOf(addr2.address)).to.equal(transferAmount);
       
       // Check no burn occurred
-      expect(await soon.balanceOf(await soon.burnAddress())).to.equal(0);
+      expect(await soon.totalBurned()).to.equal(0);
       
       // Check no liquidity fee sent
       expect(await soon.balanceOf(liquidityManager.address)).to.equal(0);
@@ -101,13 +110,368 @@ describe("SOON Token", function () {
       expect(await soon.balanceOf(addr1.address)).to.equal(transferAmount);
       
       // Check no burn occurred
-      expect(await soon.balanceOf(await soon.burnAddress())).to.equal(0);
+      expect(await soon.totalBurned()).to.equal(0);
       
       // Check no liquidity fee sent
       expect(await soon.balanceOf(liquidityManager.address)).to.equal(0);
     });
   });
   
+  describe("Buy and Sell Tax Schedules", function() {
+    const TaxType = { None: 0, Transfer: 1, Buy: 2, Sell: 3 };
+    let pair;
+    
+    beforeEach(async function () {
+      // addr3 stands in for an AMM pool such as SushiSwapV3Factory.createPool returns
+      pair = addr3;
+      await soon.transfer(pair.address, ethers.utils.parseEther("100000"));
+      await soon.transfer(addr1.address, ethers.utils.parseEther("100000"));
+      await soon.setAutomatedMarketMakerPair(pair.address, true);
+      await soon.enableTrading();
+      
+      await soon.updateBuyTaxSettings(300, 100, 100, 100);
+      await soon.updateSellTaxSettings(900, 400, 300, 200);
+    });
+    
+    it("Should default buys and sells to the wallet-to-wallet schedule", async function () {
+      const SOON = await ethers.getContractFactory("SOON");
+      const fresh = await SOON.deploy();
+      
+      for (const schedule of [await fresh.buyTax(), await fresh.sellTax()]) {
+        expect(schedule.taxRateBIPS).to.equal(690);
+        expect(schedule.reflectionFeeBIPS).to.equal(333);
+        expect(schedule.burnFeeBIPS).to.equal(200);
+        expect(schedule.liquidityFeeBIPS).to.equal(157);
+      }
+    });
+    
+    it("Should register and remove AMM pairs", async function () {
+      expect(await soon.automatedMarketMakerPairs(pair.address)).to.equal(true);
+      
+      await expect(
+        soon.setAutomatedMarketMakerPair(pair.address, true)
+      ).to.be.revertedWith("SOON: Pair already in specified status");
+      
+      await expect(
+        soon.setAutomatedMarketMakerPair(ethers.constants.AddressZero, true)
+      ).to.be.revertedWith("SOON: Pair address cannot be zero");
+      
+      await expect(
+        soon.connect(addr1).setAutomatedMarketMakerPair(addr2.address, true)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await expect(soon.setAutomatedMarketMakerPair(pair.address, false))
+        .to.emit(soon, "AutomatedMarketMakerPairSet")
+        .withArgs(pair.address, false);
+      expect(await soon.automatedMarketMakerPairs(pair.address)).to.equal(false);
+    });
+    
+    it("Should quote the schedule that applies to a transfer", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      
+      const buy = await soon.quoteTransfer(pair.address, addr1.address, amount);
+      expect(buy.taxType).to.equal(TaxType.Buy);
+      expect(buy.transferAmount).to.equal(amount.mul(9700).div(10000));
+      expect(buy.reflectionFee).to.equal(amount.mul(100).div(10000));
+      
+      const sell = await soon.quoteTransfer(addr1.address, pair.address, amount);
+      expect(sell.taxType).to.equal(TaxType.Sell);
+      expect(sell.transferAmount).to.equal(amount.mul(9100).div(10000));
+      expect(sell.reflectionFee).to.equal(amount.mul(400).div(10000));
+      expect(sell.burnFee).to.equal(amount.mul(300).div(10000));
+      expect(sell.liquidityFee).to.equal(amount.mul(200).div(10000));
+      
+      const wallet = await soon.quoteTransfer(addr1.address, addr2.address, amount);
+      expect(wallet.taxType).to.equal(TaxType.Transfer);
+      expect(wallet.transferAmount).to.equal(amount.mul(9310).div(10000));
+      
+      const exempt = await soon.quoteTransfer(owner.address, pair.address, amount);
+      expect(exempt.taxType).to.equal(TaxType.None);
+      expect(exempt.transferAmount).to.equal(amount);
+    });
+    
+    it("Should charge the buy tax on transfers out of a pair", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      
+      await expect(soon.connect(pair).transfer(addr1.address, amount))
+        .to.emit(soon, "TaxApplied")
+        .withArgs(pair.address, addr1.address, TaxType.Buy, amount.mul(300).div(10000));
+      expect(await soon.totalBurned()).to.equal(amount.mul(100).div(10000));
+    });
+    
+    it("Should charge the sell tax on transfers into a pair", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      
+      await expect(soon.connect(addr1).transfer(pair.address, amount))
+        .to.emit(soon, "TaxApplied")
+        .withArgs(addr1.address, pair.address, TaxType.Sell, amount.mul(900).div(10000));
+      expect(await soon.totalBurned()).to.equal(amount.mul(300).div(10000));
+      expect(await soon.balanceOf(liquidityManager.address)).to.be.gte(amount.mul(200).div(10000));
+    });
+    
+    it("Should keep the wallet-to-wallet schedule for other transfers", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      
+      await expect(soon.connect(addr1).transfer(addr2.address, amount))
+        .to.emit(soon, "TaxApplied")
+        .withArgs(addr1.address, addr2.address, TaxType.Transfer, amount.mul(690).div(10000));
+    });
+    
+    it("Should not tax transfers when their schedule is zero", async function () {
+      await soon.updateSellTaxSettings(0, 0, 0, 0);
+      const amount = ethers.utils.parseEther("1000");
+      
+      expect((await soon.quoteTransfer(addr1.address, pair.address, amount)).taxType).to.equal(TaxType.None);
+      await expect(
+        soon.connect(addr1).transfer(pair.address, amount)
+      ).to.not.emit(soon, "TaxApplied");
+      expect(await soon.totalBurned()).to.equal(0);
+    });
+    
+    it("Should cap and validate every schedule", async function () {
+      await expect(
+        soon.updateBuyTaxSettings(1001, 1001, 0, 0)
+      ).to.be.revertedWith("SOON: Tax rate exceeds maximum");
+      
+      await expect(
+        soon.updateSellTaxSettings(500, 100, 100, 100)
+      ).to.be.revertedWith("SOON: Tax components mismatch total tax rate");
+      
+      await expect(
+        soon.connect(addr1).updateBuyTaxSettings(300, 100, 100, 100)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await expect(soon.updateSellTaxSettings(1000, 500, 300, 200))
+        .to.emit(soon, "SellTaxUpdated")
+        .withArgs(1000, 500, 300, 200);
+      expect((await soon.sellTax()).taxRateBIPS).to.equal(1000);
+    });
+  });
+  
+  describe("Launch Protection", function() {
+    const MIN_MAX_TX = TOTAL_SUPPLY.div(1000);
+    const MIN_MAX_WALLET = TOTAL_SUPPLY.div(200);
+    let pair;
+    
+    beforeEach(async function () {
+      pair = addr3;
+      await soon.transfer(addr1.address, ethers.utils.parseEther("200000000"));
+      await soon.transfer(pair.address, ethers.utils.parseEther("100000000"));
+      await soon.setAutomatedMarketMakerPair(pair.address, true);
+    });
+    
+    it("Should start with trading closed and limits in effect", async function () {
+      expect(await soon.tradingEnabled()).to.equal(false);
+      expect(await soon.limitsInEffect()).to.equal(true);
+      expect(await soon.maxTransactionAmount()).to.equal(TOTAL_SUPPLY.div(100));
+      expect(await soon.maxWalletBalance()).to.equal(TOTAL_SUPPLY.div(50));
+      expect(await soon.transferCooldown()).to.equal(0);
+      expect(await soon.isExcludedFromMaxWallet(await soon.burnAddress())).to.equal(true);
+    });
+    
+    it("Should block trades against a pair until trading is enabled", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      
+      await expect(
+        soon.connect(pair).transfer(addr2.address, amount)
+      ).to.be.revertedWith("SOON: Trading is not enabled");
+      await expect(
+        soon.connect(addr1).transfer(pair.address, amount)
+      ).to.be.revertedWith("SOON: Trading is not enabled");
+      
+      // Wallet-to-wallet transfers and fee-exempt accounts are not gated
+      await soon.connect(addr1).transfer(addr2.address, amount);
+      await soon.transfer(pair.address, amount);
+      
+      await expect(soon.enableTrading()).to.emit(soon, "TradingEnabled");
+      expect(await soon.tradingEnabled()).to.equal(true);
+      await soon.connect(pair).transfer(addr2.address, amount);
+      
+      await expect(soon.enableTrading()).to.be.revertedWith("SOON: Trading already enabled");
+      await expect(
+        soon.connect(addr1).enableTrading()
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+    
+    it("Should enforce the max transaction amount", async function () {
+      await soon.setMaxTransactionAmount(MIN_MAX_TX);
+      
+      await expect(
+        soon.connect(addr1).transfer(addr2.address, MIN_MAX_TX.add(1))
+      ).to.be.revertedWith("SOON: Transfer amount exceeds max transaction");
+      await soon.connect(addr1).transfer(addr2.address, MIN_MAX_TX);
+      
+      await expect(soon.excludeFromMaxTransaction(addr1.address, true))
+        .to.emit(soon, "ExcludedFromMaxTransaction")
+        .withArgs(addr1.address, true);
+      await soon.connect(addr1).transfer(addr2.address, MIN_MAX_TX.add(1));
+      
+      // Fee-exempt accounts are never limited
+      await soon.transfer(addr2.address, MIN_MAX_TX.mul(2));
+    });
+    
+    it("Should enforce the max wallet balance", async function () {
+      await soon.setMaxWalletBalance(MIN_MAX_WALLET);
+      
+      // The cap applies to what arrives after tax, so sending exactly the cap fits
+      await soon.connect(addr1).transfer(addr2.address, MIN_MAX_WALLET);
+      expect(await soon.balanceOf(addr2.address)).to.be.lte(MIN_MAX_WALLET);
+      
+      await expect(
+        soon.connect(addr1).transfer(addr2.address, MIN_MAX_WALLET.div(5))
+      ).to.be.revertedWith("SOON: Balance exceeds max wallet");
+      
+      // AMM pairs and excluded accounts may hold more
+      await soon.enableTrading();
+      await soon.connect(addr1).transfer(pair.address, MIN_MAX_WALLET);
+      await soon.excludeFromMaxWallet(addr2.address, true);
+      await soon.connect(addr1).transfer(addr2.address, MIN_MAX_WALLET);
+    });
+    
+    it("Should enforce the transfer cooldown per trader", async function () {
+      await soon.enableTrading();
+      await expect(soon.setTransferCooldown(60))
+        .to.emit(soon, "TransferCooldownUpdated")
+        .withArgs(60);
+      const amount = ethers.utils.parseEther("1000");
+      
+      // Sells count against the seller
+      await soon.connect(addr1).transfer(pair.address, amount);
+      await expect(
+        soon.connect(addr1).transfer(pair.address, amount)
+      ).to.be.revertedWith("SOON: Transfer cooldown active");
+      
+      // Buys count against the buyer, not the pair
+      await soon.connect(pair).transfer(addr2.address, amount);
+      await expect(
+        soon.connect(pair).transfer(addr2.address, amount)
+      ).to.be.revertedWith("SOON: Transfer cooldown active");
+      await soon.connect(pair).transfer(owner.address, amount);
+      
+      // Wallet-to-wallet transfers never wait
+      await soon.connect(addr1).transfer(addr2.address, amount);
+      await soon.connect(addr1).transfer(addr2.address, amount);
+      
+      await ethers.provider.send("evm_increaseTime", [60]);
+      await ethers.provider.send("evm_mine", []);
+      await soon.connect(addr1).transfer(pair.address, amount);
+    });
+    
+    it("Should keep every limit within its bounds", async function () {
+      await expect(
+        soon.setMaxTransactionAmount(MIN_MAX_TX.sub(1))
+      ).to.be.revertedWith("SOON: Invalid max transaction amount");
+      await expect(
+        soon.setMaxWalletBalance(MIN_MAX_WALLET.sub(1))
+      ).to.be.revertedWith("SOON: Invalid max wallet balance");
+      await expect(
+        soon.setTransferCooldown(10 * 60 + 1)
+      ).to.be.revertedWith("SOON: Invalid cooldown");
+      
+      await expect(
+        soon.connect(addr1).setMaxTransactionAmount(MIN_MAX_TX)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(
+        soon.connect(addr1).excludeFromMaxWallet(addr1.address, true)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+    
+    it("Should remove the limits permanently", async function () {
+      await soon.setMaxTransactionAmount(MIN_MAX_TX);
+      await soon.setTransferCooldown(60);
+      
+      await expect(soon.removeLimits()).to.emit(soon, "LimitsRemoved");
+      expect(await soon.limitsInEffect()).to.equal(false);
+      
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("50000000"));
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("50000000"));
+      
+      await expect(soon.removeLimits()).to.be.revertedWith("SOON: Limits already removed");
+      await expect(
+        soon.setMaxTransactionAmount(MIN_MAX_TX)
+      ).to.be.revertedWith("SOON: Limits removed");
+      await expect(
+        soon.setMaxWalletBalance(MIN_MAX_WALLET)
+      ).to.be.revertedWith("SOON: Limits removed");
+      await expect(
+        soon.setTransferCooldown(0)
+      ).to.be.revertedWith("SOON: Limits removed");
+    });
+  });
+  
+  describe("Fee Views", function() {
+    const amount = ethers.utils.parseEther("1000");
+    
+    beforeEach(async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000000"));
+    });
+    
+    it("Should break down a taxed transfer", async function () {
+      const breakdown = await soon.getTransferBreakdown(addr1.address, addr2.address, amount);
+      expect(breakdown.reflectionFee).to.equal(amount.mul(333).div(10000));
+      expect(breakdown.burnFee).to.equal(amount.mul(200).div(10000));
+      expect(breakdown.liquidityFee).to.equal(amount.mul(157).div(10000));
+      expect(breakdown.netAmount).to.equal(
+        amount.sub(breakdown.reflectionFee).sub(breakdown.burnFee).sub(breakdown.liquidityFee)
+      );
+    });
+    
+    it("Should match what a recipient excluded from rewards receives", async function () {
+      await soon.excludeFromReward(addr2.address, true);
+      const breakdown = await soon.getTransferBreakdown(addr1.address, addr2.address, amount);
+      
+      await expect(soon.connect(addr1).transfer(addr2.address, amount))
+        .to.emit(soon, "Transfer")
+        .withArgs(addr1.address, addr2.address, breakdown.netAmount);
+      expect(await soon.balanceOf(addr2.address)).to.equal(breakdown.netAmount);
+      expect(await soon.totalBurned()).to.equal(breakdown.burnFee);
+      expect(await soon.balanceOf(liquidityManager.address)).to.be.gte(breakdown.liquidityFee);
+    });
+    
+    it("Should follow fee exclusions and the buy and sell schedules", async function () {
+      const exempt = await soon.getTransferBreakdown(owner.address, addr2.address, amount);
+      expect(exempt.netAmount).to.equal(amount);
+      expect(exempt.reflectionFee.add(exempt.burnFee).add(exempt.liquidityFee)).to.equal(0);
+      
+      await soon.setAutomatedMarketMakerPair(addr3.address, true);
+      await soon.updateSellTaxSettings(900, 400, 300, 200);
+      const sell = await soon.getTransferBreakdown(addr1.address, addr3.address, amount);
+      expect(sell.netAmount).to.equal(amount.mul(9100).div(10000));
+      expect(sell.burnFee).to.equal(amount.mul(300).div(10000));
+    });
+    
+    it("Should convert between token and reflected amounts", async function () {
+      const rAmount = await soon.reflectionFromToken(amount, false);
+      expect(await soon.tokenFromReflection(rAmount)).to.equal(amount);
+      
+      const rNet = await soon.reflectionFromToken(amount, true);
+      expect(await soon.tokenFromReflection(rNet)).to.equal(amount.mul(9310).div(10000));
+      
+      await expect(
+        soon.reflectionFromToken(TOTAL_SUPPLY.add(1), false)
+      ).to.be.revertedWith("SOON: Amount must be less than supply");
+      await expect(
+        soon.tokenFromReflection(ethers.constants.MaxUint256)
+      ).to.be.revertedWith("SOON: Amount exceeds rTotal");
+    });
+    
+    it("Should count the fees and reflections taken", async function () {
+      expect(await soon.totalFees()).to.equal(0);
+      expect(await soon.totalReflected()).to.equal(0);
+      
+      await soon.connect(addr1).transfer(addr2.address, amount);
+      await soon.connect(addr1).transfer(addr3.address, amount);
+      
+      expect(await soon.totalFees()).to.equal(amount.mul(690).div(10000).mul(2));
+      expect(await soon.totalReflected()).to.equal(amount.mul(333).div(10000).mul(2));
+      
+      // Untaxed transfers and burns do not count
+      await soon.transfer(addr2.address, amount);
+      await soon.connect(addr1).burn(amount);
+      expect(await soon.totalFees()).to.equal(amount.mul(690).div(10000).mul(2));
+    });
+  });
+  
   describe("Reflection Mechanics", function() {
     it("Should exclude and include addresses from rewards", async function () {
       expect(await soon.isExcludedFromReward(owner.address)).to.be.true;
@@ -122,10 +486,10 @@ describe("SOON Token", function () {
     });
     
     it("Should distribute reflection rewards correctly", async function () {
-      // Give tokens to three addresses and ensure they're not excluded from rewards
+      // Give tokens to three addresses, which receive rewards by default
+      expect(await soon.isExcludedFromReward(addr3.address)).to.be.false;
       await soon.transfer(addr1.address, ethers.utils.parseEther("1000000"));
       await soon.transfer(addr2.address, ethers.utils.parseEther("2000000"));
-      await soon.excludeFromReward(addr3.address, false); // Make sure addr3 is included
       await soon.transfer(addr3.address, ethers.utils.parseEther("3000000"));
       
       // Record balances before reflection
@@ -147,6 +511,730 @@ describe("SOON Token", function () {
     });
   });
   
+  describe("Reflection Accounting", function() {
+    const TRANSFER = ethers.utils.parseEther("1000000");
+    
+    it("Should let holders that never held an excluded balance transfer", async function () {
+      await soon.transfer(addr1.address, TRANSFER);
+      await soon.connect(addr1).transfer(addr2.address, TRANSFER.div(2));
+      
+      const taxed = TRANSFER.div(2).mul(690).div(10000);
+      expect(await soon.balanceOf(addr2.address)).to.be.gte(TRANSFER.div(2).sub(taxed));
+    });
+    
+    it("Should reflect fees to included holders only", async function () {
+      await soon.transfer(addr1.address, TRANSFER);
+      await soon.transfer(addr2.address, TRANSFER);
+      await soon.transfer(addr3.address, TRANSFER);
+      await soon.excludeFromReward(addr3.address, true);
+      
+      await soon.connect(addr1).transfer(liquidityManager.address, TRANSFER.div(2));
+      
+      // addr2 is the only other included holder besides addr1 and the liquidity manager
+      expect(await soon.balanceOf(addr2.address)).to.be.gt(TRANSFER);
+      expect(await soon.balanceOf(addr3.address)).to.equal(TRANSFER);
+      expect(await soon.balanceOf(owner.address)).to.equal(TOTAL_SUPPLY.sub(TRANSFER.mul(3)));
+    });
+    
+    it("Should not hand reflections accrued while excluded to a re-included holder", async function () {
+      await soon.transfer(addr1.address, TRANSFER);
+      await soon.transfer(addr2.address, TRANSFER);
+      await soon.excludeFromReward(addr2.address, true);
+      
+      await soon.connect(addr1).transfer(addr3.address, TRANSFER.div(2));
+      expect(await soon.balanceOf(addr2.address)).to.equal(TRANSFER);
+      
+      const addr3Balance = await soon.balanceOf(addr3.address);
+      await soon.excludeFromReward(addr2.address, false);
+      
+      // Re-including neither changes addr2's balance nor anyone else's
+      expect(await soon.balanceOf(addr2.address)).to.be.closeTo(TRANSFER, 1);
+      expect(await soon.balanceOf(addr3.address)).to.be.closeTo(addr3Balance, 1);
+    });
+    
+    describe("Supply invariant", function() {
+      // Any balance may be off by a few wei from rounding the reflection rate
+      const TOLERANCE_PER_HOLDER = 10;
+      
+      // Deterministic pseudo-random generator so failures can be reproduced
+      function lcg(seed) {
+        let state = seed;
+        return () => {
+          state = (state * 1103515245 + 12345) % 2147483648;
+          // The low bits of an LCG repeat quickly, so only use the high ones
+          return Math.floor(state / 65536);
+        };
+      }
+      
+      async function runRandomTransfers(seed, steps) {
+        const rand = lcg(seed);
+        // Random amounts would trip the launch limits, which are not under test here
+        await soon.removeLimits();
+        const holders = [addr1, addr2, addr3, liquidityManager];
+        const everyone = [owner, ...holders];
+        
+        // Off-chain model: balances without reflections, plus what was burned and reflected
+        const principal = {};
+        everyone.forEach(signer => { principal[signer.address] = ethers.constants.Zero; });
+        principal[owner.address] = TOTAL_SUPPLY;
+        let burned = ethers.constants.Zero;
+        let reflected = ethers.constants.Zero;
+        let liquidity = ethers.constants.Zero;
+        
+        // The deployer is fee-excluded, so seed the holders without tax
+        for (const holder of holders) {
+          const amount = ethers.utils.parseEther(String(100000000 + (rand() % 100000000)));
+          await soon.transfer(holder.address, amount);
+          principal[owner.address] = principal[owner.address].sub(amount);
+          principal[holder.address] = principal[holder.address].add(amount);
+        }
+        
+        for (let step = 0; step < steps; step++) {
+          // Halfway through, take addr3 out of rewards to exercise the excluded-supply path
+          if (step === Math.floor(steps / 2)) {
+            await soon.excludeFromReward(addr3.address, true);
+          }
+          
+          const from = holders[rand() % holders.length];
+          const to = holders[rand() % holders.length];
+          const balance = await soon.balanceOf(from.address);
+          const amount = balance.mul(1 + (rand() % 50)).div(100);
+          if (from.address === to.address || amount.isZero()) continue;
+          
+          await soon.connect(from).transfer(to.address, amount);
+          
+          const tReflection = amount.mul(333).div(10000);
+          const tBurn = amount.mul(200).div(10000);
+          const tLiquidity = amount.mul(157).div(10000);
+          principal[from.address] = principal[from.address].sub(amount);
+          principal[to.address] = principal[to.address].add(amount.sub(tReflection).sub(tBurn).sub(tLiquidity));
+          principal[liquidityManager.address] = principal[liquidityManager.address].add(tLiquidity);
+          burned = burned.add(tBurn);
+          reflected = reflected.add(tReflection);
+          liquidity = liquidity.add(tLiquidity);
+        }
+        
+        expect(reflected).to.be.gt(0);
+        
+        // The model itself must account for every token
+        const principalTotal = Object.values(principal).reduce((sum, b) => sum.add(b), ethers.constants.Zero);
+        expect(principalTotal.add(burned).add(reflected)).to.equal(TOTAL_SUPPLY);
+        
+        // On-chain, reflections live inside holder balances
+        let balanceTotal = ethers.constants.Zero;
+        for (const signer of everyone) {
+          balanceTotal = balanceTotal.add(await soon.balanceOf(signer.address));
+        }
+        const tolerance = everyone.length * TOLERANCE_PER_HOLDER;
+        expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(burned));
+        expect(balanceTotal.add(burned)).to.be.closeTo(TOTAL_SUPPLY, tolerance);
+        expect(balanceTotal.sub(principalTotal)).to.be.closeTo(reflected, tolerance);
+        
+        // Burned and reflected tokens are visible on-chain
+        expect(await soon.totalBurned()).to.equal(burned);
+        expect(await soon.totalReflected()).to.equal(reflected);
+        expect(await soon.totalFees()).to.equal(burned.add(reflected).add(liquidity));
+        expect(await soon.balanceOf(await soon.burnAddress())).to.equal(0);
+        
+        // The deployer was excluded from rewards throughout and earned nothing
+        expect(await soon.balanceOf(owner.address)).to.equal(principal[owner.address]);
+      }
+      
+      it("Should conserve supply across random transfers", async function () {
+        await runRandomTransfers(42, 40);
+      });
+      
+      it("Should conserve supply across another random transfer sequence", async function () {
+        await runRandomTransfers(1337, 40);
+      });
+    });
+  });
+  
+  describe("Reward Exclusion List", function() {
+    let burnAddress;
+    
+    beforeEach(async function () {
+      burnAddress = await soon.burnAddress();
+    });
+    
+    it("Should list the deployer and the burn address after deployment", async function () {
+      expect(await soon.excludedFromRewardCount()).to.equal(2);
+      expect(await soon.excludedFromRewardAt(0, 10)).to.deep.equal([owner.address, burnAddress]);
+      expect(await soon.isExcludedFromReward(burnAddress)).to.be.true;
+      expect(await soon.isExcludedFromReward(addr1.address)).to.be.false;
+      expect(await soon.isExcludedFromFee(owner.address)).to.be.true;
+    });
+    
+    it("Should page through the list", async function () {
+      await soon.excludeFromRewardBatch([addr1.address, addr2.address, addr3.address], true);
+      
+      expect(await soon.excludedFromRewardCount()).to.equal(5);
+      expect(await soon.excludedFromRewardAt(0, 2)).to.deep.equal([owner.address, burnAddress]);
+      expect(await soon.excludedFromRewardAt(2, 2)).to.deep.equal([addr1.address, addr2.address]);
+      expect(await soon.excludedFromRewardAt(4, 2)).to.deep.equal([addr3.address]);
+      expect(await soon.excludedFromRewardAt(5, 2)).to.deep.equal([]);
+      
+      // Bounds near the top of uint256 must not overflow
+      const max = ethers.constants.MaxUint256;
+      expect(await soon.excludedFromRewardAt(3, max)).to.deep.equal([addr2.address, addr3.address]);
+      expect(await soon.excludedFromRewardAt(max, 1)).to.deep.equal([]);
+      expect(await soon.excludedFromRewardAt(max, max)).to.deep.equal([]);
+    });
+    
+    it("Should include a batch back and keep the rest of the list", async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000"));
+      await soon.excludeFromRewardBatch([addr1.address, addr2.address, addr3.address], true);
+      
+      await expect(soon.excludeFromRewardBatch([addr1.address, addr3.address], false))
+        .to.emit(soon, "ExcludedFromReward")
+        .withArgs(addr1.address, false)
+        .and.to.emit(soon, "ExcludedFromReward")
+        .withArgs(addr3.address, false);
+      
+      expect(await soon.excludedFromRewardCount()).to.equal(3);
+      expect(await soon.isExcludedFromReward(addr1.address)).to.be.false;
+      expect(await soon.isExcludedFromReward(addr2.address)).to.be.true;
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1000"));
+    });
+    
+    it("Should revert a whole batch if one account already has the status", async function () {
+      await soon.excludeFromReward(addr2.address, true);
+      
+      await expect(
+        soon.excludeFromRewardBatch([addr1.address, addr2.address], true)
+      ).to.be.revertedWith("SOON: Account already in specified reward status");
+      expect(await soon.isExcludedFromReward(addr1.address)).to.be.false;
+    });
+    
+    it("Should cap the number of excluded accounts", async function () {
+      const max = (await soon.MAX_EXCLUDED_FROM_REWARD()).toNumber();
+      const accounts = [];
+      for (let i = 2; i < max; i++) {
+        accounts.push(ethers.Wallet.createRandom().address);
+      }
+      await soon.excludeFromRewardBatch(accounts, true);
+      expect(await soon.excludedFromRewardCount()).to.equal(max);
+      
+      await expect(
+        soon.excludeFromReward(addr1.address, true)
+      ).to.be.revertedWith("SOON: Too many accounts excluded from reward");
+      
+      // Including one frees a slot
+      await soon.excludeFromReward(accounts[0], false);
+      await soon.excludeFromReward(addr1.address, true);
+      expect(await soon.isExcludedFromReward(addr1.address)).to.be.true;
+    });
+    
+    it("Should only let the owner change exclusions in batch", async function () {
+      await expect(
+        soon.connect(addr1).excludeFromRewardBatch([addr2.address], true)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+  
+  describe("Burning", function() {
+    const AMOUNT = ethers.utils.parseEther("1000000");
+    let burnAddress;
+    
+    beforeEach(async function () {
+      burnAddress = await soon.burnAddress();
+      await soon.transfer(addr1.address, AMOUNT);
+      await soon.transfer(addr2.address, AMOUNT);
+    });
+    
+    it("Should burn the caller's tokens without tax", async function () {
+      const burnAmount = AMOUNT.div(4);
+      
+      await expect(soon.connect(addr1).burn(burnAmount))
+        .to.emit(soon, "Transfer").withArgs(addr1.address, ethers.constants.AddressZero, burnAmount)
+        .and.to.emit(soon, "TokensBurned").withArgs(addr1.address, burnAmount);
+      
+      expect(await soon.balanceOf(addr1.address)).to.equal(AMOUNT.sub(burnAmount));
+      expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(burnAmount));
+      expect(await soon.totalBurned()).to.equal(burnAmount);
+      expect(await soon.balanceOf(burnAddress)).to.equal(0);
+    });
+    
+    it("Should not change other holders' balances", async function () {
+      await soon.connect(addr1).burn(AMOUNT.div(2));
+      expect(await soon.balanceOf(addr2.address)).to.equal(AMOUNT);
+      
+      // Burning from an account excluded from rewards leaves the rate alone as well
+      await soon.burn(AMOUNT);
+      expect(await soon.balanceOf(addr2.address)).to.equal(AMOUNT);
+      expect(await soon.balanceOf(owner.address)).to.equal(TOTAL_SUPPLY.sub(AMOUNT.mul(3)));
+    });
+    
+    it("Should burn from another account using its allowance", async function () {
+      const burnAmount = AMOUNT.div(2);
+      await soon.connect(addr1).approve(addr3.address, burnAmount);
+      
+      await expect(soon.connect(addr3).burnFrom(addr1.address, burnAmount.add(1)))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+      
+      await soon.connect(addr3).burnFrom(addr1.address, burnAmount);
+      expect(await soon.balanceOf(addr1.address)).to.equal(AMOUNT.sub(burnAmount));
+      expect(await soon.allowance(addr1.address, addr3.address)).to.equal(0);
+      expect(await soon.totalBurned()).to.equal(burnAmount);
+    });
+    
+    it("Should not burn more than the balance", async function () {
+      await expect(soon.connect(addr1).burn(AMOUNT.add(1)))
+        .to.be.revertedWith("ERC20: burn amount exceeds balance");
+    });
+    
+    it("Should count the burn fee in totalBurned", async function () {
+      const transferAmount = ethers.utils.parseEther("1000");
+      await soon.connect(addr1).transfer(addr3.address, transferAmount);
+      
+      const burnFee = transferAmount.mul(200).div(10000);
+      expect(await soon.totalBurned()).to.equal(burnFee);
+      expect(await soon.balanceOf(burnAddress)).to.equal(0);
+      expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(burnFee));
+    });
+    
+    it("Should exclude tokens sent to the burn address from the circulating supply", async function () {
+      await soon.connect(addr1).burn(AMOUNT.div(2));
+      expect(await soon.circulatingSupply()).to.equal(await soon.totalSupply());
+      
+      // A plain transfer to the dead address is not a burn but still leaves circulation
+      await soon.transfer(burnAddress, AMOUNT);
+      expect(await soon.totalBurned()).to.equal(AMOUNT.div(2));
+      expect(await soon.balanceOf(burnAddress)).to.equal(AMOUNT);
+      expect(await soon.totalSupply()).to.equal(TOTAL_SUPPLY.sub(AMOUNT.div(2)));
+      expect(await soon.circulatingSupply()).to.equal(TOTAL_SUPPLY.sub(AMOUNT.div(2)).sub(AMOUNT));
+    });
+    
+    it("Should keep the burn address excluded from rewards", async function () {
+      await expect(soon.excludeFromReward(burnAddress, false))
+        .to.be.revertedWith("SOON: Burn address cannot receive rewards");
+    });
+  });
+  
+  describe("Swap and Liquify", function() {
+    it("Should start disabled with a 0.01% threshold", async function () {
+      expect(await soon.swapAndLiquifyEnabled()).to.equal(false);
+      expect(await soon.minTokensBeforeSwap()).to.equal(TOTAL_SUPPLY.div(10000));
+      expect(await soon.pendingLiquidityTokens()).to.equal(0);
+    });
+    
+    it("Should allow owner to configure swap-and-liquify", async function () {
+      await expect(soon.setSwapAndLiquifyEnabled(true))
+        .to.emit(soon, "SwapAndLiquifyEnabledUpdated")
+        .withArgs(true);
+      expect(await soon.swapAndLiquifyEnabled()).to.equal(true);
+      
+      const threshold = ethers.utils.parseEther("50000");
+      await expect(soon.setMinTokensBeforeSwap(threshold))
+        .to.emit(soon, "MinTokensBeforeSwapUpdated")
+        .withArgs(threshold);
+      expect(await soon.minTokensBeforeSwap()).to.equal(threshold);
+    });
+    
+    it("Should bound the swap threshold", async function () {
+      await expect(
+        soon.setMinTokensBeforeSwap(0)
+      ).to.be.revertedWith("SOON: Invalid swap threshold");
+      
+      await expect(
+        soon.setMinTokensBeforeSwap(TOTAL_SUPPLY.div(100).add(1))
+      ).to.be.revertedWith("SOON: Invalid swap threshold");
+      
+      await soon.setMinTokensBeforeSwap(TOTAL_SUPPLY.div(100));
+      expect(await soon.minTokensBeforeSwap()).to.equal(TOTAL_SUPPLY.div(100));
+    });
+    
+    it("Should prevent non-owner from configuring swap-and-liquify", async function () {
+      await expect(
+        soon.connect(addr1).setSwapAndLiquifyEnabled(true)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      await expect(
+        soon.connect(addr1).setMinTokensBeforeSwap(1)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+    
+    it("Should track the liquidity fee pending a swap", async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000"));
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("100"));
+      
+      const liquidityFee = ethers.utils.parseEther("100").mul(157).div(10000);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      // Changing the manager leaves the accrued fee with the old one
+      await soon.setLiquidityManager(addr3.address);
+      expect(await soon.pendingLiquidityTokens()).to.equal(0);
+    });
+    
+    it("Should only let the liquidity manager clear the pending liquidity fee", async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000"));
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("100"));
+      const liquidityFee = ethers.utils.parseEther("100").mul(157).div(10000);
+      
+      // Anyone else is ignored
+      await soon.connect(addr1).clearPendingLiquidityTokens();
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee);
+      
+      // The manager calls it once it has put the fee into the position itself
+      await soon.connect(liquidityManager).clearPendingLiquidityTokens();
+      expect(await soon.pendingLiquidityTokens()).to.equal(0);
+    });
+    
+    it("Should leave the fee with a manager that is not a contract", async function () {
+      await soon.setSwapAndLiquifyEnabled(true);
+      await soon.setMinTokensBeforeSwap(1);
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000"));
+      
+      await soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("100"));
+      await expect(
+        soon.connect(addr1).transfer(addr2.address, ethers.utils.parseEther("100"))
+      ).to.not.emit(soon, "SwapAndLiquifyFailed");
+      
+      const liquidityFee = ethers.utils.parseEther("100").mul(157).div(10000);
+      expect(await soon.pendingLiquidityTokens()).to.equal(liquidityFee.mul(2));
+    });
+  });
+  
+  describe("Permit", function() {
+    const value = ethers.utils.parseEther("1000");
+    const PERMIT_TYPES = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    
+    async function domain() {
+      const { chainId } = await ethers.provider.getNetwork();
+      return { name: "SOON", version: "1", chainId, verifyingContract: soon.address };
+    }
+    
+    async function deadlineIn(seconds) {
+      const block = await ethers.provider.getBlock("latest");
+      return block.timestamp + seconds;
+    }
+    
+    // Signs a permit from `signer` and returns it split into v, r, s
+    async function signPermit(signer, spender, amount, deadline, nonce) {
+      if (nonce === undefined) nonce = await soon.nonces(signer.address);
+      const signature = await signer._signTypedData(await domain(), PERMIT_TYPES, {
+        owner: signer.address,
+        spender,
+        value: amount,
+        nonce,
+        deadline
+      });
+      return ethers.utils.splitSignature(signature);
+    }
+    
+    beforeEach(async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("100000"));
+    });
+    
+    it("Should expose the EIP-712 domain separator", async function () {
+      expect(await soon.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain(await domain())
+      );
+      expect(await soon.nonces(addr1.address)).to.equal(0);
+    });
+    
+    it("Should set an allowance from a signed permit submitted by the spender", async function () {
+      const deadline = await deadlineIn(3600);
+      const { v, r, s } = await signPermit(addr1, addr2.address, value, deadline);
+      
+      await expect(soon.connect(addr2).permit(addr1.address, addr2.address, value, deadline, v, r, s))
+        .to.emit(soon, "Approval")
+        .withArgs(addr1.address, addr2.address, value);
+      expect(await soon.allowance(addr1.address, addr2.address)).to.equal(value);
+      expect(await soon.nonces(addr1.address)).to.equal(1);
+      
+      // The spender can pull the tokens without addr1 ever sending a transaction
+      await soon.excludeFromFee(addr1.address, true);
+      await soon.connect(addr2).transferFrom(addr1.address, addr3.address, value);
+      expect(await soon.balanceOf(addr3.address)).to.equal(value);
+      expect(await soon.allowance(addr1.address, addr2.address)).to.equal(0);
+    });
+    
+    it("Should reject an expired permit", async function () {
+      const deadline = await deadlineIn(-1);
+      const { v, r, s } = await signPermit(addr1, addr2.address, value, deadline);
+      
+      await expect(
+        soon.permit(addr1.address, addr2.address, value, deadline, v, r, s)
+      ).to.be.revertedWith("ERC20Permit: expired deadline");
+    });
+    
+    it("Should reject a permit signed by someone other than the owner", async function () {
+      const deadline = await deadlineIn(3600);
+      const { v, r, s } = await signPermit(addr2, addr2.address, value, deadline, 0);
+      
+      await expect(
+        soon.permit(addr1.address, addr2.address, value, deadline, v, r, s)
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+    
+    it("Should not accept the same permit twice", async function () {
+      const deadline = await deadlineIn(3600);
+      const { v, r, s } = await signPermit(addr1, addr2.address, value, deadline);
+      await soon.permit(addr1.address, addr2.address, value, deadline, v, r, s);
+      
+      await expect(
+        soon.permit(addr1.address, addr2.address, value, deadline, v, r, s)
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+    });
+  });
+  
+  describe("Voting", function() {
+    const amount = ethers.utils.parseEther("1000000");
+    
+    async function mine() {
+      await ethers.provider.send("evm_mine", []);
+    }
+    
+    async function blockNumber() {
+      return ethers.provider.getBlockNumber();
+    }
+    
+    beforeEach(async function () {
+      // The deployer is fee-exempt, so these arrive untaxed
+      await soon.transfer(addr1.address, amount);
+      await soon.transfer(addr2.address, amount);
+    });
+    
+    it("Should give a delegate the delegator's balance", async function () {
+      await expect(soon.connect(addr1).delegate(addr1.address))
+        .to.emit(soon, "DelegateChanged")
+        .withArgs(addr1.address, ethers.constants.AddressZero, addr1.address)
+        .and.to.emit(soon, "DelegateVotesChanged")
+        .withArgs(addr1.address, 0, amount);
+      
+      expect(await soon.delegates(addr1.address)).to.equal(addr1.address);
+      expect(await soon.getVotes(addr1.address)).to.equal(amount);
+      expect(await soon.getVotes(addr2.address)).to.equal(0);
+      expect(await soon.clock()).to.equal(await blockNumber());
+      expect(await soon.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+    });
+    
+    it("Should move votes with transfers and keep past checkpoints", async function () {
+      await soon.connect(addr1).delegate(addr1.address);
+      await soon.connect(addr2).delegate(addr3.address);
+      const before = await blockNumber();
+      
+      await soon.connect(addr1).transfer(addr2.address, amount.div(2));
+      const after = await blockNumber();
+      await mine();
+      
+      expect(await soon.getVotes(addr1.address)).to.equal(await soon.balanceOf(addr1.address));
+      expect(await soon.getVotes(addr3.address)).to.equal(await soon.balanceOf(addr2.address));
+      expect(await soon.getPastVotes(addr1.address, before)).to.equal(amount);
+      expect(await soon.getPastVotes(addr3.address, before)).to.equal(amount);
+      expect(await soon.getPastVotes(addr1.address, after)).to.equal(await soon.getVotes(addr1.address));
+    });
+    
+    it("Should count reflections once the holder is synced", async function () {
+      await soon.connect(addr1).delegate(addr1.address);
+      
+      // A taxed transfer between other holders reflects to addr1 without touching it
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      const balance = await soon.balanceOf(addr1.address);
+      expect(balance).to.be.gt(amount);
+      expect(await soon.getVotes(addr1.address)).to.equal(amount);
+      expect(await soon.votingUnits(addr1.address)).to.equal(amount);
+      
+      const beforeSync = await blockNumber();
+      await expect(soon.connect(addr3).syncVotes(addr1.address))
+        .to.emit(soon, "DelegateVotesChanged")
+        .withArgs(addr1.address, amount, balance);
+      await mine();
+      
+      expect(await soon.getVotes(addr1.address)).to.equal(balance);
+      expect(await soon.getPastVotes(addr1.address, beforeSync)).to.equal(amount);
+    });
+    
+    it("Should sync the delegator before moving its votes to a new delegate", async function () {
+      await soon.connect(addr1).delegate(addr1.address);
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      
+      await soon.connect(addr1).delegate(addr3.address);
+      expect(await soon.getVotes(addr1.address)).to.equal(0);
+      expect(await soon.getVotes(addr3.address)).to.equal(await soon.balanceOf(addr1.address));
+    });
+    
+    it("Should track the total of synced balances", async function () {
+      const deployBlock = (await soon.deployTransaction.wait()).blockNumber;
+      await soon.connect(addr1).burn(amount.div(4));
+      const afterBurn = await blockNumber();
+      await mine();
+      
+      expect(await soon.getPastTotalSupply(deployBlock)).to.equal(TOTAL_SUPPLY);
+      expect(await soon.getPastTotalSupply(afterBurn)).to.equal(TOTAL_SUPPLY.sub(amount.div(4)));
+      
+      // Taxed transfers burn and reflect; once everyone involved is synced the total matches their balances
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      // The liquidity manager is synced when the fee is credited
+      for (const account of [owner, addr1]) {
+        await soon.syncVotes(account.address);
+      }
+      await mine();
+      
+      let synced = ethers.BigNumber.from(0);
+      for (const account of [owner, addr1, addr2, addr3, liquidityManager]) {
+        synced = synced.add(await soon.balanceOf(account.address));
+      }
+      expect(await soon.getPastTotalSupply((await blockNumber()) - 1)).to.equal(synced);
+    });
+    
+    it("Should count the liquidity fee in the vote supply", async function () {
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      
+      // The manager is synced when it is credited, without a syncVotes() call
+      const managerBalance = await soon.balanceOf(liquidityManager.address);
+      expect(managerBalance).to.be.gt(0);
+      expect(await soon.votingUnits(liquidityManager.address)).to.equal(managerBalance);
+    });
+    
+    it("Should not look up the current or a future block", async function () {
+      const current = await blockNumber();
+      await expect(soon.getPastVotes(addr1.address, current + 1)).to.be.revertedWith("SOON: Future lookup");
+      await expect(soon.getPastTotalSupply(current + 1)).to.be.revertedWith("SOON: Future lookup");
+    });
+    
+    describe("delegateBySig", function() {
+      const DELEGATION_TYPES = {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" }
+        ]
+      };
+      
+      async function signDelegation(signer, delegatee, nonce, expiry) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: "SOON", version: "1", chainId, verifyingContract: soon.address };
+        const signature = await signer._signTypedData(domain, DELEGATION_TYPES, { delegatee, nonce, expiry });
+        return ethers.utils.splitSignature(signature);
+      }
+      
+      async function expiryIn(seconds) {
+        return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+      }
+      
+      it("Should delegate on behalf of the signer", async function () {
+        const expiry = await expiryIn(3600);
+        const { v, r, s } = await signDelegation(addr1, addr2.address, 0, expiry);
+        
+        await expect(soon.connect(addr3).delegateBySig(addr2.address, 0, expiry, v, r, s))
+          .to.emit(soon, "DelegateChanged")
+          .withArgs(addr1.address, ethers.constants.AddressZero, addr2.address);
+        expect(await soon.delegates(addr1.address)).to.equal(addr2.address);
+        expect(await soon.getVotes(addr2.address)).to.equal(amount);
+        // Permit and delegation signatures share nonces
+        expect(await soon.nonces(addr1.address)).to.equal(1);
+      });
+      
+      it("Should reject a reused or expired signature", async function () {
+        const expiry = await expiryIn(3600);
+        const { v, r, s } = await signDelegation(addr1, addr2.address, 0, expiry);
+        await soon.delegateBySig(addr2.address, 0, expiry, v, r, s);
+        
+        await expect(
+          soon.delegateBySig(addr2.address, 0, expiry, v, r, s)
+        ).to.be.revertedWith("SOON: Invalid nonce");
+        
+        const expired = await expiryIn(-1);
+        const sig = await signDelegation(addr1, addr2.address, 1, expired);
+        await expect(
+          soon.delegateBySig(addr2.address, 1, expired, sig.v, sig.r, sig.s)
+        ).to.be.revertedWith("SOON: Signature expired");
+      });
+    });
+  });
+  
+  describe("Snapshots", function() {
+    const amount = ethers.utils.parseEther("1000000");
+    let accounts, burnAddress;
+    
+    async function balancesOf(list) {
+      return Promise.all(list.map(account => soon.balanceOf(account)));
+    }
+    
+    async function expectBalancesAt(id, list, expected) {
+      for (let i = 0; i < list.length; i++) {
+        expect(await soon.balanceOfAt(list[i], id)).to.equal(expected[i]);
+      }
+    }
+    
+    beforeEach(async function () {
+      burnAddress = await soon.burnAddress();
+      accounts = [owner.address, addr1.address, addr2.address, addr3.address, liquidityManager.address, burnAddress];
+      await soon.transfer(addr1.address, amount);
+      await soon.transfer(addr2.address, amount);
+    });
+    
+    it("Should number snapshots and reject unknown ids", async function () {
+      expect(await soon.getCurrentSnapshotId()).to.equal(0);
+      await expect(soon.balanceOfAt(addr1.address, 1)).to.be.revertedWith("SOON: Invalid snapshot id");
+      
+      await expect(soon.snapshot()).to.emit(soon, "Snapshot").withArgs(1);
+      await expect(soon.snapshot()).to.emit(soon, "Snapshot").withArgs(2);
+      expect(await soon.getCurrentSnapshotId()).to.equal(2);
+      await expect(soon.totalSupplyAt(0)).to.be.revertedWith("SOON: Invalid snapshot id");
+      await expect(soon.totalSupplyAt(3)).to.be.revertedWith("SOON: Invalid snapshot id");
+    });
+    
+    it("Should only let the owner take a snapshot", async function () {
+      await expect(
+        soon.connect(addr1).snapshot()
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+    
+    it("Should keep balances at a snapshot through later taxed transfers", async function () {
+      await soon.snapshot();
+      const expected = await balancesOf(accounts);
+      const supply = await soon.totalSupply();
+      
+      // Taxed transfers move, burn and reflect tokens after the snapshot
+      await soon.connect(addr1).transfer(addr3.address, amount.div(2));
+      await soon.connect(addr2).transfer(addr1.address, amount.div(4));
+      await soon.connect(addr3).burn(amount.div(10));
+      
+      await expectBalancesAt(1, accounts, expected);
+      expect(await soon.totalSupplyAt(1)).to.equal(supply);
+      expect(await soon.totalSupply()).to.be.lt(supply);
+    });
+    
+    it("Should include reflections earned before the snapshot and leave out those after", async function () {
+      // addr1 is never touched, only reflected to
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      const atSnapshot = await soon.balanceOf(addr1.address);
+      expect(atSnapshot).to.be.gt(amount);
+      await soon.snapshot();
+      
+      await soon.connect(addr2).transfer(addr3.address, amount.div(4));
+      expect(await soon.balanceOf(addr1.address)).to.be.gt(atSnapshot);
+      expect(await soon.balanceOfAt(addr1.address, 1)).to.equal(atSnapshot);
+    });
+    
+    it("Should keep balances across reward exclusion changes and several snapshots", async function () {
+      await soon.snapshot();
+      const first = await balancesOf(accounts);
+      
+      await soon.excludeFromReward(addr1.address, true);
+      await soon.connect(addr2).transfer(addr3.address, amount.div(2));
+      await soon.snapshot();
+      const second = await balancesOf(accounts);
+      
+      await soon.excludeFromReward(addr1.address, false);
+      await soon.connect(addr3).transfer(addr1.address, amount.div(8));
+      
+      await expectBalancesAt(1, accounts, first);
+      await expectBalancesAt(2, accounts, second);
+    });
+  });
+  
   describe("Ownership Functions", function() {
     it("Should update tax rates correctly", async function () {
       await soon.updateTaxSettings(
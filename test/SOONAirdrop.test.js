@@ -2,16 +2,19 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
+const { validateClaims, buildMerkleTree } = require('../scripts/buildMerkleTree');
 
 // Helper to create a Merkle tree and get proofs
 function createMerkleTree(claims) {
-  // Create leaves from address and amount pairs
-  const leaves = claims.map(claim => 
-    ethers.utils.solidityKeccak256(
-      ['address', 'uint256'],
-      [claim.address, ethers.utils.parseEther(claim.amount)]
-    )
-  );
+  // Create leaves from (index, address, amount) triples
+  const indexOf = {};
+  const leaves = claims.map((claim, index) => {
+    indexOf[claim.address] = index;
+    return ethers.utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256'],
+      [index, claim.address, ethers.utils.parseEther(claim.amount)]
+    );
+  });
   
   // Create Merkle tree
   const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
@@ -19,10 +22,11 @@ function createMerkleTree(claims) {
   return {
     tree: merkleTree,
     root: merkleTree.getHexRoot(),
+    getIndex: (address) => indexOf[address],
     getProof: (address, amount) => {
       const leaf = ethers.utils.solidityKeccak256(
-        ['address', 'uint256'],
-        [address, ethers.utils.parseEther(amount)]
+        ['uint256', 'address', 'uint256'],
+        [indexOf[address], address, ethers.utils.parseEther(amount)]
       );
       return merkleTree.getHexProof(leaf);
     }
@@ -63,13 +67,17 @@ describe("SOONAirdrop", function () {
     );
     await airdrop.deployed();
     
-    // Fund airdrop contract with 95% of tokens
+    // Exclude the airdrop from the SOON transfer tax so claimers receive their full amounts
+    await soon.excludeFromFee(airdrop.address, true);
+    
+    // Fund airdrop contract with 95% of tokens and allocate them to round 0
     await soon.transfer(airdrop.address, AIRDROP_ALLOCATION);
+    await airdrop.fundRound(0, AIRDROP_ALLOCATION);
   });
 
   describe("Deployment", function() {
     it("Should set the correct Merkle root", async function () {
-      expect(await airdrop.merkleRoot()).to.equal(merkleTree.root);
+      expect((await airdrop.rounds(0)).merkleRoot).to.equal(merkleTree.root);
     });
     
     it("Should set the correct SOON token", async function () {
@@ -77,13 +85,17 @@ describe("SOONAirdrop", function () {
     });
     
     it("Should set the correct claim deadline", async function () {
-      const deploymentTime = (await ethers.provider.getBlock('latest')).timestamp;
+      const deploymentTime = (await ethers.provider.getBlock(airdrop.deployTransaction.blockNumber)).timestamp;
       const expectedDeadline = deploymentTime + (CLAIM_PERIOD_DAYS * 24 * 60 * 60);
-      expect(await airdrop.claimDeadline()).to.equal(expectedDeadline);
+      const round = await airdrop.rounds(0);
+      expect(round.startTime).to.equal(deploymentTime);
+      expect(round.deadline).to.equal(expectedDeadline);
     });
     
     it("Should have the correct token balance", async function () {
       expect(await soon.balanceOf(airdrop.address)).to.equal(AIRDROP_ALLOCATION);
+      expect((await airdrop.rounds(0)).funding).to.equal(AIRDROP_ALLOCATION);
+      expect(await airdrop.unallocatedBalance()).to.equal(0);
     });
   });
   
@@ -93,6 +105,8 @@ describe("SOONAirdrop", function () {
       const proof = merkleTree.getProof(addr1.address, claimAmount);
       
       await airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
         ethers.utils.parseEther(claimAmount),
         proof
       );
@@ -103,7 +117,7 @@ describe("SOONAirdrop", function () {
       );
       
       // Check claim status
-      expect(await airdrop.claimed(addr1.address)).to.be.true;
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr1.address))).to.be.true;
       
       // Check total claimed amount
       expect(await airdrop.totalClaimedAmount()).to.equal(
@@ -114,12 +128,16 @@ describe("SOONAirdrop", function () {
     it("Should allow multiple eligible addresses to claim tokens", async function () {
       // Addr1 claims
       await airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
         ethers.utils.parseEther("1000000"),
         merkleTree.getProof(addr1.address, "1000000")
       );
       
       // Addr2 claims
       await airdrop.connect(addr2).claim(
+        0,
+        merkleTree.getIndex(addr2.address),
         ethers.utils.parseEther("2000000"),
         merkleTree.getProof(addr2.address, "2000000")
       );
@@ -144,7 +162,7 @@ describe("SOONAirdrop", function () {
       const invalidProof = merkleTree.getProof(addr2.address, "2000000");
       
       await expect(
-        airdrop.connect(addr1).claim(ethers.utils.parseEther("1000000"), invalidProof)
+        airdrop.connect(addr1).claim(0, merkleTree.getIndex(addr1.address), ethers.utils.parseEther("1000000"), invalidProof)
       ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
     });
     
@@ -153,7 +171,7 @@ describe("SOONAirdrop", function () {
       const proof = merkleTree.getProof(addr1.address, "1000000");
       
       await expect(
-        airdrop.connect(addr1).claim(ethers.utils.parseEther("1500000"), proof)
+        airdrop.connect(addr1).claim(0, merkleTree.getIndex(addr1.address), ethers.utils.parseEther("1500000"), proof)
       ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
     });
     
@@ -162,13 +180,15 @@ describe("SOONAirdrop", function () {
       
       // First claim succeeds
       await airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
         ethers.utils.parseEther("1000000"),
         proof
       );
       
       // Second claim should fail
       await expect(
-        airdrop.connect(addr1).claim(ethers.utils.parseEther("1000000"), proof)
+        airdrop.connect(addr1).claim(0, merkleTree.getIndex(addr1.address), ethers.utils.parseEther("1000000"), proof)
       ).to.be.revertedWith("Airdrop: Tokens already claimed");
     });
     
@@ -180,22 +200,745 @@ describe("SOONAirdrop", function () {
       const proof = merkleTree.getProof(addr1.address, "1000000");
       
       await expect(
-        airdrop.connect(addr1).claim(ethers.utils.parseEther("1000000"), proof)
+        airdrop.connect(addr1).claim(0, merkleTree.getIndex(addr1.address), ethers.utils.parseEther("1000000"), proof)
       ).to.be.revertedWith("Airdrop: Claim period has ended");
     });
     
-    it("Should prevent claiming if contract has insufficient tokens", async function () {
-      // Ensure airdrop contract has less tokens than needed
-      await airdrop.connect(owner).recoverUnclaimedTokens(owner.address);
+    it("Should prevent claiming if the round has insufficient funding", async function () {
+      // A second round with the same tree but only 500k tokens allocated
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      await airdrop.addRound(merkleTree.root, now, now + 24 * 60 * 60);
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("500000"));
+      await airdrop.fundRound(1, ethers.utils.parseEther("500000"));
       
       const proof = merkleTree.getProof(addr1.address, "1000000");
       
       await expect(
-        airdrop.connect(addr1).claim(ethers.utils.parseEther("1000000"), proof)
+        airdrop.connect(addr1).claim(1, merkleTree.getIndex(addr1.address), ethers.utils.parseEther("1000000"), proof)
       ).to.be.revertedWith("Airdrop: Insufficient tokens in contract for this claim");
     });
   });
   
+  describe("Rounds", function() {
+    const DAY = 24 * 60 * 60;
+    let secondTree;
+    
+    beforeEach(async function () {
+      secondTree = createMerkleTree([
+        { address: addr1.address, amount: "500000" },
+        { address: addr4.address, amount: "4000000" }
+      ]);
+    });
+    
+    async function addSecondRound(startOffset, length) {
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      await airdrop.addRound(secondTree.root, now + startOffset, now + startOffset + length);
+      return 1;
+    }
+    
+    it("Should add rounds with their own root and window", async function () {
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      await expect(airdrop.addRound(secondTree.root, now + DAY, now + 10 * DAY))
+        .to.emit(airdrop, "RoundAdded")
+        .withArgs(1, secondTree.root, now + DAY, now + 10 * DAY);
+      
+      expect(await airdrop.roundCount()).to.equal(2);
+      const round = await airdrop.rounds(1);
+      expect(round.merkleRoot).to.equal(secondTree.root);
+      expect(round.funding).to.equal(0);
+    });
+    
+    it("Should reject rounds with an invalid window", async function () {
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      await expect(
+        airdrop.addRound(secondTree.root, now + DAY, now + DAY)
+      ).to.be.revertedWith("Airdrop: Invalid round window");
+    });
+    
+    it("Should only fund rounds from unallocated tokens", async function () {
+      await addSecondRound(0, 10 * DAY);
+      
+      // Everything held is already allocated to round 0
+      await expect(
+        airdrop.fundRound(1, ethers.utils.parseEther("1"))
+      ).to.be.revertedWith("Airdrop: Insufficient unallocated tokens");
+      
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("4500000"));
+      await expect(airdrop.fundRound(1, ethers.utils.parseEther("4500000")))
+        .to.emit(airdrop, "RoundFunded")
+        .withArgs(1, ethers.utils.parseEther("4500000"));
+      expect(await airdrop.remainingFunding(1)).to.equal(ethers.utils.parseEther("4500000"));
+    });
+    
+    it("Should not open claims before the round starts", async function () {
+      await addSecondRound(DAY, 10 * DAY);
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("4500000"));
+      await airdrop.fundRound(1, ethers.utils.parseEther("4500000"));
+      
+      await expect(
+        airdrop.connect(addr4).claim(1, secondTree.getIndex(addr4.address), ethers.utils.parseEther("4000000"), secondTree.getProof(addr4.address, "4000000"))
+      ).to.be.revertedWith("Airdrop: Claim period has not started");
+    });
+    
+    it("Should keep claimed state and totals separate per round", async function () {
+      await addSecondRound(0, 10 * DAY);
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("4500000"));
+      await airdrop.fundRound(1, ethers.utils.parseEther("4500000"));
+      
+      // addr1 is index 0 in both trees
+      await airdrop.connect(addr1).claim(0, 0, ethers.utils.parseEther("1000000"), merkleTree.getProof(addr1.address, "1000000"));
+      expect(await airdrop.isClaimed(0, 0)).to.be.true;
+      expect(await airdrop.isClaimed(1, 0)).to.be.false;
+      
+      await airdrop.connect(addr1).claim(1, 0, ethers.utils.parseEther("500000"), secondTree.getProof(addr1.address, "500000"));
+      expect(await airdrop.isClaimed(1, 0)).to.be.true;
+      
+      expect((await airdrop.rounds(0)).totalClaimed).to.equal(ethers.utils.parseEther("1000000"));
+      expect((await airdrop.rounds(1)).totalClaimed).to.equal(ethers.utils.parseEther("500000"));
+      expect(await airdrop.totalClaimedAmount()).to.equal(ethers.utils.parseEther("1500000"));
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1500000"));
+    });
+    
+    it("Should reject a proof from another round", async function () {
+      await addSecondRound(0, 10 * DAY);
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("4500000"));
+      await airdrop.fundRound(1, ethers.utils.parseEther("4500000"));
+      
+      await expect(
+        airdrop.connect(addr1).claim(1, 0, ethers.utils.parseEther("1000000"), merkleTree.getProof(addr1.address, "1000000"))
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+    });
+    
+    it("Should roll an expired round's unclaimed tokens into the next round", async function () {
+      await airdrop.connect(addr1).claim(0, 0, ethers.utils.parseEther("1000000"), merkleTree.getProof(addr1.address, "1000000"));
+      await addSecondRound(0, 60 * DAY);
+      
+      await ethers.provider.send("evm_increaseTime", [CLAIM_PERIOD_DAYS * DAY + 1]);
+      await ethers.provider.send("evm_mine");
+      
+      const unclaimed = AIRDROP_ALLOCATION.sub(ethers.utils.parseEther("1000000"));
+      await expect(airdrop.rolloverUnclaimedTokens(0, 1))
+        .to.emit(airdrop, "RoundRolledOver")
+        .withArgs(0, 1, unclaimed);
+      
+      expect(await airdrop.remainingFunding(0)).to.equal(0);
+      expect(await airdrop.remainingFunding(1)).to.equal(unclaimed);
+      
+      // Round 0 can no longer be swept and round 1 can now pay out
+      await expect(
+        airdrop.recoverUnclaimedTokens(0, owner.address)
+      ).to.be.revertedWith("Airdrop: Round already closed");
+      await airdrop.connect(addr4).claim(1, 1, ethers.utils.parseEther("4000000"), secondTree.getProof(addr4.address, "4000000"));
+      expect(await soon.balanceOf(addr4.address)).to.equal(ethers.utils.parseEther("4000000"));
+    });
+    
+    it("Should not roll over a round that is still open", async function () {
+      await addSecondRound(0, 60 * DAY);
+      await expect(
+        airdrop.rolloverUnclaimedTokens(0, 1)
+      ).to.be.revertedWith("Airdrop: Claim period not yet ended");
+    });
+    
+    it("Should let the owner recover tokens never allocated to a round", async function () {
+      await soon.transfer(airdrop.address, ethers.utils.parseEther("1000"));
+      const ownerBalanceBefore = await soon.balanceOf(owner.address);
+      
+      await airdrop.recoverUnallocatedTokens(owner.address);
+      
+      expect((await soon.balanceOf(owner.address)).sub(ownerBalanceBefore)).to.equal(ethers.utils.parseEther("1000"));
+      expect(await soon.balanceOf(airdrop.address)).to.equal(AIRDROP_ALLOCATION);
+      await expect(
+        airdrop.recoverUnallocatedTokens(owner.address)
+      ).to.be.revertedWith("Airdrop: No unallocated tokens");
+    });
+    
+    it("Should reject unknown rounds", async function () {
+      await expect(
+        airdrop.connect(addr1).claim(5, 0, ethers.utils.parseEther("1000000"), merkleTree.getProof(addr1.address, "1000000"))
+      ).to.be.revertedWith("Airdrop: Round does not exist");
+    });
+  });
+  
+  describe("Tax-aware Accounting", function() {
+    const claimAmount = ethers.utils.parseEther("1000000");
+    
+    async function claimAddr1() {
+      return airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
+        claimAmount,
+        merkleTree.getProof(addr1.address, "1000000")
+      );
+    }
+    
+    it("Should detect whether it is excluded from the SOON tax", async function () {
+      expect(await airdrop.isFeeExempt()).to.be.true;
+      
+      await soon.excludeFromFee(airdrop.address, false);
+      expect(await airdrop.isFeeExempt()).to.be.false;
+    });
+    
+    it("Should report equal gross and net amounts when exempt", async function () {
+      await expect(claimAddr1())
+        .to.emit(airdrop, "ClaimPaid")
+        .withArgs(0, addr1.address, addr1.address, claimAmount, claimAmount);
+      
+      expect((await airdrop.rounds(0)).totalReceived).to.equal(claimAmount);
+    });
+    
+    it("Should record what a taxed claimer actually received", async function () {
+      await soon.setLiquidityManager(addr4.address);
+      await soon.excludeFromFee(airdrop.address, false);
+      
+      const receipt = await (await claimAddr1()).wait();
+      const paid = receipt.events.find(e => e.event === "ClaimPaid");
+      const received = await soon.balanceOf(addr1.address);
+      
+      expect(paid.args.grossAmount).to.equal(claimAmount);
+      expect(paid.args.netAmount).to.equal(received);
+      expect(received).to.be.lt(claimAmount);
+      
+      // Funding is debited by the gross amount; the net is tracked separately
+      const round = await airdrop.rounds(0);
+      expect(round.totalClaimed).to.equal(claimAmount);
+      expect(round.totalReceived).to.equal(received);
+      expect(await airdrop.remainingFunding(0)).to.equal(AIRDROP_ALLOCATION.sub(claimAmount));
+    });
+    
+    it("Should fund a round with the amount actually deposited", async function () {
+      const deposit = ethers.utils.parseEther("1000000");
+      await soon.approve(airdrop.address, deposit);
+      
+      await expect(airdrop.depositAndFund(0, deposit))
+        .to.emit(airdrop, "FundingDeposited")
+        .withArgs(0, deposit, deposit);
+      
+      expect((await airdrop.rounds(0)).funding).to.equal(AIRDROP_ALLOCATION.add(deposit));
+    });
+    
+    it("Should only count the net amount of a taxed deposit", async function () {
+      await soon.setLiquidityManager(addr4.address);
+      await soon.excludeFromFee(airdrop.address, false);
+      // Without the fee exemption the airdrop's balance would count against the max wallet
+      await soon.excludeFromMaxWallet(airdrop.address, true);
+      
+      // A depositor that is not fee-excluded pays the tax on the way in
+      const deposit = ethers.utils.parseEther("1000000");
+      await soon.transfer(addr3.address, deposit);
+      await airdrop.transferOwnership(addr3.address);
+      await soon.connect(addr3).approve(airdrop.address, deposit);
+      
+      const receipt = await (await airdrop.connect(addr3).depositAndFund(0, deposit)).wait();
+      const deposited = receipt.events.find(e => e.event === "FundingDeposited");
+      
+      expect(deposited.args.amountReceived).to.be.lt(deposit);
+      expect((await airdrop.rounds(0)).funding).to.equal(AIRDROP_ALLOCATION.add(deposited.args.amountReceived));
+    });
+  });
+  
+  describe("Claimed Bitmap", function() {
+    it("Should track claims by index", async function () {
+      expect(await airdrop.isClaimed(0, 0)).to.be.false;
+      expect(await airdrop.isClaimed(0, 1)).to.be.false;
+      
+      await airdrop.connect(addr2).claim(
+        0,
+        merkleTree.getIndex(addr2.address),
+        ethers.utils.parseEther("2000000"),
+        merkleTree.getProof(addr2.address, "2000000")
+      );
+      
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr2.address))).to.be.true;
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr1.address))).to.be.false;
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr3.address))).to.be.false;
+    });
+    
+    it("Should reject a valid leaf claimed under another index", async function () {
+      await expect(
+        airdrop.connect(addr1).claim(
+          0,
+          merkleTree.getIndex(addr2.address),
+          ethers.utils.parseEther("1000000"),
+          merkleTree.getProof(addr1.address, "1000000")
+        )
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+    });
+  });
+  
+  describe("Batch Claims", function() {
+    function claimData(account, amount) {
+      return {
+        index: merkleTree.getIndex(account.address),
+        account: account.address,
+        amount: ethers.utils.parseEther(amount),
+        proof: merkleTree.getProof(account.address, amount)
+      };
+    }
+    
+    it("Should let a distributor push many claims in one transaction", async function () {
+      await expect(
+        airdrop.connect(addr4).batchClaim(0, [
+          claimData(addr1, "1000000"),
+          claimData(addr2, "2000000"),
+          claimData(addr3, "3000000")
+        ])
+      ).to.emit(airdrop, "Claimed").withArgs(0, merkleTree.getIndex(addr3.address), addr3.address, ethers.utils.parseEther("3000000"));
+      
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1000000"));
+      expect(await soon.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("2000000"));
+      expect(await soon.balanceOf(addr3.address)).to.equal(ethers.utils.parseEther("3000000"));
+      expect(await airdrop.totalClaimedAmount()).to.equal(ethers.utils.parseEther("6000000"));
+    });
+    
+    it("Should pay several claims in one block with the transfer cooldown on", async function () {
+      // Without the fee exemption the airdrop's payouts go through the launch limits
+      await soon.setLiquidityManager(addr4.address);
+      await soon.excludeFromFee(airdrop.address, false);
+      await soon.setTransferCooldown(60);
+      
+      const receipt = await (await airdrop.connect(addr4).batchClaim(0, [
+        claimData(addr1, "1000000"),
+        claimData(addr2, "2000000"),
+        claimData(addr3, "3000000")
+      ])).wait();
+      
+      expect(receipt.events.filter(e => e.event === "ClaimPaid")).to.have.lengthOf(3);
+      expect(await soon.balanceOf(addr3.address)).to.be.gt(0);
+      expect(await airdrop.totalClaimedAmount()).to.equal(ethers.utils.parseEther("6000000"));
+    });
+    
+    it("Should skip indices that are already claimed", async function () {
+      await airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
+        ethers.utils.parseEther("1000000"),
+        merkleTree.getProof(addr1.address, "1000000")
+      );
+      
+      await airdrop.connect(addr4).batchClaim(0, [
+        claimData(addr1, "1000000"),
+        claimData(addr2, "2000000")
+      ]);
+      
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1000000"));
+      expect(await soon.balanceOf(addr2.address)).to.equal(ethers.utils.parseEther("2000000"));
+      expect(await airdrop.totalClaimedAmount()).to.equal(ethers.utils.parseEther("3000000"));
+    });
+    
+    it("Should revert the whole batch on an invalid proof", async function () {
+      const bad = claimData(addr2, "2000000");
+      bad.amount = ethers.utils.parseEther("2500000");
+      
+      await expect(
+        airdrop.connect(addr4).batchClaim(0, [claimData(addr1, "1000000"), bad])
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+      
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr1.address))).to.be.false;
+    });
+  });
+  
+  describe("Vesting", function() {
+    const CLIFF = 30 * 24 * 60 * 60;     // 30 days
+    const DURATION = 180 * 24 * 60 * 60; // 180 days
+    let vestingAirdrop, vestingClaims, vestingTree, vestingStart;
+    
+    beforeEach(async function () {
+      // addr1 gets 25% up front and the rest over 180 days; addr2 has a plain leaf
+      vestingClaims = validateClaims([
+        { address: addr1.address, amount: "1000000", vesting: { immediate: "250000", cliff: CLIFF, duration: DURATION } },
+        { address: addr2.address, amount: "2000000" }
+      ]);
+      vestingTree = buildMerkleTree(vestingClaims);
+      
+      const SOONAirdrop = await ethers.getContractFactory("SOONAirdrop");
+      vestingAirdrop = await SOONAirdrop.deploy(vestingTree.root, soon.address, CLAIM_PERIOD_DAYS);
+      await vestingAirdrop.deployed();
+      await soon.excludeFromFee(vestingAirdrop.address, true);
+      await soon.transfer(vestingAirdrop.address, ethers.utils.parseEther("3000000"));
+      await vestingAirdrop.fundRound(0, ethers.utils.parseEther("3000000"));
+      
+      vestingStart = (await vestingAirdrop.rounds(0)).startTime.toNumber();
+    });
+    
+    function claimVesting(signer) {
+      const claim = vestingClaims[0];
+      return vestingAirdrop.connect(signer).claimVesting(
+        0,
+        claim.index,
+        claim.amount,
+        claim.vesting.immediate,
+        claim.vesting.cliff,
+        claim.vesting.duration,
+        vestingTree.getProof(claim)
+      );
+    }
+    
+    async function setTime(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+      await ethers.provider.send("evm_mine");
+    }
+    
+    it("Should pay the immediate share and lock the rest", async function () {
+      await expect(claimVesting(addr1))
+        .to.emit(vestingAirdrop, "VestingClaimed")
+        .withArgs(0, 0, addr1.address, ethers.utils.parseEther("250000"), ethers.utils.parseEther("750000"), CLIFF, DURATION);
+      
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("250000"));
+      expect(await vestingAirdrop.totalVestingLocked()).to.equal(ethers.utils.parseEther("750000"));
+      expect(await vestingAirdrop.isClaimed(0, 0)).to.be.true;
+    });
+    
+    it("Should not unlock anything before the cliff", async function () {
+      await claimVesting(addr1);
+      await setTime(vestingStart + CLIFF - 10);
+      
+      expect(await vestingAirdrop.vestedAmount(0, addr1.address)).to.equal(0);
+      expect(await vestingAirdrop.releasableAmount(0, addr1.address)).to.equal(0);
+      await expect(
+        vestingAirdrop.connect(addr1).release(0)
+      ).to.be.revertedWith("Airdrop: Nothing to release");
+    });
+    
+    it("Should unlock linearly and track released amounts", async function () {
+      await claimVesting(addr1);
+      
+      // Release exactly halfway through the schedule
+      const halfVested = ethers.utils.parseEther("375000");
+      await ethers.provider.send("evm_setNextBlockTimestamp", [vestingStart + DURATION / 2]);
+      await expect(vestingAirdrop.connect(addr1).release(0))
+        .to.emit(vestingAirdrop, "VestedTokensReleased")
+        .withArgs(0, addr1.address, halfVested);
+      
+      expect(await vestingAirdrop.vestedAmount(0, addr1.address)).to.equal(halfVested);
+      expect(await vestingAirdrop.releasedAmount(0, addr1.address)).to.equal(halfVested);
+      expect(await vestingAirdrop.releasableAmount(0, addr1.address)).to.equal(0);
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("625000"));
+    });
+    
+    it("Should release everything after the duration", async function () {
+      await claimVesting(addr1);
+      await setTime(vestingStart + DURATION + 1);
+      
+      await vestingAirdrop.connect(addr1).release(0);
+      
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1000000"));
+      expect(await vestingAirdrop.totalVestingLocked()).to.equal(0);
+    });
+    
+    it("Should reject a vesting leaf claimed as a plain leaf", async function () {
+      const claim = vestingClaims[0];
+      await expect(
+        vestingAirdrop.connect(addr1).claim(0, claim.index, claim.amount, vestingTree.getProof(claim))
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+    });
+    
+    it("Should reject a tampered vesting schedule", async function () {
+      const claim = vestingClaims[0];
+      await expect(
+        vestingAirdrop.connect(addr1).claimVesting(
+          0,
+          claim.index,
+          claim.amount,
+          claim.amount, // Try to unlock everything at once
+          claim.vesting.cliff,
+          claim.vesting.duration,
+          vestingTree.getProof(claim)
+        )
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+    });
+    
+    it("Should reject a second vesting leaf for the same account in a round", async function () {
+      // validateClaims rejects duplicate addresses, so build the tree from hand-made claims
+      const [first, second] = validateClaims([
+        { address: addr1.address, amount: "1000000", vesting: { immediate: "250000", cliff: CLIFF, duration: DURATION } },
+        { address: addr2.address, amount: "500000", vesting: { immediate: "0", cliff: 0, duration: DURATION } }
+      ]);
+      second.address = addr1.address;
+      const duplicateTree = buildMerkleTree([first, second]);
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      await vestingAirdrop.addRound(duplicateTree.root, now, now + CLAIM_PERIOD_DAYS * 24 * 60 * 60);
+      await soon.transfer(vestingAirdrop.address, ethers.utils.parseEther("1500000"));
+      await vestingAirdrop.fundRound(1, ethers.utils.parseEther("1500000"));
+      
+      const claimLeaf = claim => vestingAirdrop.connect(addr1).claimVesting(
+        1,
+        claim.index,
+        claim.amount,
+        claim.vesting.immediate,
+        claim.vesting.cliff,
+        claim.vesting.duration,
+        duplicateTree.getProof(claim)
+      );
+      await claimLeaf(first);
+      await expect(claimLeaf(second)).to.be.revertedWith("Airdrop: Vesting schedule already exists");
+      
+      expect(await vestingAirdrop.isClaimed(1, second.index)).to.be.false;
+      expect(await vestingAirdrop.totalVestingLocked()).to.equal(ethers.utils.parseEther("750000"));
+    });
+    
+    it("Should keep locked tokens out of unclaimed recovery", async function () {
+      await claimVesting(addr1);
+      await setTime(vestingStart + CLAIM_PERIOD_DAYS * 24 * 60 * 60 + 1);
+      
+      await vestingAirdrop.recoverUnclaimedTokens(0, addr3.address);
+      
+      // Only addr2's unclaimed 2M is recovered; addr1's 750k stays for release
+      expect(await soon.balanceOf(addr3.address)).to.equal(ethers.utils.parseEther("2000000"));
+      expect(await soon.balanceOf(vestingAirdrop.address)).to.equal(ethers.utils.parseEther("750000"));
+    });
+  });
+  
+  describe("Claiming On Behalf", function() {
+    it("Should allow anyone to claim for a recipient", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      
+      await expect(airdrop.connect(addr4).claimFor(0, merkleTree.getIndex(addr1.address), addr1.address, amount, proof))
+        .to.emit(airdrop, "ClaimRelayed")
+        .withArgs(0, addr1.address, addr1.address, addr4.address);
+      
+      // Tokens go to the recipient in the leaf, not the caller
+      expect(await soon.balanceOf(addr1.address)).to.equal(amount);
+      expect(await soon.balanceOf(addr4.address)).to.equal(0);
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr1.address))).to.be.true;
+    });
+    
+    it("Should prevent claiming for a recipient twice", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      
+      await airdrop.connect(addr4).claimFor(0, merkleTree.getIndex(addr1.address), addr1.address, amount, proof);
+      
+      await expect(
+        airdrop.connect(addr1).claim(0, merkleTree.getIndex(addr1.address), amount, proof)
+      ).to.be.revertedWith("Airdrop: Tokens already claimed");
+    });
+    
+    it("Should reject a proof for a different recipient", async function () {
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      
+      await expect(
+        airdrop.connect(addr4).claimFor(0, merkleTree.getIndex(addr2.address), addr2.address, ethers.utils.parseEther("1000000"), proof)
+      ).to.be.revertedWith("Airdrop: Invalid Merkle proof");
+    });
+  });
+  
+  describe("Signed Claims", function() {
+    async function signClaim(signer, to, amount, deadline, nonce) {
+      const domain = {
+        name: "SOONAirdrop",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: airdrop.address
+      };
+      const types = {
+        Claim: [
+          { name: "roundId", type: "uint256" },
+          { name: "account", type: "address" },
+          { name: "to", type: "address" },
+          { name: "amount", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      if (nonce === undefined) {
+        nonce = await airdrop.nonces(signer.address);
+      }
+      return signer._signTypedData(domain, types, { roundId: 0, account: signer.address, to, amount, nonce, deadline });
+    }
+    
+    let deadline;
+    
+    beforeEach(async function () {
+      deadline = (await ethers.provider.getBlock('latest')).timestamp + 3600;
+    });
+    
+    it("Should let a relayer submit a signed claim", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      const signature = await signClaim(addr1, addr4.address, amount, deadline);
+      
+      await expect(
+        airdrop.connect(addr2).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr4.address, amount, proof, deadline, signature)
+      ).to.emit(airdrop, "ClaimRelayed").withArgs(0, addr1.address, addr4.address, addr2.address);
+      
+      // Tokens go where the signer asked
+      expect(await soon.balanceOf(addr4.address)).to.equal(amount);
+      expect(await airdrop.isClaimed(0, merkleTree.getIndex(addr1.address))).to.be.true;
+      expect(await airdrop.nonces(addr1.address)).to.equal(1);
+    });
+    
+    it("Should reject a signature from another account", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      const signature = await signClaim(addr2, addr2.address, amount, deadline, 0);
+      
+      await expect(
+        airdrop.connect(addr2).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr2.address, amount, proof, deadline, signature)
+      ).to.be.revertedWith("Airdrop: Invalid signature");
+    });
+    
+    it("Should reject a signature for a different recipient", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      const signature = await signClaim(addr1, addr1.address, amount, deadline);
+      
+      await expect(
+        airdrop.connect(addr4).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr4.address, amount, proof, deadline, signature)
+      ).to.be.revertedWith("Airdrop: Invalid signature");
+    });
+    
+    it("Should reject an expired signature", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      const signature = await signClaim(addr1, addr1.address, amount, deadline);
+      
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      
+      await expect(
+        airdrop.connect(addr4).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr1.address, amount, proof, deadline, signature)
+      ).to.be.revertedWith("Airdrop: Signature expired");
+    });
+    
+    it("Should not allow a signature to be replayed", async function () {
+      const amount = ethers.utils.parseEther("1000000");
+      const proof = merkleTree.getProof(addr1.address, "1000000");
+      const signature = await signClaim(addr1, addr1.address, amount, deadline);
+      
+      await airdrop.connect(addr4).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr1.address, amount, proof, deadline, signature);
+      
+      // The nonce has moved on, so the same signature no longer recovers to addr1
+      await expect(
+        airdrop.connect(addr4).claimWithSignature(0, merkleTree.getIndex(addr1.address), addr1.address, addr1.address, amount, proof, deadline, signature)
+      ).to.be.revertedWith("Airdrop: Invalid signature");
+    });
+  });
+  
+  describe("Claim Window Safeguards", function() {
+    const DAY = 24 * 60 * 60;
+    
+    async function claimAddr1() {
+      return airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
+        ethers.utils.parseEther("1000000"),
+        merkleTree.getProof(addr1.address, "1000000")
+      );
+    }
+    
+    it("Should lock the Merkle root on the first claim", async function () {
+      expect((await airdrop.rounds(0)).rootLocked).to.be.false;
+      
+      await expect(claimAddr1())
+        .to.emit(airdrop, "MerkleRootLocked")
+        .withArgs(0);
+      expect((await airdrop.rounds(0)).rootLocked).to.be.true;
+      
+      await expect(
+        airdrop.updateMerkleRoot(0, ethers.constants.HashZero)
+      ).to.be.revertedWith("Airdrop: Merkle root is locked");
+    });
+    
+    it("Should only emit MerkleRootLocked once per round", async function () {
+      await claimAddr1();
+      
+      await expect(
+        airdrop.connect(addr2).claim(
+          0,
+          merkleTree.getIndex(addr2.address),
+          ethers.utils.parseEther("2000000"),
+          merkleTree.getProof(addr2.address, "2000000")
+        )
+      ).to.not.emit(airdrop, "MerkleRootLocked");
+    });
+    
+    it("Should let the owner lock the root before any claim", async function () {
+      await expect(airdrop.lockRoot(0))
+        .to.emit(airdrop, "MerkleRootLocked")
+        .withArgs(0);
+      
+      await expect(
+        airdrop.updateMerkleRoot(0, ethers.constants.HashZero)
+      ).to.be.revertedWith("Airdrop: Merkle root is locked");
+      await expect(airdrop.lockRoot(0)).to.be.revertedWith("Airdrop: Merkle root already locked");
+      await expect(airdrop.connect(addr1).lockRoot(0)).to.be.revertedWith("Ownable: caller is not the owner");
+      
+      // Claims still work against the locked root
+      await claimAddr1();
+    });
+    
+    it("Should block claims and releases while paused", async function () {
+      await expect(airdrop.pause())
+        .to.emit(airdrop, "Paused")
+        .withArgs(owner.address);
+      
+      await expect(claimAddr1()).to.be.revertedWith("Pausable: paused");
+      await expect(
+        airdrop.connect(addr4).claimFor(
+          0,
+          merkleTree.getIndex(addr1.address),
+          addr1.address,
+          ethers.utils.parseEther("1000000"),
+          merkleTree.getProof(addr1.address, "1000000")
+        )
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(airdrop.connect(addr1).release(0)).to.be.revertedWith("Pausable: paused");
+      
+      await expect(airdrop.unpause())
+        .to.emit(airdrop, "Unpaused")
+        .withArgs(owner.address);
+      await claimAddr1();
+      expect(await soon.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1000000"));
+    });
+    
+    it("Should only let the owner pause and unpause", async function () {
+      await expect(airdrop.connect(addr1).pause()).to.be.revertedWith("Ownable: caller is not the owner");
+      await airdrop.pause();
+      await expect(airdrop.connect(addr1).unpause()).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+    
+    it("Should allow moving the claim start time until the root is locked", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const startTime = now + DAY;
+      
+      await expect(airdrop.setClaimStartTime(0, startTime))
+        .to.emit(airdrop, "ClaimStartTimeSet")
+        .withArgs(0, startTime);
+      expect((await airdrop.rounds(0)).startTime).to.equal(startTime);
+      await expect(claimAddr1()).to.be.revertedWith("Airdrop: Claim period has not started");
+      
+      await ethers.provider.send("evm_setNextBlockTimestamp", [startTime]);
+      await claimAddr1();
+      
+      await expect(airdrop.setClaimStartTime(0, startTime + DAY)).to.be.revertedWith("Airdrop: Merkle root is locked");
+    });
+    
+    it("Should reject a start time at or after the deadline", async function () {
+      const { deadline } = await airdrop.rounds(0);
+      await expect(airdrop.setClaimStartTime(0, deadline)).to.be.revertedWith("Airdrop: Invalid round window");
+    });
+    
+    it("Should cap deadline extensions", async function () {
+      const { deadline, maxDeadline } = await airdrop.rounds(0);
+      const maxExtension = await airdrop.MAX_DEADLINE_EXTENSION();
+      expect(maxDeadline).to.equal(deadline.add(maxExtension));
+      
+      await expect(
+        airdrop.extendClaimDeadline(0, maxDeadline.add(1))
+      ).to.be.revertedWith("Airdrop: Deadline extension exceeds maximum");
+      
+      // The cap is cumulative, so extending in steps cannot get past it either
+      await airdrop.extendClaimDeadline(0, deadline.add(DAY));
+      await expect(airdrop.extendClaimDeadline(0, maxDeadline))
+        .to.emit(airdrop, "ClaimDeadlineSet")
+        .withArgs(0, maxDeadline);
+      await expect(
+        airdrop.extendClaimDeadline(0, maxDeadline.add(DAY))
+      ).to.be.revertedWith("Airdrop: Deadline extension exceeds maximum");
+    });
+  });
+  
   describe("Owner Functions", function() {
     it("Should allow owner to update Merkle root before claims start", async function () {
       const newClaims = [
@@ -205,11 +948,13 @@ describe("SOONAirdrop", function () {
       
       const newMerkleTree = createMerkleTree(newClaims);
       
-      await airdrop.updateMerkleRoot(newMerkleTree.root);
-      expect(await airdrop.merkleRoot()).to.equal(newMerkleTree.root);
+      await airdrop.updateMerkleRoot(0, newMerkleTree.root);
+      expect((await airdrop.rounds(0)).merkleRoot).to.equal(newMerkleTree.root);
       
       // Should be able to claim with new proof
       await airdrop.connect(addr1).claim(
+        0,
+        newMerkleTree.getIndex(addr1.address),
         ethers.utils.parseEther("1500000"),
         newMerkleTree.getProof(addr1.address, "1500000")
       );
@@ -220,42 +965,47 @@ describe("SOONAirdrop", function () {
     });
     
     it("Should allow owner to extend claim deadline", async function () {
-      const initialDeadline = await airdrop.claimDeadline();
+      const initialDeadline = (await airdrop.rounds(0)).deadline;
       const newDeadline = initialDeadline.add(15 * 24 * 60 * 60); // +15 days
       
-      await airdrop.extendClaimDeadline(newDeadline);
-      expect(await airdrop.claimDeadline()).to.equal(newDeadline);
+      await airdrop.extendClaimDeadline(0, newDeadline);
+      expect((await airdrop.rounds(0)).deadline).to.equal(newDeadline);
     });
     
     it("Should prevent extending deadline to an earlier time", async function () {
-      const initialDeadline = await airdrop.claimDeadline();
+      const initialDeadline = (await airdrop.rounds(0)).deadline;
       const earlierDeadline = initialDeadline.sub(1 * 24 * 60 * 60); // -1 day
       
       await expect(
-        airdrop.extendClaimDeadline(earlierDeadline)
+        airdrop.extendClaimDeadline(0, earlierDeadline)
       ).to.be.revertedWith("Airdrop: New deadline must be in the future");
     });
     
     it("Should allow owner to recover unclaimed tokens after deadline", async function () {
-      // Fast-forward time past deadline
-      await ethers.provider.send("evm_increaseTime", [CLAIM_PERIOD_DAYS * 24 * 60 * 60 + 1]);
-      await ethers.provider.send("evm_mine");
-      
       // Claim some tokens first
       await airdrop.connect(addr1).claim(
+        0,
+        merkleTree.getIndex(addr1.address),
         ethers.utils.parseEther("1000000"),
         merkleTree.getProof(addr1.address, "1000000")
       );
       
+      // Fast-forward time past deadline
+      await ethers.provider.send("evm_increaseTime", [CLAIM_PERIOD_DAYS * 24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+      
       const claimedAmount = ethers.utils.parseEther("1000000");
       const expectedUnclaimedAmount = AIRDROP_ALLOCATION.sub(claimedAmount);
+      const ownerBalanceBefore = await soon.balanceOf(owner.address);
       
       // Recover unclaimed tokens
-      await airdrop.recoverUnclaimedTokens(owner.address);
+      await expect(airdrop.recoverUnclaimedTokens(0, owner.address))
+        .to.emit(airdrop, "UnclaimedTokensRecovered")
+        .withArgs(0, owner.address, expectedUnclaimedAmount);
       
       // Check if owner received the unclaimed tokens
       const ownerBalance = await soon.balanceOf(owner.address);
-      expect(ownerBalance).to.equal(expectedUnclaimedAmount);
+      expect(ownerBalance.sub(ownerBalanceBefore)).to.equal(expectedUnclaimedAmount);
       
       // Check if airdrop contract has 0 balance
       expect(await soon.balanceOf(airdrop.address)).to.equal(0);
@@ -263,21 +1013,21 @@ describe("SOONAirdrop", function () {
     
     it("Should prevent recovering tokens before deadline", async function () {
       await expect(
-        airdrop.recoverUnclaimedTokens(owner.address)
+        airdrop.recoverUnclaimedTokens(0, owner.address)
       ).to.be.revertedWith("Airdrop: Claim period not yet ended");
     });
     
     it("Should prevent non-owner from calling owner functions", async function () {
       await expect(
-        airdrop.connect(addr1).updateMerkleRoot(ethers.constants.HashZero)
+        airdrop.connect(addr1).updateMerkleRoot(0, ethers.constants.HashZero)
       ).to.be.revertedWith("Ownable: caller is not the owner");
       
       await expect(
-        airdrop.connect(addr1).extendClaimDeadline(ethers.constants.MaxUint256)
+        airdrop.connect(addr1).extendClaimDeadline(0, ethers.BigNumber.from(2).pow(64).sub(1))
       ).to.be.revertedWith("Ownable: caller is not the owner");
       
       await expect(
-        airdrop.connect(addr1).recoverUnclaimedTokens(addr1.address)
+        airdrop.connect(addr1).recoverUnclaimedTokens(0, addr1.address)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
   });
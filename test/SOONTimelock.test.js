@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SOONTimelock", function () {
+  let soon, weth, factory, positionManager, liquidityManager, timelock;
+  let owner, proposer, addr1;
+  const DELAY = 2 * 24 * 60 * 60; // 2 days
+  const NO_PREDECESSOR = ethers.constants.HashZero;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Queues `data` on `target` and returns everything needed to execute or cancel it
+  async function schedule(target, data, salt = ethers.constants.HashZero) {
+    await timelock.connect(proposer).schedule(target.address, 0, data, NO_PREDECESSOR, salt, DELAY);
+    const id = await timelock.hashOperation(target.address, 0, data, NO_PREDECESSOR, salt);
+    return { target: target.address, data, salt, id };
+  }
+
+  function execute(op) {
+    return timelock.connect(proposer).execute(op.target, 0, op.data, NO_PREDECESSOR, op.salt);
+  }
+
+  beforeEach(async function () {
+    [owner, proposer, addr1] = await ethers.getSigners();
+
+    const SOON = await ethers.getContractFactory("SOON");
+    soon = await SOON.deploy();
+    await soon.deployed();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+    await weth.deployed();
+
+    const SushiSwapV3Factory = await ethers.getContractFactory("SushiSwapV3Factory");
+    factory = await SushiSwapV3Factory.deploy();
+    await factory.deployed();
+
+    const NonfungiblePositionManager = await ethers.getContractFactory("NonfungiblePositionManager");
+    positionManager = await NonfungiblePositionManager.deploy(factory.address, weth.address, owner.address);
+    await positionManager.deployed();
+
+    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+    liquidityManager = await LiquidityManager.deploy(
+      soon.address,
+      weth.address,
+      positionManager.address,
+      ethers.constants.AddressZero
+    );
+    await liquidityManager.deployed();
+
+    // The proposer queues, executes and cancels; no separate admin
+    const SOONTimelock = await ethers.getContractFactory("SOONTimelock");
+    timelock = await SOONTimelock.deploy(DELAY, [proposer.address], [proposer.address], ethers.constants.AddressZero);
+    await timelock.deployed();
+
+    await soon.transferOwnership(timelock.address);
+    await liquidityManager.transferOwnership(timelock.address);
+  });
+
+  describe("Deployment", function() {
+    it("Should own both contracts", async function () {
+      expect(await soon.owner()).to.equal(timelock.address);
+      expect(await liquidityManager.owner()).to.equal(timelock.address);
+      expect(await timelock.getMinDelay()).to.equal(DELAY);
+    });
+
+    it("Should reject a delay below the minimum", async function () {
+      const SOONTimelock = await ethers.getContractFactory("SOONTimelock");
+      await expect(
+        SOONTimelock.deploy(60 * 60, [proposer.address], [proposer.address], ethers.constants.AddressZero)
+      ).to.be.revertedWith("Timelock: Delay below minimum");
+    });
+  });
+
+  describe("Delayed Owner Actions", function() {
+    it("Should prevent the former owner from calling owner functions directly", async function () {
+      await expect(
+        soon.updateTaxSettings(500, 200, 200, 100)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        soon.setLiquidityManager(addr1.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(
+        liquidityManager.updateTickDistance(1500)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should only apply a tax change after the delay", async function () {
+      const data = soon.interface.encodeFunctionData("updateTaxSettings", [500, 200, 200, 100]);
+
+      await expect(
+        timelock.connect(proposer).schedule(soon.address, 0, data, NO_PREDECESSOR, ethers.constants.HashZero, DELAY)
+      ).to.emit(timelock, "CallScheduled");
+      const op = {
+        target: soon.address,
+        data,
+        salt: ethers.constants.HashZero,
+        id: await timelock.hashOperation(soon.address, 0, data, NO_PREDECESSOR, ethers.constants.HashZero)
+      };
+
+      await expect(execute(op)).to.be.revertedWith("TimelockController: operation is not ready");
+
+      await increaseTime(DELAY - 10);
+      await expect(execute(op)).to.be.revertedWith("TimelockController: operation is not ready");
+      expect(await soon.taxRateBIPS()).to.equal(690);
+
+      await increaseTime(10);
+      await expect(execute(op))
+        .to.emit(timelock, "CallExecuted")
+        .and.to.emit(soon, "TaxRateUpdated")
+        .withArgs(500, 200, 200, 100);
+      expect(await soon.taxRateBIPS()).to.equal(500);
+      expect(await timelock.isOperationDone(op.id)).to.equal(true);
+    });
+
+    it("Should delay LiquidityManager parameter changes", async function () {
+      const op = await schedule(
+        liquidityManager,
+        liquidityManager.interface.encodeFunctionData("updateTickDistance", [1500])
+      );
+
+      await expect(execute(op)).to.be.revertedWith("TimelockController: operation is not ready");
+
+      await increaseTime(DELAY);
+      await execute(op);
+      expect(await liquidityManager.tickDistance()).to.equal(1500);
+    });
+
+    it("Should delay reward exclusions and rescues", async function () {
+      await soon.transfer(addr1.address, ethers.utils.parseEther("1000"));
+      const exclude = await schedule(soon, soon.interface.encodeFunctionData("excludeFromReward", [addr1.address, true]));
+
+      // Tokens sent to the SOON contract by mistake
+      await weth.deposit({ value: ethers.utils.parseEther("1") });
+      await weth.transfer(soon.address, ethers.utils.parseEther("1"));
+      const rescue = await schedule(
+        soon,
+        soon.interface.encodeFunctionData("rescueERC20", [weth.address, addr1.address, ethers.utils.parseEther("1")]),
+        ethers.utils.formatBytes32String("rescue")
+      );
+
+      await expect(execute(exclude)).to.be.revertedWith("TimelockController: operation is not ready");
+      await expect(execute(rescue)).to.be.revertedWith("TimelockController: operation is not ready");
+
+      await increaseTime(DELAY);
+      await execute(exclude);
+      await execute(rescue);
+      expect(await weth.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("1"));
+    });
+
+    it("Should not allow scheduling with less than the minimum delay", async function () {
+      const data = soon.interface.encodeFunctionData("updateTaxSettings", [0, 0, 0, 0]);
+
+      await expect(
+        timelock.connect(proposer).schedule(soon.address, 0, data, NO_PREDECESSOR, ethers.constants.HashZero, DELAY - 1)
+      ).to.be.revertedWith("TimelockController: insufficient delay");
+    });
+
+    it("Should only let proposers queue calls", async function () {
+      const data = soon.interface.encodeFunctionData("updateTaxSettings", [0, 0, 0, 0]);
+
+      await expect(
+        timelock.connect(addr1).schedule(soon.address, 0, data, NO_PREDECESSOR, ethers.constants.HashZero, DELAY)
+      ).to.be.reverted;
+    });
+
+    it("Should cancel a queued call", async function () {
+      const op = await schedule(soon, soon.interface.encodeFunctionData("setLiquidityManager", [addr1.address]));
+
+      await expect(timelock.connect(proposer).cancel(op.id))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(op.id);
+
+      await increaseTime(DELAY);
+      await expect(execute(op)).to.be.revertedWith("TimelockController: operation is not ready");
+      expect(await soon.liquidityManagerAddress()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should only change its own delay through a delayed call", async function () {
+      await expect(
+        timelock.connect(proposer).updateDelay(DELAY * 2)
+      ).to.be.revertedWith("TimelockController: caller must be timelock");
+
+      const op = await schedule(timelock, timelock.interface.encodeFunctionData("updateDelay", [DELAY * 2]));
+      await increaseTime(DELAY);
+      await execute(op);
+      expect(await timelock.getMinDelay()).to.equal(DELAY * 2);
+    });
+
+    it("Should not let a delayed call lower the delay below the minimum", async function () {
+      const op = await schedule(timelock, timelock.interface.encodeFunctionData("updateDelay", [0]));
+      await increaseTime(DELAY);
+      await expect(execute(op)).to.be.revertedWith("TimelockController: underlying transaction reverted");
+      expect(await timelock.getMinDelay()).to.equal(DELAY);
+    });
+  });
+});
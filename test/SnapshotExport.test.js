@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  findSnapshotBlock,
+  collectHolders,
+  snapshotBalances,
+  toClaimRows
+} = require("../scripts/exportSnapshot");
+const { parseClaims, validateClaims, buildProofsOutput } = require("../scripts/buildMerkleTree");
+
+describe("Snapshot Export", function () {
+  let soon;
+  let owner, addr1, addr2, addr3;
+  const amount = ethers.utils.parseEther("1000000");
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+    const SOON = await ethers.getContractFactory("SOON");
+    soon = await SOON.deploy();
+    await soon.deployed();
+    await soon.setLiquidityManager(owner.address);
+
+    await soon.transfer(addr1.address, amount);
+    await soon.transfer(addr2.address, amount.mul(2));
+    // A taxed transfer, so addr1 holds reflections at the snapshot
+    await soon.connect(addr2).transfer(addr3.address, amount);
+    await soon.snapshot();
+
+    // Activity after the snapshot must not show up in the export
+    await soon.connect(addr3).transfer(addr1.address, amount.div(2));
+    await soon.transfer(addr2.address, amount);
+  });
+
+  async function exportBalances(id) {
+    const block = await findSnapshotBlock(soon, id);
+    const holders = await collectHolders(soon, block);
+    return snapshotBalances(soon, id, holders);
+  }
+
+  describe("Reading the chain", function() {
+    it("Should find holders up to the snapshot and read their balances at it", async function () {
+      const balances = await exportBalances(1);
+
+      expect(balances.map(b => b.address)).to.deep.equal([owner.address, addr1.address, addr2.address, addr3.address]);
+      for (const { address, balance } of balances) {
+        expect(balance).to.equal(await soon.balanceOfAt(address, 1));
+      }
+      expect(balances[1].balance).to.be.gt(amount);
+    });
+
+    it("Should read the events in block ranges from the given block", async function () {
+      const block = await findSnapshotBlock(soon, 1, { blockRange: 1 });
+      expect(block).to.equal(await findSnapshotBlock(soon, 1));
+      expect(await collectHolders(soon, block, { blockRange: 2 })).to.deep.equal(await collectHolders(soon, block));
+
+      // Starting at the taxed transfer leaves out holders that only appear before it
+      const taxedTransfer = (await soon.queryFilter(soon.filters.TaxApplied()))[0].blockNumber;
+      expect(await collectHolders(soon, block, { fromBlock: taxedTransfer, blockRange: 1 }))
+        .to.deep.equal([addr2.address, owner.address, addr3.address]);
+    });
+
+    it("Should reject an invalid block range", async function () {
+      try {
+        await collectHolders(soon, 10, { blockRange: 0 });
+        expect.fail("collectHolders should have thrown");
+      } catch (error) {
+        expect(error.message).to.equal("Snapshot: Invalid block range 0");
+      }
+    });
+
+    it("Should reject an unknown snapshot id", async function () {
+      try {
+        await findSnapshotBlock(soon, 2);
+        expect.fail("findSnapshotBlock should have thrown");
+      } catch (error) {
+        expect(error.message).to.equal("Snapshot: No snapshot with id 2");
+      }
+    });
+  });
+
+  describe("Building claims", function() {
+    const balances = [
+      { address: "0x1000000000000000000000000000000000000001", balance: ethers.utils.parseEther("300") },
+      { address: "0x2000000000000000000000000000000000000002", balance: ethers.utils.parseEther("100") },
+      { address: "0x3000000000000000000000000000000000000003", balance: ethers.utils.parseEther("1") }
+    ];
+
+    it("Should use the balances as claims by default", async function () {
+      expect(toClaimRows(balances)).to.deep.equal([
+        { address: balances[0].address, amount: "300.0" },
+        { address: balances[1].address, amount: "100.0" },
+        { address: balances[2].address, amount: "1.0" }
+      ]);
+    });
+
+    it("Should split an airdrop pro rata after exclusions and the minimum balance", async function () {
+      const rows = toClaimRows(balances, {
+        airdropAmount: ethers.utils.parseEther("1000"),
+        minBalance: ethers.utils.parseEther("10"),
+        exclude: [balances[1].address.toLowerCase()]
+      });
+
+      expect(rows).to.deep.equal([{ address: balances[0].address, amount: "1000.0" }]);
+    });
+
+    it("Should reject a list with no eligible holders", async function () {
+      expect(() => toClaimRows(balances, { minBalance: ethers.utils.parseEther("1000") }))
+        .to.throw("Snapshot: No eligible holders");
+    });
+  });
+
+  describe("Airdrop round", function() {
+    it("Should produce claims that SOONAirdrop pays out", async function () {
+      const rows = toClaimRows(await exportBalances(1), {
+        airdropAmount: ethers.utils.parseEther("600000"),
+        exclude: [owner.address]
+      });
+      // Round-trip through the file format the builder reads
+      const claims = validateClaims(parseClaims(JSON.stringify(rows), "json"));
+      const output = buildProofsOutput(claims);
+
+      const SOONAirdrop = await ethers.getContractFactory("SOONAirdrop");
+      const airdrop = await SOONAirdrop.deploy(output.merkleRoot, soon.address, 30);
+      await airdrop.deployed();
+      await soon.excludeFromFee(airdrop.address, true);
+      await soon.transfer(airdrop.address, output.tokenTotal);
+      await airdrop.fundRound(0, output.tokenTotal);
+
+      const claim = output.claims[addr1.address];
+      const before = await soon.balanceOf(addr1.address);
+      await airdrop.connect(addr1).claim(0, claim.index, claim.amount, claim.proof);
+      expect(await soon.balanceOf(addr1.address)).to.equal(before.add(claim.amount));
+    });
+  });
+});